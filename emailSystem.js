@@ -18,8 +18,19 @@
 //
 // ============================================================================
 
-const dns = require("dns").promises;
-const net = require("net");
+const { extractPattern, applyPattern, getPattern, listPatterns } = require("./src/email-patterns");
+const { resolveCompanyDomain } = require("./src/domain-resolver");
+const { resolveCompanyKey } = require("./src/company-names");
+const { cachePatternWithFeedback } = require("./src/pattern-feedback");
+const { ensureDomainIntelIndexes, getDomainIntel, hasNoMailServer, isCatchAll } = require("./src/domain-intel");
+const { createEmailVerifier } = require("./src/email-verifier");
+const { authMiddleware } = require("./src/auth");
+const { checkRateLimit } = require("./src/rate-limit");
+const {
+  saveVerificationResult, serializeResult, parseBulkEmails, enqueueVerificationJob,
+  countActiveVerificationJobs, getVerificationJob, serializeVerificationJob,
+  CONFIG: VERIFICATION_JOB_CONFIG
+} = require("./src/verification-jobs");
 
 // ============================================================================
 // CONFIGURATION
@@ -29,21 +40,24 @@ const CONFIG = {
   // Verification settings
   SMTP_TIMEOUT: 5000,
   ENABLE_SMTP_CHECK: true,
-  MAX_SMTP_CHECKS_PER_DOMAIN: 3,
   
   // Confidence defaults
   DEFAULT_SCRAPED_CONFIDENCE: 0.80,
   DEFAULT_GENERATED_HIGH: 0.90,
   DEFAULT_GENERATED_MEDIUM: 0.75,
   DEFAULT_VERIFIED_SMTP: 0.95,
-  DEFAULT_VERIFIED_MX_ONLY: 0.70
-};
+  DEFAULT_VERIFIED_MX_ONLY: 0.70,
+  DEFAULT_ACCEPT_ALL: 0.50,          // SMTP accepted, but the domain accepts any address
 
-// Domains that block SMTP verification
-const SMTP_BLOCKLIST = new Set([
-  "gmail.com", "yahoo.com", "outlook.com", "hotmail.com", "microsoft.com",
-  "apple.com", "icloud.com", "google.com", "amazon.com", "facebook.com"
-]);
+  // Ranked candidates (?candidates=N on /api/email/instant)
+  MAX_EMAIL_CANDIDATES: 10,
+  UNOBSERVED_PATTERN_WEIGHT: 0.25,  // Patterns never seen at the company, relative to one sighting
+
+  // Companies with no peers: guess on the resolved domain (src/domain-resolver.js)
+  MIN_DOMAIN_CONFIDENCE: 0.5,
+  FALLBACK_PATTERN: "first.last",
+  FALLBACK_PATTERN_CONFIDENCE: 0.5
+};
 
 const PUBLIC_DOMAINS = new Set([
   "gmail.com", "yahoo.com", "outlook.com", "hotmail.com", "live.com",
@@ -183,18 +197,26 @@ function setupEmailSystem(app, db) {
   const leads = db.collection("leads");
   const audits = db.collection("enriched_audit");
   const verifyLogs = db.collection("email_verification_logs");
+  const auth = authMiddleware(db.collection("portal_users"));
 
   // Create indexes
   patterns.createIndex({ companyName: 1 }, { unique: true }).catch(() => {});
   patterns.createIndex({ normalizedName: 1 }).catch(() => {});
+  patterns.createIndex({ companyKey: 1, frequency: -1 }).catch(() => {});
   leads.createIndex({ emailVerified: 1, email: 1 }).catch(() => {});
+  ensureDomainIntelIndexes(db);
 
   // ========================================================================
   // POST /api/email/instant - Generate email instantly during scrape
+  // ?candidates=N also returns up to N ranked alternatives with evidence
   // ========================================================================
   app.post("/api/email/instant", async (req, res) => {
     try {
       const { name, companyName } = req.body;
+      const candidateCount = Math.min(
+        parseInt(req.query.candidates || req.body.candidates) || 0,
+        CONFIG.MAX_EMAIL_CANDIDATES
+      );
 
       if (!name || !companyName) {
         return res.status(400).json({
@@ -219,6 +241,9 @@ function setupEmailSystem(app, db) {
       // ================================================================
 
       const result = await generateInstantEmail(db, name, companyName);
+      if (candidateCount > 0) {
+        result.candidates = await generateEmailCandidates(db, name, companyName, candidateCount);
+      }
       return res.json(result);
 
     } catch (error) {
@@ -250,7 +275,9 @@ function setupEmailSystem(app, db) {
           pattern: pattern.pattern,
           domain: pattern.domain,
           confidence: pattern.confidence,
-          frequency: pattern.frequency
+          frequency: pattern.frequency,
+          status: pattern.status || "active",
+          verifications: { succeeded: pattern.successCount || 0, failed: pattern.failureCount || 0 }
         });
       }
 
@@ -297,6 +324,9 @@ function setupEmailSystem(app, db) {
         success: true,
         found: true,
         verified: lead.emailVerified,  // true = valid, false = invalid, undefined = not checked
+        // 'valid' | 'invalid' | 'accept_all' (domain accepts any address - deliverable but unproven) | 'unknown'
+        verdict: lead.emailVerificationVerdict ||
+          (lead.emailVerified === true ? "valid" : lead.emailVerified === false ? "invalid" : "unknown"),
         checkedAt: lead.emailVerifiedAt || null,
         method: lead.emailVerificationMethod || null,
         confidence: lead.emailVerificationConfidence || null,
@@ -310,6 +340,106 @@ function setupEmailSystem(app, db) {
     }
   });
 
+  // ========================================================================
+  // POST /api/email/verify - Verify one address now (auth, rate limited per user)
+  // Body: { email } - the verdict is also saved to leads with that address
+  // ========================================================================
+  app.post("/api/email/verify", auth, async (req, res) => {
+    try {
+      const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+
+      if (!email) {
+        return res.status(400).json({ success: false, error: "Email is required" });
+      }
+
+      // Each call is a live SMTP probe - bulk lists go through /api/email/verify/bulk
+      const rateCheck = checkRateLimit(req.user.email, "email-verify");
+      if (!rateCheck.allowed) {
+        return res.status(429).json({
+          success: false,
+          error: "Too many verification requests - try again shortly or queue a bulk job",
+          retryAfter: rateCheck.retryAfter
+        });
+      }
+
+      const result = await emailVerifier(db).verify(email);
+      const leadsUpdated = await saveVerificationResult(db, { ...result, input: email }, {
+        runId: `api:${Date.now()}`,
+        source: "api",
+        userEmail: req.user.email
+      });
+
+      return res.json({ success: true, ...serializeResult(result), leadsUpdated });
+
+    } catch (error) {
+      console.error("Email verify error:", error);
+      return res.status(500).json({ success: false, error: "Internal error" });
+    }
+  });
+
+  // ========================================================================
+  // POST /api/email/verify/bulk - Queue a bulk verification (auth)
+  // Body: { emails: [...] } and/or { csv: "..." } - poll statusUrl for progress
+  // ========================================================================
+  app.post("/api/email/verify/bulk", auth, async (req, res) => {
+    try {
+      const emails = parseBulkEmails(req.body || {});
+
+      if (emails.length === 0) {
+        return res.status(400).json({ success: false, error: "Provide emails (array) or csv with at least one address" });
+      }
+      if (emails.length > VERIFICATION_JOB_CONFIG.MAX_BULK_EMAILS) {
+        return res.status(400).json({
+          success: false,
+          error: `Too many emails (${emails.length}) - the limit is ${VERIFICATION_JOB_CONFIG.MAX_BULK_EMAILS} per job`
+        });
+      }
+
+      const userId = String(req.user._id);
+      if (await countActiveVerificationJobs(db, userId) >= VERIFICATION_JOB_CONFIG.MAX_ACTIVE_JOBS_PER_USER) {
+        return res.status(429).json({
+          success: false,
+          error: `You already have ${VERIFICATION_JOB_CONFIG.MAX_ACTIVE_JOBS_PER_USER} verification jobs running - wait for one to finish`
+        });
+      }
+
+      const job = await enqueueVerificationJob(db, { emails, userId, userEmail: req.user.email });
+      console.log(`📋 Verification job queued: ${job._id} (${emails.length} emails, ${req.user.email})`);
+
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        jobId: job._id,
+        total: job.total,
+        status: job.status,
+        statusUrl: `/api/email/verify/bulk/${job._id}`
+      });
+
+    } catch (error) {
+      console.error("Bulk email verify error:", error);
+      return res.status(500).json({ success: false, error: "Internal error" });
+    }
+  });
+
+  // ========================================================================
+  // GET /api/email/verify/bulk/:jobId - Progress (and results once finished)
+  // ========================================================================
+  app.get("/api/email/verify/bulk/:jobId", auth, async (req, res) => {
+    try {
+      const job = await getVerificationJob(db, req.params.jobId);
+
+      if (!job || job.userId !== String(req.user._id)) {
+        return res.status(404).json({ success: false, error: "Job not found" });
+      }
+
+      return res.json({ success: true, job: serializeVerificationJob(job) });
+
+    } catch (error) {
+      console.error("Bulk email verify status error:", error);
+      return res.status(500).json({ success: false, error: "Internal error" });
+    }
+  });
+
   // ========================================================================
   // POST /api/email/rebuild-cache - Rebuild patterns from existing data
   // ========================================================================
@@ -421,9 +551,11 @@ function setupEmailSystem(app, db) {
   });
 
   console.log("✅ Email System routes registered:");
-  console.log("   POST /api/email/instant");
+  console.log("   POST /api/email/instant (?candidates=N)");
   console.log("   GET  /api/email/pattern/:company");
   console.log("   GET  /api/email/verification-status");
+  console.log("   POST /api/email/verify (auth)");
+  console.log("   POST /api/email/verify/bulk (auth) + GET /api/email/verify/bulk/:jobId");
   console.log("   POST /api/email/rebuild-cache");
   console.log("   GET  /api/email/stats");
   console.log("   DELETE /api/email/pattern/:company (admin)");
@@ -449,8 +581,13 @@ async function generateInstantEmail(db, name, companyName) {
     };
   }
 
-  // 1. Check company_patterns cache
+  // 1. Check company_patterns cache (a pattern demoted by bounces is only a fallback)
   let pattern = await getCompanyPattern(db, companyName);
+  let demoted = null;
+  if (pattern?.status === "demoted") {
+    demoted = pattern;
+    pattern = null;
+  }
 
   // 2. Check enriched_audit if no cache
   if (!pattern) {
@@ -462,6 +599,15 @@ async function generateInstantEmail(db, name, companyName) {
     pattern = await findPeerPattern(db, companyName);
   }
 
+  if (!pattern && demoted) {
+    pattern = demoted;
+  }
+
+  // 4. No peers - resolve the company's domain and use its most likely pattern
+  if (!pattern) {
+    pattern = await getPatternFromDomain(db, companyName);
+  }
+
   if (!pattern) {
     return {
       success: false,
@@ -472,8 +618,21 @@ async function generateInstantEmail(db, name, companyName) {
     };
   }
 
+  // What verification already knows about the domain (cached only - no lookups here)
+  const intel = await getDomainIntel(db, pattern.domain);
+  if (hasNoMailServer(intel)) {
+    return {
+      success: false,
+      email: null,
+      domain: pattern.domain,
+      source: "no_mail_server",
+      message: `${pattern.domain} has no mail server (${intel.mx.reason})`,
+      timing: Date.now() - startTime
+    };
+  }
+
   // Generate email
-  const email = applyPatternToName(pattern.pattern, name, pattern.domain);
+  const email = applyPattern(pattern.pattern, name, pattern.domain);
 
   if (!email) {
     return {
@@ -484,17 +643,178 @@ async function generateInstantEmail(db, name, companyName) {
     };
   }
 
+  // A catch-all domain accepts any address, so verification can't confirm this one
+  const acceptAll = isCatchAll(intel);
+
   return {
     success: true,
     email,
     pattern: pattern.pattern,
     domain: pattern.domain,
-    confidence: pattern.confidence,
+    confidence: acceptAll ? Math.min(pattern.confidence, CONFIG.DEFAULT_ACCEPT_ALL) : pattern.confidence,
+    acceptAll,
     source: pattern.source,
     timing: Date.now() - startTime
   };
 }
 
+// ============================================================================
+// RANKED CANDIDATES
+// ============================================================================
+//
+// Every pattern seen at the company is a candidate, weighted by:
+//   observations - peer leads whose own email follows it + approved enrichments
+//                  (the cached pattern counts if nothing else backs it up)
+//   prior        - how reliable the pattern is in general (src/email-patterns.js)
+//   verification - (verified + 1) / (verified + bounced + 2) over the company's
+//                  leads with an email on that pattern
+// Patterns never seen there are added on the top domain with a small weight,
+// so there's always a runner-up to try when the first address bounces.
+
+async function generateEmailCandidates(db, name, companyName, limit) {
+  if (isPlaceholderCompany(companyName)) return [];
+
+  const stats = new Map();
+  const statFor = (pattern, domain) => {
+    const key = `${pattern}@${domain}`;
+    if (!stats.has(key)) {
+      stats.set(key, { pattern, domain, observations: 0, verified: 0, bounced: 0, sources: new Set() });
+    }
+    return stats.get(key);
+  };
+
+  const companyKey = await resolveCompanyKey(db, companyName);
+
+  const [cached, auditGroups, companyLeads] = await Promise.all([
+    getCompanyPattern(db, companyName),
+    db.collection("enriched_audit").aggregate([
+      { $match: { companyName, status: { $in: ["approved", "applied"] } } },
+      { $group: { _id: { pattern: "$pattern", domain: "$domain" }, count: { $sum: 1 } } }
+    ]).toArray(),
+    db.collection("leads").find(
+      { $or: [{ companyName }, { companyKey }], email: { $exists: true, $nin: [null, "", "noemail@domain.com"] }, deleted: { $ne: true } },
+      { projection: { name: 1, email: 1, emailEnriched: 1, emailPattern: 1, emailVerified: 1 } }
+    ).limit(200).toArray()
+  ]);
+
+  for (const group of auditGroups) {
+    if (!group._id.pattern || !group._id.domain || !getPattern(group._id.pattern)) continue;
+    const stat = statFor(group._id.pattern, group._id.domain);
+    stat.observations += group.count;
+    stat.sources.add("audit");
+  }
+
+  for (const lead of companyLeads) {
+    const extracted = extractPatternFromEmail(lead.email, lead.name);
+    const pattern = extracted?.pattern || (getPattern(lead.emailPattern) ? lead.emailPattern : null);
+    const domain = extracted?.domain || String(lead.email).split("@")[1]?.toLowerCase();
+    if (!pattern || !domain || PUBLIC_DOMAINS.has(domain)) continue;
+
+    const stat = statFor(pattern, domain);
+    // A scraped address is a sighting of the pattern; a generated one only tells us if it delivered
+    if (!lead.emailEnriched && extracted && lead.emailVerified !== false) {
+      stat.observations++;
+      stat.sources.add("peers");
+    }
+    if (lead.emailVerified === true) stat.verified++;
+    if (lead.emailVerified === false) stat.bounced++;
+  }
+
+  if (cached?.pattern && cached.domain && getPattern(cached.pattern)) {
+    const stat = statFor(cached.pattern, cached.domain);
+    if (stat.observations === 0) stat.observations = Math.min(cached.frequency || 1, 5);
+    stat.sources.add("cache");
+  }
+
+  const weigh = stat => {
+    const prior = getPattern(stat.pattern).confidence;
+    const verification = (stat.verified + 1) / (stat.verified + stat.bounced + 2);
+    const observations = stat.observations || (stat.verified > 0 ? 1 : CONFIG.UNOBSERVED_PATTERN_WEIGHT);
+    return observations * prior * verification;
+  };
+
+  const ranked = [...stats.values()]
+    .map(stat => ({ ...stat, weight: weigh(stat) }))
+    .sort((a, b) => b.weight - a.weight);
+
+  // Pad with unobserved patterns on the most likely domain
+  // (no peers at all: the resolved domain, led by the pattern the domain is known for)
+  let topDomain = ranked[0]?.domain;
+  if (!topDomain) {
+    const fromDomain = await getPatternFromDomain(db, companyName);
+    if (fromDomain) {
+      topDomain = fromDomain.domain;
+      const stat = statFor(fromDomain.pattern, topDomain);
+      stat.observations = 1;
+      stat.sources.add("domain_resolution");
+      ranked.push({ ...stat, weight: weigh(stat) });
+    }
+  }
+  if (topDomain) {
+    for (const { name: pattern } of listPatterns()) {
+      if (stats.has(`${pattern}@${topDomain}`)) continue;
+      const stat = { pattern, domain: topDomain, observations: 0, verified: 0, bounced: 0, sources: new Set(["pattern_prior"]) };
+      ranked.push({ ...stat, weight: weigh(stat) });
+    }
+    ranked.sort((a, b) => b.weight - a.weight);
+  }
+
+  // Turn weights into probabilities over the addresses that can actually be built for this name
+  const buildable = [];
+  const seen = new Set();
+  for (const stat of ranked) {
+    const email = applyPattern(stat.pattern, name, stat.domain);
+    if (!email || seen.has(email)) continue;
+    seen.add(email);
+    buildable.push({ ...stat, email });
+  }
+
+  const total = buildable.reduce((sum, c) => sum + c.weight, 0);
+
+  return buildable.slice(0, limit).map(c => ({
+    email: c.email,
+    pattern: c.pattern,
+    domain: c.domain,
+    probability: total > 0 ? Math.round((c.weight / total) * 1000) / 1000 : 0,
+    evidence: {
+      observations: c.observations,
+      verified: c.verified,
+      bounced: c.bounced,
+      sources: [...c.sources]
+    }
+  }));
+}
+
+async function getPatternFromDomain(db, companyName) {
+  const resolved = await resolveCompanyDomain(db, companyName);
+  if (!resolved.domain || resolved.confidence < CONFIG.MIN_DOMAIN_CONFIDENCE) return null;
+
+  const domainPattern = await mostLikelyPatternForDomain(db, resolved.domain);
+
+  return {
+    pattern: domainPattern.pattern,
+    domain: resolved.domain,
+    confidence: Math.round(resolved.confidence * domainPattern.confidence * 100) / 100,
+    domainConfidence: resolved.confidence,
+    source: "domain_resolution"
+  };
+}
+
+// Other company names on the same domain may already have taught us its pattern
+async function mostLikelyPatternForDomain(db, domain) {
+  const known = await db.collection("company_patterns").find({ domain, status: { $ne: "retired" } }).toArray();
+  const votes = {};
+  for (const p of known) {
+    if (!getPattern(p.pattern)) continue;
+    votes[p.pattern] = (votes[p.pattern] || 0) + (p.frequency || 1) * (p.confidence || 0.5);
+  }
+
+  const best = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+  if (best) return { pattern: best[0], confidence: getPattern(best[0]).confidence };
+
+  return { pattern: CONFIG.FALLBACK_PATTERN, confidence: CONFIG.FALLBACK_PATTERN_CONFIDENCE };
+}
+
 async function getCompanyPattern(db, companyName) {
   // Block placeholder companies from pattern lookup
   if (isPlaceholderCompany(companyName)) {
@@ -502,16 +822,25 @@ async function getCompanyPattern(db, companyName) {
   }
 
   const patterns = db.collection("company_patterns");
+  // Retired by verification feedback (src/pattern-feedback.js)
+  const usable = { status: { $ne: "retired" } };
   
   // Try exact match
-  let pattern = await patterns.findOne({ companyName });
+  let pattern = await patterns.findOne({ companyName, ...usable });
   if (pattern) return { ...pattern, source: "cache" };
 
   // Try normalized match
   const normalized = normalizeCompanyName(companyName);
-  pattern = await patterns.findOne({ normalizedName: normalized });
+  pattern = await patterns.findOne({ normalizedName: normalized, ...usable });
   if (pattern) return { ...pattern, source: "cache_normalized" };
 
+  // Try any other spelling of the company (src/company-names.js)
+  const companyKey = await resolveCompanyKey(db, companyName);
+  if (companyKey) {
+    pattern = await patterns.find({ companyKey, ...usable }).sort({ frequency: -1 }).limit(1).next();
+    if (pattern) return { ...pattern, source: "cache_alias" };
+  }
+
   return null;
 }
 
@@ -565,11 +894,13 @@ async function findPeerPattern(db, companyName) {
   // ================================================================
 
   const leads = db.collection("leads");
+  const companyKey = await resolveCompanyKey(db, companyName);
 
   const peers = await leads.find({
-    companyName,
+    $or: [{ companyName }, { companyKey }],
     email: { $exists: true, $ne: null, $ne: "", $ne: "noemail@domain.com" },
-    emailEnriched: { $ne: true }
+    emailEnriched: { $ne: true },
+    emailVerified: { $ne: false }  // Bounced addresses don't teach a pattern
   }).limit(10).toArray();
 
   if (peers.length === 0) return null;
@@ -613,59 +944,15 @@ async function findPeerPattern(db, companyName) {
 // PATTERN EXTRACTION & APPLICATION
 // ============================================================================
 
-function extractPatternFromEmail(email, fullName) {
-  const emailLower = (email || "").toLowerCase();
-  const match = emailLower.match(/^([^@]+)@([^@]+)$/);
-  if (!match) return null;
+// Pattern templates and name parsing live in src/email-patterns.js
 
-  const [, local, domain] = match;
+function extractPatternFromEmail(email, fullName) {
+  const extracted = extractPattern(email, fullName);
   
   // Skip public domains
-  if (PUBLIC_DOMAINS.has(domain)) return null;
-
-  const nameParts = splitName(fullName);
-  if (!nameParts || !nameParts.first || !nameParts.last) return null;
-
-  const { first, last, middle } = nameParts;
-  const stripped = local.replace(/[._-]/g, "");
-
-  const patterns = [
-    { name: "first.last", template: `${first}.${last}`, confidence: 0.95 },
-    { name: "last.first", template: `${last}.${first}`, confidence: 0.95 },
-    { name: "first_last", template: `${first}_${last}`, confidence: 0.90 },
-    { name: "firstlast", template: `${first}${last}`, confidence: 0.85 },
-    { name: "f.last", template: `${first[0]}.${last}`, confidence: 0.80 },
-    { name: "flast", template: `${first[0]}${last}`, confidence: 0.70 },
-    { name: "first", template: first, confidence: 0.60 }
-  ];
-
-  for (const p of patterns) {
-    if (local === p.template || stripped === p.template.replace(/[._-]/g, "")) {
-      return { pattern: p.name, domain, confidence: p.confidence };
-    }
-  }
+  if (!extracted || PUBLIC_DOMAINS.has(extracted.domain)) return null;
 
-  return null;
-}
-
-function applyPatternToName(pattern, fullName, domain) {
-  const nameParts = splitName(fullName);
-  if (!nameParts || !nameParts.first || !nameParts.last) return null;
-
-  const { first, last } = nameParts;
-
-  const templates = {
-    "first.last": `${first}.${last}`,
-    "last.first": `${last}.${first}`,
-    "first_last": `${first}_${last}`,
-    "firstlast": `${first}${last}`,
-    "f.last": `${first[0]}.${last}`,
-    "flast": `${first[0]}${last}`,
-    "first": first
-  };
-
-  const local = templates[pattern];
-  return local ? `${local}@${domain}` : null;
+  return extracted;
 }
 
 // ============================================================================
@@ -682,25 +969,14 @@ async function cacheCompanyPattern(db, companyName, patternData) {
   }
   // ================================================================
 
-  const patterns = db.collection("company_patterns");
-  
   try {
-    await patterns.updateOne(
-      { companyName },
-      {
-        $set: {
-          companyName,
-          normalizedName: normalizeCompanyName(companyName),
-          pattern: patternData.pattern,
-          domain: patternData.domain,
-          confidence: patternData.confidence,
-          frequency: patternData.count || 1,
-          updatedAt: new Date()
-        },
-        $setOnInsert: { createdAt: new Date() }
-      },
-      { upsert: true }
-    );
+    // Keep verification feedback for the same pattern; never re-learn a retired one
+    await cachePatternWithFeedback(db, { companyName }, patternData, {
+      companyName,
+      companyKey: await resolveCompanyKey(db, companyName),
+      normalizedName: normalizeCompanyName(companyName),
+      frequency: patternData.count || 1
+    });
   } catch (error) {
     console.warn("Cache pattern error:", error.message);
   }
@@ -755,23 +1031,19 @@ async function rebuildPatternCache(db) {
       continue;
     }
 
-    await patterns.updateOne(
+    const saved = await cachePatternWithFeedback(
+      db,
       { companyName: ap._id },
+      { pattern: ap.pattern, domain: ap.domain, confidence: ap.avgConfidence },
       {
-        $set: {
-          companyName: ap._id,
-          normalizedName: normalizeCompanyName(ap._id),
-          pattern: ap.pattern,
-          domain: ap.domain,
-          confidence: ap.avgConfidence,
-          frequency: ap.frequency,
-          source: "enriched_audit",
-          updatedAt: new Date()
-        },
-        $setOnInsert: { createdAt: new Date() }
-      },
-      { upsert: true }
+        companyName: ap._id,
+        companyKey: await resolveCompanyKey(db, ap._id),
+        normalizedName: normalizeCompanyName(ap._id),
+        frequency: ap.frequency,
+        source: "enriched_audit"
+      }
     );
+    if (!saved) continue;
     cached++;
   }
 
@@ -780,7 +1052,8 @@ async function rebuildPatternCache(db) {
     {
       $match: {
         email: { $exists: true, $ne: null, $ne: "", $ne: "noemail@domain.com" },
-        emailEnriched: { $ne: true }
+        emailEnriched: { $ne: true },
+        emailVerified: { $ne: false }
       }
     },
     {
@@ -812,6 +1085,7 @@ async function rebuildPatternCache(db) {
           {
             $set: {
               companyName: lp._id,
+              companyKey: await resolveCompanyKey(db, lp._id),
               normalizedName: normalizeCompanyName(lp._id),
               pattern: extracted.pattern,
               domain: extracted.domain,
@@ -845,165 +1119,32 @@ async function rebuildPatternCache(db) {
 }
 
 // ============================================================================
-// EMAIL VERIFICATION (for verifyEmails.js cron)
+// EMAIL VERIFICATION (for verifyEmails.js cron and /api/email/verify)
 // ============================================================================
 
-async function verifyEmail(email) {
-  const domain = email.split("@")[1]?.toLowerCase();
-  if (!domain) {
-    return { valid: false, reason: "invalid_format", confidence: 0 };
-  }
-
-  // Check MX records
-  const mxResult = await checkMXRecords(domain);
-  
-  if (!mxResult.valid) {
-    return { 
-      valid: false, 
-      reason: mxResult.reason, 
-      confidence: 0,
-      method: "mx_check"
-    };
-  }
-
-  // Skip SMTP for blocklisted domains
-  if (SMTP_BLOCKLIST.has(domain)) {
-    return {
-      valid: true,
-      reason: "mx_valid_smtp_skipped",
-      confidence: CONFIG.DEFAULT_VERIFIED_MX_ONLY,
-      method: "mx_only"
-    };
-  }
-
-  // SMTP check
-  if (CONFIG.ENABLE_SMTP_CHECK) {
-    const smtpResult = await checkSMTP(email, mxResult.mxHost);
-    
-    if (smtpResult.valid) {
-      return {
-        valid: true,
-        reason: "smtp_verified",
-        confidence: CONFIG.DEFAULT_VERIFIED_SMTP,
-        method: "smtp"
-      };
-    }
-    
-    if (smtpResult.definitelyInvalid) {
-      return {
-        valid: false,
-        reason: smtpResult.reason,
-        confidence: 0,
-        method: "smtp"
-      };
-    }
-  }
-
-  // Fallback to MX result
-  return {
-    valid: true,
-    reason: "mx_valid",
-    confidence: CONFIG.DEFAULT_VERIFIED_MX_ONLY,
-    method: "mx_only"
-  };
-}
-
-async function checkMXRecords(domain) {
-  try {
-    const records = await dns.resolveMx(domain);
-
-    if (!records || records.length === 0) {
-      return { valid: false, reason: "no_mx_records", mxHost: null };
-    }
-
-    records.sort((a, b) => a.priority - b.priority);
-    return {
-      valid: true,
-      reason: "mx_found",
-      mxHost: records[0].exchange
-    };
-
-  } catch (error) {
-    const code = error.code || "";
-    if (code === "ENOTFOUND" || code === "ENODATA") {
-      return { valid: false, reason: "domain_not_found", mxHost: null };
-    }
-    return { valid: false, reason: `dns_error_${code}`, mxHost: null };
-  }
+/**
+ * Verify one address (src/email-verifier.js - the same engine as the cron)
+ * @param {string} email
+ * @param {object} [db] - Shares catch-all results across processes
+ * @returns {object} { valid, verdict, reason, confidence, method, roleAccount, steps }
+ */
+async function verifyEmail(email, db) {
+  const { valid, verdict, reason, confidence, method, roleAccount, steps } = await emailVerifier(db).verify(email);
+  return { valid, verdict, reason, confidence, method, roleAccount, steps };
 }
 
-async function checkSMTP(email, mxHost) {
-  return new Promise((resolve) => {
-    const socket = new net.Socket();
-    let response = "";
-    let stage = "connect";
-
-    const timeout = setTimeout(() => {
-      socket.destroy();
-      resolve({ valid: false, definitelyInvalid: false, reason: "timeout" });
-    }, CONFIG.SMTP_TIMEOUT);
-
-    socket.on("error", () => {
-      clearTimeout(timeout);
-      resolve({ valid: false, definitelyInvalid: false, reason: "connection_error" });
-    });
-
-    socket.on("data", (data) => {
-      response += data.toString();
-      const code = parseInt(response.substring(0, 3));
-
-      try {
-        switch (stage) {
-          case "connect":
-            if (code === 220) {
-              stage = "helo";
-              socket.write("HELO verify.local\r\n");
-            } else {
-              finish(false, false, "connect_rejected");
-            }
-            break;
-
-          case "helo":
-            if (code === 250) {
-              stage = "mail";
-              socket.write("MAIL FROM:<verify@verify.local>\r\n");
-            } else {
-              finish(false, false, "helo_rejected");
-            }
-            break;
-
-          case "mail":
-            if (code === 250) {
-              stage = "rcpt";
-              socket.write(`RCPT TO:<${email}>\r\n`);
-            } else {
-              finish(false, false, "mail_rejected");
-            }
-            break;
-
-          case "rcpt":
-            if (code === 250 || code === 251) {
-              finish(true, false, "accepted");
-            } else if (code >= 550 && code <= 554) {
-              finish(false, true, `rejected_${code}`);
-            } else {
-              finish(false, false, `unknown_${code}`);
-            }
-            break;
-        }
-      } catch (e) {
-        finish(false, false, "parse_error");
+function emailVerifier(db) {
+  return createEmailVerifier({
+    db,
+    config: {
+      smtp: CONFIG.ENABLE_SMTP_CHECK,
+      smtpTimeoutMs: CONFIG.SMTP_TIMEOUT,
+      confidence: {
+        smtpVerified: CONFIG.DEFAULT_VERIFIED_SMTP,
+        mxOnly: CONFIG.DEFAULT_VERIFIED_MX_ONLY,
+        acceptAll: CONFIG.DEFAULT_ACCEPT_ALL
       }
-    });
-
-    function finish(valid, definitelyInvalid, reason) {
-      clearTimeout(timeout);
-      socket.write("QUIT\r\n");
-      socket.destroy();
-      resolve({ valid, definitelyInvalid, reason });
     }
-
-    socket.connect(25, mxHost);
   });
 }
 
@@ -1019,33 +1160,6 @@ function normalizeCompanyName(name) {
     .trim();
 }
 
-function normalizeName(s) {
-  return String(s || "")
-    .trim()
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/[^a-z0-9]/g, "");
-}
-
-function splitName(fullName) {
-  const parts = String(fullName || "")
-    .trim()
-    .replace(/\s+/g, " ")
-    .split(" ")
-    .filter(Boolean)
-    .map(normalizeName)
-    .filter(p => p.length > 0);
-
-  if (!parts.length) return null;
-
-  return {
-    first: parts[0],
-    last: parts[parts.length - 1],
-    middle: parts.length > 2 ? parts[1] : ""
-  };
-}
-
 // ============================================================================
 // LEARN FROM NEW LEADS (call after saving lead)
 // ============================================================================
@@ -1082,6 +1196,7 @@ async function learnFromLead(db, lead) {
 module.exports = {
   setupEmailSystem,
   generateInstantEmail,
+  generateEmailCandidates,
   verifyEmail,
   learnFromLead,
   rebuildPatternCache,
@@ -4,6 +4,8 @@
 // ============================================================================
 
 const { MongoClient } = require("mongodb");
+const { extractPattern, applyPattern } = require("./src/email-patterns");
+const { getDomainIntel, hasNoMailServer, isCatchAll } = require("./src/domain-intel");
 
 const client = new MongoClient(process.env.MONGO_URL);
 
@@ -27,33 +29,6 @@ function parseEmail(e = "") {
   return { local: m[1], domain: m[2] };
 }
 
-function normName(s = "") {
-  return String(s || "")
-    .trim()
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/[^a-z0-9]/g, "");
-}
-
-function splitName(fullName = "") {
-  const parts = String(fullName || "")
-    .trim()
-    .replace(/\s+/g, " ")
-    .split(" ")
-    .filter(Boolean)
-    .map(normName)
-    .filter(p => p.length > 0);
-    
-  if (!parts.length) return null;
-  
-  return {
-    first: parts[0],
-    last: parts[parts.length - 1],
-    middle: parts.length > 2 ? parts[1] : ""
-  };
-}
-
 // Strict validation for peer emails - only use ORIGINAL, non-enriched emails
 function isValidPeerEmail(email, lead) {
   const parsed = parseEmail(email);
@@ -88,45 +63,16 @@ function extractEmailPattern(peerEmail, peerFullName, peerLead) {
   // Validate peer email first
   if (!isValidPeerEmail(peerEmail, peerLead)) return null;
   
-  const parsed = parseEmail(peerEmail);
-  if (!parsed) return null;
-
-  const nameParts = splitName(peerFullName);
-  if (!nameParts) return null;
+  const extracted = extractPattern(peerEmail, peerFullName);
+  if (!extracted) return null;
 
-  const { first, last, middle } = nameParts;
-  if (!first || !last) return null;
-
-  const local = parsed.local;
-  const stripped = local.replace(/[\.\_\-]/g, "");
-  
-  const patterns = [
-    { name: "first.last", template: `${first}.${last}`, confidence: 0.95 },
-    { name: "last.first", template: `${last}.${first}`, confidence: 0.95 },
-    { name: "first_last", template: `${first}_${last}`, confidence: 0.90 },
-    { name: "firstlast", template: `${first}${last}`, confidence: 0.85 },
-    { name: "f.last", template: `${first[0]}.${last}`, confidence: 0.80 },
-    { name: "flast", template: `${first[0]}${last}`, confidence: 0.70 },
-    ...(middle ? [
-      { name: "first.middle.last", template: `${first}.${middle}.${last}`, confidence: 0.90 }
-    ] : [])
-  ];
-
-  for (const pattern of patterns) {
-    if (local === pattern.template || stripped === pattern.template.replace(/[\.\_\-]/g, "")) {
-      return { 
-        pattern: pattern.name, 
-        domain: parsed.domain, 
-        confidence: pattern.confidence,
-        peerEmail,
-        peerName: peerFullName,
-        peerWasEnriched: peerLead.emailEnriched || false,
-        peerWasVerified: peerLead.emailVerified || null
-      };
-    }
-  }
-
-  return null;
+  return {
+    ...extracted,
+    peerEmail,
+    peerName: peerFullName,
+    peerWasEnriched: peerLead.emailEnriched || false,
+    peerWasVerified: peerLead.emailVerified || null
+  };
 }
 
 // Company-level pattern analysis (batch processing)
@@ -223,28 +169,6 @@ async function enrichmentExists(audits, leadId, email) {
   return existing !== null;
 }
 
-// Apply pattern to generate email
-function applyPattern(pattern, targetName, domain) {
-  const nameParts = splitName(targetName);
-  if (!nameParts) return null;
-  
-  const { first, last, middle } = nameParts;
-  if (!first || !last) return null;
-
-  const templates = {
-    "first.last": `${first}.${last}`,
-    "last.first": `${last}.${first}`,
-    "first_last": `${first}_${last}`,
-    "firstlast": `${first}${last}`,
-    "f.last": `${first[0]}.${last}`,
-    "flast": `${first[0]}${last}`,
-    "first.middle.last": middle ? `${first}.${middle}.${last}` : null
-  };
-
-  const template = templates[pattern];
-  return template ? `${template}@${domain}` : null;
-}
-
 // Main enrichment function
 async function enrichEmails() {
   const start = Date.now();
@@ -290,6 +214,7 @@ async function enrichEmails() {
     let enriched = 0;
     let skipped = 0;
     let duplicates = 0;
+    let noMailServer = 0;
 
     // Process by company (batch optimization)
     for (const [companyName, companyLeads] of Object.entries(companiesMap)) {
@@ -302,6 +227,15 @@ async function enrichEmails() {
         continue;
       }
       
+      // Verification already found no mail server on this domain (src/domain-intel.js)
+      const domainIntel = await getDomainIntel(db, companyPattern.domain);
+      if (hasNoMailServer(domainIntel)) {
+        noMailServer += companyLeads.length;
+        console.log(`⏩ ${companyName}: ${companyPattern.domain} has no mail server (${companyLeads.length} leads skipped)`);
+        continue;
+      }
+      const catchAllDomain = isCatchAll(domainIntel);
+
       console.log(`\n🏢 ${companyName} | Pattern: ${companyPattern.pattern} | Score: ${companyPattern.score.toFixed(2)} | Verified: ${(companyPattern.verifiedRatio * 100).toFixed(0)}% | Enriched Sources: ${(companyPattern.enrichedRatio * 100).toFixed(0)}%`);
       
       // Apply to all leads in company
@@ -335,6 +269,7 @@ async function enrichEmails() {
           verifiedSourceRatio: companyPattern.verifiedRatio,
           enrichedSourceRatio: companyPattern.enrichedRatio,
           exampleSources: companyPattern.examples.slice(0, 3), // Keep 3 examples
+          catchAllDomain,                                     // Verification can't confirm these
           timestamp: new Date(),
           status: companyPattern.score >= 0.8 ? 'approved' : 'pending_review'
         });
@@ -348,7 +283,7 @@ async function enrichEmails() {
     
     console.log(`\n🎯 EMAIL ENRICHMENT COMPLETE`);
     console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-    console.log(`Enriched: ${enriched} | Skipped: ${skipped} | Duplicates: ${duplicates}`);
+    console.log(`Enriched: ${enriched} | Skipped: ${skipped} | Duplicates: ${duplicates} | No mail server: ${noMailServer}`);
     console.log(`Duration: ${duration}s | Speed: ${(missingEmailLeads.length / (duration / 60)).toFixed(0)} leads/min`);
     console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
     
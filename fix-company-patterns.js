@@ -13,6 +13,9 @@
 
 const { MongoClient } = require("mongodb");
 require('dotenv').config();
+const { extractPattern } = require('./src/email-patterns');
+const { knownCompanyDomains } = require('./src/domain-resolver');
+const { companyKey } = require('./src/company-names');
 
 const client = new MongoClient(process.env.MONGO_URL);
 const DRY_RUN = process.env.DRY_RUN === 'true';
@@ -24,36 +27,6 @@ const PUBLIC_DOMAINS = new Set([
   'ymail.com', 'msn.com', 'rediffmail.com', 'inbox.com'
 ]);
 
-// Known company -> domain mappings (add more as needed)
-const KNOWN_COMPANY_DOMAINS = {
-  'deel': ['deel.com', 'letsdeel.com'],
-  'hofy': ['hofy.com', 'hofy.co'],
-  'google': ['google.com'],
-  'microsoft': ['microsoft.com'],
-  'amazon': ['amazon.com'],
-  'meta': ['meta.com', 'fb.com', 'facebook.com'],
-  'apple': ['apple.com'],
-  'netflix': ['netflix.com'],
-  'uber': ['uber.com'],
-  'airbnb': ['airbnb.com'],
-  'stripe': ['stripe.com'],
-  'slack': ['slack.com'],
-  'zoom': ['zoom.us'],
-  'salesforce': ['salesforce.com'],
-  'hubspot': ['hubspot.com'],
-  'atlassian': ['atlassian.com'],
-  'shopify': ['shopify.com'],
-  'twitter': ['twitter.com', 'x.com'],
-  'linkedin': ['linkedin.com'],
-  'adobe': ['adobe.com'],
-  'oracle': ['oracle.com'],
-  'ibm': ['ibm.com'],
-  'intel': ['intel.com'],
-  'nvidia': ['nvidia.com'],
-  'tesla': ['tesla.com'],
-  'spacex': ['spacex.com'],
-};
-
 async function fixCompanyPatterns() {
   const start = Date.now();
   console.log(`\n${'='.repeat(70)}`);
@@ -68,6 +41,9 @@ async function fixCompanyPatterns() {
     const patterns = db.collection("company_patterns");
     const leads = db.collection("leads");
 
+    // Known company -> domain mappings (company_domains alias table - edit via /api/company-domains)
+    const knownDomainMap = await knownCompanyDomains(db);
+
     const stats = {
       totalPatterns: 0,
       publicDomainPatterns: 0,
@@ -106,7 +82,7 @@ async function fixCompanyPatterns() {
 
       // Check 2: Known company with wrong domain
       if (!deleteReason) {
-        const knownDomains = KNOWN_COMPANY_DOMAINS[normalizedCompany];
+        const knownDomains = knownDomainMap[companyKey(companyName)] || knownDomainMap[normalizedCompany];
         if (knownDomains && !knownDomains.includes(domain.toLowerCase())) {
           deleteReason = `known_mismatch (expected: ${knownDomains.join(' or ')})`;
           stats.domainMismatchPatterns++;
@@ -334,49 +310,7 @@ function extractMostCommonPattern(leads) {
 
 function extractPatternFromEmail(email, fullName) {
   if (!email || !fullName) return null;
-  
-  const match = email.toLowerCase().match(/^([^@]+)@([^@]+)$/);
-  if (!match) return null;
-
-  const [, local, domain] = match;
-  const nameParts = splitName(fullName);
-  if (!nameParts) return null;
-
-  const { first, last } = nameParts;
-  const stripped = local.replace(/[._-]/g, '');
-
-  const patterns = [
-    { name: 'first.last', template: `${first}.${last}`, confidence: 0.95 },
-    { name: 'last.first', template: `${last}.${first}`, confidence: 0.95 },
-    { name: 'first_last', template: `${first}_${last}`, confidence: 0.90 },
-    { name: 'firstlast', template: `${first}${last}`, confidence: 0.85 },
-    { name: 'f.last', template: `${first[0]}.${last}`, confidence: 0.80 },
-    { name: 'flast', template: `${first[0]}${last}`, confidence: 0.75 },
-    { name: 'first', template: first, confidence: 0.60 },
-    { name: 'last', template: last, confidence: 0.55 }
-  ];
-
-  for (const p of patterns) {
-    if (local === p.template || stripped === p.template.replace(/[._-]/g, '')) {
-      return { pattern: p.name, domain, confidence: p.confidence };
-    }
-  }
-
-  return null;
-}
-
-function splitName(fullName) {
-  const parts = String(fullName || '')
-    .trim()
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/[^a-z\s]/g, '')
-    .split(/\s+/)
-    .filter(Boolean);
-
-  if (parts.length < 2) return null;
-  return { first: parts[0], last: parts[parts.length - 1] };
+  return extractPattern(email, fullName);
 }
 
 // ============================================================================
@@ -8,18 +8,31 @@
  * Environment Variables Required:
  * - MONGO_URL: MongoDB connection string
  * - OPENAI_API_KEY: OpenAI API key (NEVER expose to client)
+ * - LLM_PROVIDER / LLM_MODEL: Provider (openai, local, stub) and model for every AI route (optional)
+ * - LLM_ROUTES: Per-route JSON overrides - provider, model, temperature, maxTokens, maxTokensLimit (optional)
+ * - LLM_LOCAL_BASE_URL: OpenAI-compatible endpoint for the 'local' provider (optional)
+ * - LLM_PRICES: Per-model USD prices per 1M tokens for the AI cost ledger (optional)
+ * - AI_QUOTA_{FREE,PRO}_{REQUESTS,TOKENS}: Monthly AI quotas per plan (optional)
  * - ODOO_ENDPOINT: Odoo CRM endpoint URL
  * - ODOO_USERNAME: Odoo username
  * - ODOO_PASSWORD: Odoo password
  * - ODOO_DATABASE: Odoo database name
+ * - HUBSPOT_ACCESS_TOKEN: HubSpot private app token (optional, enables HubSpot export)
+ * - CRM_JOB_MAX_ATTEMPTS: Attempts per queued CRM export before giving up (default: 5)
+ * - CRM_WEBHOOK_ALLOWED_HOSTS: Comma-separated hosts export webhooks may target even if they resolve to private addresses
+ * - CRM_SYNC_INTERVAL_MINUTES: How often CRM stages are pulled back onto leads (default: 30)
  * - EXPORT_SECRET: Secret key for /api/leads/export endpoint
- * - REBUILD_SECRET: Secret key for /api/email/rebuild-cache endpoint
+ * - REBUILD_SECRET: Secret key for admin endpoints (/api/email/rebuild-cache, CRM field mappings)
  * - PORT: Server port (default: 3000)
  */
-const { setupAuthRoutes } = require('./src/auth');
+const { setupAuthRoutes, authMiddleware } = require('./src/auth');
 const { setupEmailSystem, learnFromLead } = require('./emailSystem');
+const { setupDomainResolverRoutes } = require('./src/domain-resolver');
+const { setupCompanyNameRoutes, resolveCompanyKey } = require('./src/company-names');
+const { setupDomainIntelRoutes } = require('./src/domain-intel');
 const { setupVerificationRoutes } = require('./verifyEmails');
-const { validateLead, validateName, validateCompanyName } = require('./src/validation');
+const { validateLead } = require('./src/validation');
+const { checkRateLimit } = require('./src/rate-limit');
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
@@ -27,6 +40,17 @@ const helmet = require('helmet');
 const { MongoClient } = require('mongodb');
 const { setupListsRoutes } = require('./src/lists');
 const { setupPortalLeadsRoutes } = require('./src/portal-leads');
+const { setupCrmExportRoutes } = require('./src/crm-export');
+const { getCrmAdapter } = require('./src/crm');
+const { startCrmExportWorker } = require('./src/crm-jobs');
+const { startVerificationWorker } = require('./src/verification-jobs');
+const { startCrmSyncJob } = require('./src/crm-sync');
+const { setupSkillRoutes, normalizeSkills, parseSkillResponse, SKILL_EXTRACTION_PROMPT } = require('./src/skills');
+const { completeLlm, streamLlm, isLlmRouteConfigured, getLlmRouteConfig, estimateUsage } = require('./src/llm');
+const { setupAiRoutes } = require('./src/ai');
+const { setupLeadScoringRoutes, leadScoreFields, refineLeadScore } = require('./src/lead-scoring');
+const { authorizeAiRequest, recordAiUsage, releaseAiRequest } = require('./src/ai-usage');
+const { profileFields, updatedProfileFields, refineProfileFields } = require('./src/profile-parser');
 
 const app = express();
 
@@ -72,8 +96,8 @@ app.use(helmet({
 // ============================================================================
 // ENVIRONMENT VALIDATION
 // ============================================================================
-const requiredEnvVars = ['MONGO_URL', 'OPENAI_API_KEY', 'EXPORT_SECRET', 'JWT_SECRET'];
-const optionalEnvVars = ['REBUILD_SECRET', 'ODOO_ENDPOINT', 'ODOO_USERNAME', 'ODOO_PASSWORD', 'ODOO_DATABASE', 'RESEND_API_KEY', 'GOOGLE_CLIENT_ID'];
+const requiredEnvVars = ['MONGO_URL', 'EXPORT_SECRET', 'JWT_SECRET'];
+const optionalEnvVars = ['OPENAI_API_KEY', 'LLM_PROVIDER', 'LLM_ROUTES', 'LLM_LOCAL_BASE_URL', 'REBUILD_SECRET', 'ODOO_ENDPOINT', 'ODOO_USERNAME', 'ODOO_PASSWORD', 'ODOO_DATABASE', 'HUBSPOT_ACCESS_TOKEN', 'RESEND_API_KEY', 'GOOGLE_CLIENT_ID'];
 
 console.log('🔒 Environment Check:');
 for (const envVar of requiredEnvVars) {
@@ -107,15 +131,6 @@ function sanitizeString(str, maxLength = 500) {
     .substring(0, maxLength);
 }
 
-function sanitizeForOdoo(str) {
-  if (!str) return '';
-  return String(str)
-    .replace(/<[^>]*>/g, '')
-    .replace(/['"\\]/g, '')
-    .trim()
-    .substring(0, 200);
-}
-
 function isValidEmail(e) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i.test(e || '');
 }
@@ -141,63 +156,6 @@ function normalizeLinkedInUrl(url) {
   }
 }
 
-// ============================================================================
-// RATE LIMITING
-// ============================================================================
-
-const rateLimits = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000;
-const RATE_LIMIT_MAX_REQUESTS = 30;
-
-function checkRateLimit(userEmail, action = 'default') {
-  const key = `${userEmail}:${action}`;
-  const now = Date.now();
-  
-  if (!rateLimits.has(key)) {
-    rateLimits.set(key, { count: 1, resetAt: now + RATE_LIMIT_WINDOW });
-    return { allowed: true, remaining: RATE_LIMIT_MAX_REQUESTS - 1 };
-  }
-  
-  const limit = rateLimits.get(key);
-  
-  if (now > limit.resetAt) {
-    rateLimits.set(key, { count: 1, resetAt: now + RATE_LIMIT_WINDOW });
-    return { allowed: true, remaining: RATE_LIMIT_MAX_REQUESTS - 1 };
-  }
-  
-  if (limit.count >= RATE_LIMIT_MAX_REQUESTS) {
-    return { allowed: false, remaining: 0, retryAfter: Math.ceil((limit.resetAt - now) / 1000) };
-  }
-  
-  limit.count++;
-  return { allowed: true, remaining: RATE_LIMIT_MAX_REQUESTS - limit.count };
-}
-
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of rateLimits.entries()) {
-    if (now > value.resetAt) rateLimits.delete(key);
-  }
-}, 5 * 60 * 1000);
-
-// ============================================================================
-// SECURE ODOO CONFIGURATION
-// ============================================================================
-
-function getOdooConfig() {
-  return {
-    endpointUrl: process.env.ODOO_ENDPOINT,
-    username: process.env.ODOO_USERNAME,
-    password: process.env.ODOO_PASSWORD,
-    databaseName: process.env.ODOO_DATABASE
-  };
-}
-
-function validateOdooConfig() {
-  const config = getOdooConfig();
-  return !!(config.endpointUrl && config.username && config.password && config.databaseName);
-}
-
 // ============================================================================
 // MAIN SERVER
 // ============================================================================
@@ -209,124 +167,214 @@ async function startServer() {
 
     const db = client.db('brynsaleads');
     setupEmailSystem(app, db);
+    setupDomainResolverRoutes(app, db);
+    setupCompanyNameRoutes(app, db);
+    setupDomainIntelRoutes(app, db);
     setupVerificationRoutes(app, db);
     setupAuthRoutes(app, db);
     setupListsRoutes(app, db);
     setupPortalLeadsRoutes(app, db);
+    setupSkillRoutes(app, db);
+    setupAiRoutes(app, db);
+    setupLeadScoringRoutes(app, db);
+    setupCrmExportRoutes(app, db);
+    startCrmExportWorker(db);
+    startVerificationWorker(db);
+    startCrmSyncJob(db);
     const leads = db.collection('leads');
     const lists = db.collection('lists');
-    const exportLogs = db.collection('export_logs');
-
-    await exportLogs.createIndex({ linkedinUrl: 1, exportedBy: 1 });
-    await exportLogs.createIndex({ leadId: 1, crmType: 1 });
 
     // ========================================================================
     // NEW: OPENAI PROXY ENDPOINTS
+    // Both go through the LLM gateway (src/llm) - provider/model are per-route config.
+    // Signed-in users only; every call counts against the plan's monthly quota (src/ai-usage.js)
     // ========================================================================
 
-    app.post('/api/openai/generate', async (req, res) => {
+    const aiAuth = authMiddleware(db.collection('portal_users'));
+
+    // Raw prompts are what the extension's DM / note / email writers send
+    const AI_WRITING_FEATURES = ['dmGeneration', 'noteGeneration', 'emailGeneration'];
+
+    app.post('/api/openai/generate', aiAuth, async (req, res) => {
+      let reserved = false;
       try {
-        const { prompt, maxTokens, userEmail } = req.body;
+        const { prompt, maxTokens } = req.body;
+        const userEmail = req.user.email;
 
         if (!prompt) {
           return res.status(400).json({ success: false, error: 'Prompt is required' });
         }
 
-        if (!process.env.OPENAI_API_KEY) {
+        if (!isLlmRouteConfigured('generate')) {
           return res.status(500).json({ success: false, error: 'AI service not configured' });
         }
 
-        if (userEmail) {
-          const rateCheck = checkRateLimit(userEmail, 'openai');
-          if (!rateCheck.allowed) {
-            return res.status(429).json({ 
-              success: false, 
-              error: 'Rate limit exceeded',
-              retryAfter: rateCheck.retryAfter
-            });
-          }
+        const rateCheck = checkRateLimit(userEmail, 'openai');
+        if (!rateCheck.allowed) {
+          return res.status(429).json({ 
+            success: false, 
+            error: 'Rate limit exceeded',
+            retryAfter: rateCheck.retryAfter
+          });
         }
 
-        console.log(`🤖 OpenAI request from ${userEmail || 'unknown'}`);
-
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: 'gpt-3.5-turbo',
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: maxTokens || 300,
-            temperature: 0.7
-          })
-        });
+        const access = await authorizeAiRequest(db, req.user, AI_WRITING_FEATURES);
+        if (!access.allowed) {
+          return res.status(access.status).json(access.body);
+        }
+        reserved = true;
 
-        const data = await response.json();
+        console.log(`🤖 AI request from ${userEmail}`);
 
-        if (data.error) {
-          return res.status(500).json({ success: false, error: data.error.message });
-        }
+        const result = await completeLlm('generate', [{ role: 'user', content: prompt }], { maxTokens, db });
+        await recordAiUsage(db, req.user, 'generate', result);
 
-        res.json({ success: true, content: data.choices?.[0]?.message?.content });
+        res.json({ success: true, content: result.content });
 
       } catch (error) {
         console.error('❌ OpenAI proxy error:', error);
+        if (reserved) await releaseAiRequest(db, req.user).catch(() => {});
+        if (error.provider) {
+          return res.status(500).json({ success: false, error: error.message });
+        }
         res.status(500).json({ success: false, error: 'AI service temporarily unavailable' });
       }
     });
 
-    app.post('/api/openai/extract-skill', async (req, res) => {
+    // Server-sent events variant of /api/openai/generate:
+    //   event: token  data: { "content": "<delta>" }     (repeated)
+    //   event: done   data: { "content": "<full text>", "finishReason": "stop" }
+    //   event: error  data: { "error": "<message>" }
+    // Closing the connection cancels the completion; tokens streamed up to then
+    // are still charged to the user's quota.
+    app.post('/api/openai/generate/stream', aiAuth, async (req, res) => {
+      const { prompt, maxTokens } = req.body;
+      const userEmail = req.user.email;
+
+      if (!prompt) {
+        return res.status(400).json({ success: false, error: 'Prompt is required' });
+      }
+
+      if (!isLlmRouteConfigured('generate')) {
+        return res.status(500).json({ success: false, error: 'AI service not configured' });
+      }
+
+      let reserved = false;
+      try {
+        const rateCheck = checkRateLimit(userEmail, 'openai');
+        if (!rateCheck.allowed) {
+          return res.status(429).json({ success: false, error: 'Rate limit exceeded', retryAfter: rateCheck.retryAfter });
+        }
+
+        const access = await authorizeAiRequest(db, req.user, AI_WRITING_FEATURES);
+        if (!access.allowed) {
+          return res.status(access.status).json(access.body);
+        }
+        reserved = true;
+      } catch (error) {
+        console.error('❌ OpenAI stream error:', error);
+        if (reserved) await releaseAiRequest(db, req.user).catch(() => {});
+        return res.status(500).json({ success: false, error: 'AI service temporarily unavailable' });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'   // Don't let a proxy buffer the stream
+      });
+
+      const sendEvent = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      // Client went away before we finished - stop generating
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
+
+      console.log(`🤖 AI stream request from ${userEmail}`);
+
+      const messages = [{ role: 'user', content: prompt }];
+      let streamed = '';
+      try {
+        const result = await streamLlm('generate', messages, {
+          maxTokens,
+          db,
+          signal: controller.signal,
+          onToken: content => {
+            streamed += content;
+            sendEvent('token', { content });
+          }
+        });
+
+        await recordAiUsage(db, req.user, 'generate', result);
+
+        if (result.aborted) {
+          console.log(`⏹️ AI stream cancelled by ${userEmail} after ${result.content.length} chars`);
+          return;
+        }
+
+        sendEvent('done', { content: result.content, finishReason: result.finishReason });
+        res.end();
+
+      } catch (error) {
+        console.error('❌ OpenAI stream error:', error);
+        // Charge for what was generated before the failure; nothing generated - nothing charged
+        if (streamed) {
+          const { provider, model } = getLlmRouteConfig('generate');
+          await recordAiUsage(db, req.user, 'generate', { provider, model, usage: estimateUsage(messages, streamed) }).catch(() => {});
+        } else {
+          await releaseAiRequest(db, req.user).catch(() => {});
+        }
+        sendEvent('error', { error: error.provider ? error.message : 'AI service temporarily unavailable' });
+        res.end();
+      }
+    });
+
+    // Returns the ranked skills (normalized against the skill taxonomy) plus
+    // `skill` - the top one - for extension builds that only read a single skill
+    // No plan gate - skills feed CRM exports - but it still counts against the quota
+    app.post('/api/openai/extract-skill', aiAuth, async (req, res) => {
+      let reserved = false;
       try {
-        const { headline, userEmail } = req.body;
+        const { headline } = req.body;
 
         if (!headline) {
-          return res.status(400).json({ success: false, skill: null });
+          return res.status(400).json({ success: false, skill: null, skills: [] });
         }
 
-        if (!process.env.OPENAI_API_KEY) {
-          return res.status(500).json({ success: false, skill: null });
+        if (!isLlmRouteConfigured('extract-skill')) {
+          return res.status(500).json({ success: false, skill: null, skills: [] });
         }
 
-        if (userEmail) {
-          const rateCheck = checkRateLimit(userEmail, 'skill-extract');
-          if (!rateCheck.allowed) {
-            return res.status(429).json({ success: false, skill: null, retryAfter: rateCheck.retryAfter });
-          }
+        const rateCheck = checkRateLimit(req.user.email, 'skill-extract');
+        if (!rateCheck.allowed) {
+          return res.status(429).json({ success: false, skill: null, skills: [], retryAfter: rateCheck.retryAfter });
         }
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: 'gpt-3.5-turbo',
-            messages: [
-              {
-                role: 'system',
-                content: 'Extract the single most important professional skill from the job title. For IT roles, return technical skill. For non-IT, return functional area. Return ONLY the skill name (1-3 words). If unclear, return "None".'
-              },
-              { role: 'user', content: `Extract skill from: "${headline}"` }
-            ],
-            temperature: 0.3,
-            max_tokens: 30
-          })
-        });
+        const access = await authorizeAiRequest(db, req.user, null);
+        if (!access.allowed) {
+          return res.status(access.status).json({ ...access.body, skill: null, skills: [] });
+        }
+        reserved = true;
+
+        const result = await completeLlm('extract-skill', [
+          { role: 'system', content: SKILL_EXTRACTION_PROMPT },
+          { role: 'user', content: `Extract skills from: "${headline}"` }
+        ], { db });
+        await recordAiUsage(db, req.user, 'extract-skill', result);
 
-        const data = await response.json();
-        const skill = data.choices?.[0]?.message?.content?.trim();
-        const cleanSkill = skill && skill.toLowerCase() !== 'none' && skill.length < 50 
-          ? skill.replace(/['"]/g, '').trim() : null;
+        const skills = await normalizeSkills(db, parseSkillResponse(result.content));
 
-        console.log(`✅ Extracted skill: ${cleanSkill || 'None'}`);
-        res.json({ success: true, skill: cleanSkill });
+        console.log(`✅ Extracted skills: ${skills.map(s => `${s.name}${s.level ? ` (${s.level})` : ''}`).join(', ') || 'None'}`);
+        res.json({ success: true, skill: skills[0]?.name || null, skills });
 
       } catch (error) {
         console.error('❌ Skill extraction error:', error);
-        res.status(500).json({ success: false, skill: null });
+        if (reserved) await releaseAiRequest(db, req.user).catch(() => {});
+        res.status(500).json({ success: false, skill: null, skills: [] });
       }
     });
 
@@ -514,6 +562,7 @@ async function startServer() {
           if (companyName && companyName.trim()) {
             updateFields.companyName = sanitizeString(companyName, 200);
             updateFields.company = sanitizeString(companyName, 200);
+            updateFields.companyKey = await resolveCompanyKey(db, companyName);
           }
           if (currentTitle && currentTitle.trim()) {
             updateFields.currentTitle = sanitizeString(currentTitle, 300);
@@ -550,14 +599,24 @@ async function startServer() {
               updateFields.emailVerifiedAt = null;
               updateFields.emailVerificationMethod = null;
               updateFields.emailVerificationConfidence = null;
+              updateFields.emailVerificationVerdict = null;
             }
           }
 
+          // Re-parse seniority/department if the title changed, then rescore
+          // against the owner's ICP with the refreshed data
+          const owner = { userId: existing.userId || existing.visitorId, userEmail: existing.userEmail || existing.visitorEmail };
+          const parsedProfile = updatedProfileFields(existing, updateFields);
+          Object.assign(updateFields, parsedProfile);
+          Object.assign(updateFields, await leadScoreFields(db, owner, { ...existing, ...updateFields }));
+
           // Perform the update
           await leads.updateOne(
             { _id: existing._id },
             { $set: updateFields }
           );
+          refineProfileFields(db, owner, existing._id, parsedProfile);
+          if (updateFields.icpScore !== undefined) refineLeadScore(db, owner, existing._id);
 
           console.log(`✅ Lead updated: ${name} @ ${companyName} (data refreshed)`);
           
@@ -578,6 +637,7 @@ async function startServer() {
           email: sanitizeString(email, 200) || 'noemail@domain.com',
           companyName: sanitizeString(companyName, 200),
           company: sanitizeString(companyName, 200),
+          companyKey: await resolveCompanyKey(db, companyName),
           headline: sanitizeString(headline, 500) || null,
           currentTitle: sanitizeString(currentTitle, 300) || null,
           title: sanitizeString(currentTitle, 300) || null,
@@ -604,7 +664,14 @@ async function startServer() {
           leadSource: 'extension'
         };
 
+        const owner = { userId: newLead.visitorId, userEmail: newLead.visitorEmail };
+        const parsedProfile = profileFields(newLead);
+        Object.assign(newLead, parsedProfile);
+        Object.assign(newLead, await leadScoreFields(db, owner, newLead));
+
         const result = await leads.insertOne(newLead);
+        refineProfileFields(db, owner, result.insertedId, parsedProfile);
+        if (newLead.icpScore !== undefined) refineLeadScore(db, owner, result.insertedId);
         
         // Learn email pattern for future generation
         await learnFromLead(db, newLead);
@@ -622,486 +689,6 @@ async function startServer() {
       }
     });
 
-    // ========================================================================
-    // ODOO CRM EXPORT - SECURE VERSION WITH VALIDATION
-    // ========================================================================
-
-    async function rollbackCreatedRecords(callOdoo, createdRecords) {
-      const rollbackResults = [];
-      try {
-        if (createdRecords.opportunity || createdRecords.candidate) {
-          const entityType = createdRecords.opportunity ? 'opportunity' : 'candidate';
-          const entityId = createdRecords.opportunity || createdRecords.candidate;
-          const modelName = createdRecords.opportunity ? 'crm.lead' : 'hr.candidate';
-          try {
-            await callOdoo(modelName, 'unlink', [[entityId]]);
-            rollbackResults.push({ type: entityType, id: entityId, status: 'deleted' });
-          } catch (err) {
-            rollbackResults.push({ type: entityType, id: entityId, status: 'failed' });
-          }
-        }
-        if (createdRecords.contact) {
-          try {
-            await callOdoo('res.partner', 'unlink', [[createdRecords.contact]]);
-            rollbackResults.push({ type: 'contact', id: createdRecords.contact, status: 'deleted' });
-          } catch (err) {
-            rollbackResults.push({ type: 'contact', id: createdRecords.contact, status: 'failed' });
-          }
-        }
-        if (createdRecords.company) {
-          try {
-            await callOdoo('res.partner', 'unlink', [[createdRecords.company]]);
-            rollbackResults.push({ type: 'company', id: createdRecords.company, status: 'deleted' });
-          } catch (err) {
-            rollbackResults.push({ type: 'company', id: createdRecords.company, status: 'failed' });
-          }
-        }
-        if (createdRecords.skill) {
-          try {
-            await callOdoo('hr.candidate.skill', 'unlink', [[createdRecords.skill]]);
-            rollbackResults.push({ type: 'skill', id: createdRecords.skill, status: 'deleted' });
-          } catch (err) {
-            rollbackResults.push({ type: 'skill', id: createdRecords.skill, status: 'failed' });
-          }
-        }
-      } catch (err) {
-        console.error('❌ Rollback process error:', err.message);
-      }
-      return rollbackResults;
-    }
-
-    // SECURE ODOO EXPORT - No client credentials, WITH VALIDATION
-    app.post('/api/crm/export-odoo', async (req, res) => {
-      try {
-        // SECURITY: Do NOT accept crmConfig from client
-        const { leadData, userEmail, linkedinUrl, profileType, extractedSkill } = req.body;
-
-        const crmConfig = getOdooConfig();
-
-        if (!validateOdooConfig()) {
-          return res.status(500).json({ success: false, error: 'CRM configuration missing on server' });
-        }
-
-        if (!leadData || !leadData.name) {
-          return res.status(400).json({ error: 'Lead data with name is required' });
-        }
-
-        if (!profileType || !['client', 'candidate'].includes(profileType.toLowerCase())) {
-          return res.status(400).json({ error: 'Valid profileType required' });
-        }
-
-        // ================================================================
-        // VALIDATION: Name and CompanyName for CRM export
-        // ================================================================
-        const nameValidation = validateName(leadData.name);
-        if (!nameValidation.valid) {
-          return res.status(400).json({ 
-            success: false, 
-            error: nameValidation.error,
-            validationError: true 
-          });
-        }
-
-        const cleanName = sanitizeForOdoo(leadData.name);
-        if (cleanName.length < 2) {
-          return res.status(400).json({ error: 'Invalid name' });
-        }
-
-        let cleanCompany = sanitizeForOdoo(leadData.companyName || leadData.company || '');
-        if (!cleanCompany && leadData.comment) {
-          const match = leadData.comment.match(/Company:\s*(.+)/);
-          if (match) cleanCompany = sanitizeForOdoo(match[1].split('\n')[0]);
-        }
-
-        // Validate company name
-        const companyValidation = validateCompanyName(cleanCompany);
-        if (!companyValidation.valid) {
-          return res.status(400).json({ 
-            success: false, 
-            error: companyValidation.error,
-            validationError: true 
-          });
-        }
-        // ================================================================
-
-        let sourcedBy = sanitizeForOdoo(leadData.sourcedBy || '');
-        if (!sourcedBy && leadData.comment) {
-          const match = leadData.comment.match(/Sourced by:\s*(.+)/);
-          if (match) sourcedBy = sanitizeForOdoo(match[1].split('\n')[0]);
-        }
-
-        const isCandidate = profileType.toLowerCase() === 'candidate';
-        console.log(`Odoo export (${isCandidate ? 'candidate' : 'client'}):`, { lead: cleanName, company: cleanCompany });
-
-        // Authenticate
-        const authResponse = await fetch(`${crmConfig.endpointUrl}/web/session/authenticate`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: "2.0",
-            params: { db: crmConfig.databaseName, login: crmConfig.username, password: crmConfig.password }
-          })
-        });
-
-        const setCookieHeader = authResponse.headers.get('set-cookie');
-        let cookies = setCookieHeader ? setCookieHeader.split(',').map(c => c.trim().split(';')[0]).join('; ') : '';
-
-        const authResult = await authResponse.json();
-        if (!authResult.result?.uid) throw new Error('Invalid Odoo credentials');
-
-        const userId = authResult.result.uid;
-        if (!cookies && authResult.result.session_id) cookies = `session_id=${authResult.result.session_id}`;
-
-        const odooUrl = `${crmConfig.endpointUrl}/jsonrpc`;
-
-        async function callOdoo(model, method, args) {
-          const response = await fetch(odooUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Cookie': cookies },
-            body: JSON.stringify({
-              jsonrpc: "2.0", method: "call",
-              params: { service: "object", method: "execute_kw", args: [crmConfig.databaseName, userId, crmConfig.password, model, method, args] },
-              id: Date.now()
-            })
-          });
-          const result = await response.json();
-          if (result.error) throw new Error(result.error.data?.message || result.error.message || 'Odoo API error');
-          return result.result;
-        }
-
-        const createdRecords = { company: null, contact: null, opportunity: null, candidate: null, skill: null };
-
-        try {
-          if (isCandidate) {
-            const cleanEmail = isValidEmail(leadData.email) && leadData.email !== 'No email found' ? sanitizeForOdoo(leadData.email) : null;
-
-            // Duplicate check
-            const candidatesByName = await callOdoo('hr.candidate', 'search_read', [
-              [['partner_name', '=', cleanName], ...(cleanEmail ? [['email_from', '=', cleanEmail]] : [])],
-              ['id', 'partner_name', 'email_from', 'linkedin_profile']
-            ]);
-
-            let candidatesByLinkedIn = [];
-            if (linkedinUrl) {
-              candidatesByLinkedIn = await callOdoo('hr.candidate', 'search_read', [
-                [['linkedin_profile', '=', linkedinUrl]], ['id', 'partner_name', 'email_from', 'linkedin_profile']
-              ]);
-            }
-
-            const allCandidates = [...(candidatesByName || []), ...(candidatesByLinkedIn || [])];
-            const uniqueCandidates = allCandidates.filter((c, i, self) => i === self.findIndex(x => x.id === c.id));
-
-            if (uniqueCandidates.length > 0) {
-              const existing = uniqueCandidates[0];
-              const matchedBy = candidatesByLinkedIn.some(c => c.id === existing.id) ? 'LinkedIn URL' : 'Name/Email';
-              
-              await exportLogs.insertOne({
-                leadName: cleanName, leadEmail: cleanEmail, linkedinUrl, crmType: 'odoo', crmId: existing.id,
-                exportedBy: userEmail, exportedAt: new Date(), status: 'duplicate', profileType: 'candidate'
-              });
-
-              return res.json({ success: false, alreadyExists: true, message: `Candidate exists (${matchedBy})`, crmId: existing.id });
-            }
-
-            // Create contact
-            const contactData = { name: cleanName, type: 'contact', is_company: false, customer_rank: 0 };
-            if (cleanEmail) contactData.email = cleanEmail;
-            if (leadData.phone) contactData.phone = sanitizeForOdoo(leadData.phone);
-
-            const contactResult = await callOdoo('res.partner', 'create', [[contactData]]);
-            const contactId = Array.isArray(contactResult) ? contactResult[0] : contactResult;
-            createdRecords.contact = contactId;
-
-            // Create candidate
-            const candidateData = {
-              partner_name: cleanName,
-              partner_id: parseInt(contactId, 10),
-              email_from: cleanEmail || 'noemail@domain.com',
-              company_id: 1,
-              linkedin_profile: linkedinUrl
-            };
-
-            if (sourcedBy) {
-              const salespersons = await callOdoo('res.users', 'search_read', [[['name', 'ilike', sourcedBy]], ['id']]);
-              candidateData.user_id = salespersons?.[0]?.id || userId;
-            } else {
-              candidateData.user_id = userId;
-            }
-
-            const candidateResult = await callOdoo('hr.candidate', 'create', [[candidateData]]);
-            const candidateId = Array.isArray(candidateResult) ? candidateResult[0] : candidateResult;
-            createdRecords.candidate = candidateId;
-
-            // Create skill if provided
-            const mainSkill = extractedSkill ? sanitizeForOdoo(extractedSkill) : null;
-            if (mainSkill) {
-              try {
-                let itSkillTypeId;
-                const skillTypes = await callOdoo('hr.skill.type', 'search_read', [[['name', '=', 'IT']], ['id']]);
-                if (skillTypes?.length > 0) {
-                  itSkillTypeId = skillTypes[0].id;
-                } else {
-                  const typeResult = await callOdoo('hr.skill.type', 'create', [[{ name: 'IT' }]]);
-                  itSkillTypeId = Array.isArray(typeResult) ? typeResult[0] : typeResult;
-                }
-
-                let skillId;
-                const skills = await callOdoo('hr.skill', 'search_read', [[['name', 'ilike', mainSkill], ['skill_type_id', '=', itSkillTypeId]], ['id']]);
-                if (skills?.length > 0) {
-                  skillId = skills[0].id;
-                } else {
-                  const skillResult = await callOdoo('hr.skill', 'create', [[{ name: mainSkill, skill_type_id: itSkillTypeId }]]);
-                  skillId = Array.isArray(skillResult) ? skillResult[0] : skillResult;
-                }
-
-                let skillLevelId;
-                const levels = await callOdoo('hr.skill.level', 'search_read', [[['name', '=', 'Expert'], ['skill_type_id', '=', itSkillTypeId]], ['id']]);
-                if (levels?.length > 0) {
-                  skillLevelId = levels[0].id;
-                } else {
-                  const levelResult = await callOdoo('hr.skill.level', 'create', [[{ name: 'Expert', level_progress: 100, skill_type_id: itSkillTypeId }]]);
-                  skillLevelId = Array.isArray(levelResult) ? levelResult[0] : levelResult;
-                }
-
-                const existingSkills = await callOdoo('hr.candidate.skill', 'search_read', [[['candidate_id', '=', candidateId], ['skill_id', '=', skillId]], ['id']]);
-                if (!existingSkills?.length) {
-                  const skillLinkResult = await callOdoo('hr.candidate.skill', 'create', [[{
-                    candidate_id: candidateId, skill_id: skillId, skill_level_id: skillLevelId, skill_type_id: itSkillTypeId
-                  }]]);
-                  createdRecords.skill = Array.isArray(skillLinkResult) ? skillLinkResult[0] : skillLinkResult;
-                }
-              } catch (skillErr) {
-                console.warn('Skill creation failed:', skillErr.message);
-              }
-            }
-
-            await exportLogs.insertOne({
-              leadName: cleanName, leadEmail: cleanEmail, linkedinUrl, crmType: 'odoo', crmId: candidateId,
-              contactId, exportedBy: userEmail, exportedAt: new Date(), status: 'success', profileType: 'candidate', mainSkill: mainSkill || 'None'
-            });
-
-            return res.json({
-              success: true, message: 'Candidate exported to Odoo', crmId: candidateId, crmType: 'odoo', profileType: 'candidate',
-              details: { contactCreated: true, candidateCreated: true, skillExtracted: mainSkill || 'None', contactId }
-            });
-
-          } else {
-            // CLIENT FLOW
-            let linkedinSourceId;
-            const sources = await callOdoo('utm.source', 'search_read', [[['name', '=', 'LinkedIn']], ['id']]);
-            if (sources?.length > 0) {
-              linkedinSourceId = sources[0].id;
-            } else {
-              linkedinSourceId = await callOdoo('utm.source', 'create', [[{ name: 'LinkedIn' }]]);
-            }
-
-            let salespersonId = userId;
-            if (sourcedBy) {
-              const salespersons = await callOdoo('res.users', 'search_read', [[['name', 'ilike', sourcedBy]], ['id']]);
-              if (salespersons?.length > 0) salespersonId = salespersons[0].id;
-            }
-
-            // Check/create company
-            const existingCompanies = await callOdoo('res.partner', 'search_read', [
-              [['name', '=', cleanCompany], ['is_company', '=', true]], ['id']
-            ]);
-
-            let companyId, isExistingCompany, clientType;
-            if (existingCompanies?.length > 0) {
-              companyId = existingCompanies[0].id;
-              isExistingCompany = true;
-              clientType = 'Existing Client';
-            } else {
-              const companyResult = await callOdoo('res.partner', 'create', [[{
-                name: cleanCompany, is_company: true, customer_rank: 1, user_id: salespersonId
-              }]]);
-              companyId = Array.isArray(companyResult) ? companyResult[0] : companyResult;
-              isExistingCompany = false;
-              clientType = 'New Prospect';
-              createdRecords.company = companyId;
-            }
-
-            // Check/create contact
-            const existingContacts = await callOdoo('res.partner', 'search_read', [
-              [['name', '=', cleanName], ['parent_id', '=', companyId]], ['id']
-            ]);
-
-            let contactId, contactAlreadyExists;
-            if (existingContacts?.length > 0) {
-              contactId = existingContacts[0].id;
-              contactAlreadyExists = true;
-            } else {
-              const contactData = {
-                name: cleanName, parent_id: parseInt(companyId, 10), type: 'contact', is_company: false, customer_rank: 1
-              };
-
-              const email = sanitizeForOdoo(leadData.email || '');
-              contactData.email = (email && isValidEmail(email) && email !== 'No email found') ? email : 'noemail@domain.com';
-              if (leadData.phone) contactData.phone = sanitizeForOdoo(leadData.phone);
-              if (leadData.function) contactData.function = sanitizeForOdoo(leadData.function);
-              if (leadData.street) contactData.street = sanitizeForOdoo(leadData.street);
-              if (leadData.comment) contactData.comment = sanitizeString(leadData.comment, 1000);
-
-              const contactResult = await callOdoo('res.partner', 'create', [[contactData]]);
-              contactId = Array.isArray(contactResult) ? contactResult[0] : contactResult;
-              contactAlreadyExists = false;
-              createdRecords.contact = contactId;
-            }
-
-            // Check for duplicate opportunities
-            const existingLeadsByContact = await callOdoo('crm.lead', 'search_read', [
-              [['partner_id', '=', contactId], ['active', '=', true]], ['id', 'name', 'stage_id']
-            ]);
-
-            let existingLeadsByLinkedIn = [];
-            if (linkedinUrl) {
-              existingLeadsByLinkedIn = await callOdoo('crm.lead', 'search_read', [
-                [['website', '=', linkedinUrl], ['active', '=', true]], ['id', 'name', 'stage_id']
-              ]);
-            }
-
-            const allLeads = [...existingLeadsByContact, ...existingLeadsByLinkedIn];
-            const uniqueLeads = allLeads.filter((l, i, self) => i === self.findIndex(x => x.id === l.id));
-
-            if (uniqueLeads.length > 0) {
-              const existingLead = uniqueLeads[0];
-              await rollbackCreatedRecords(callOdoo, createdRecords);
-
-              await exportLogs.insertOne({
-                leadName: cleanName, linkedinUrl, crmType: 'odoo', crmId: existingLead.id,
-                exportedBy: userEmail, exportedAt: new Date(), status: 'duplicate', profileType: 'client'
-              });
-
-              return res.json({
-                success: false, alreadyExists: true, message: `Opportunity exists (ID: ${existingLead.id})`,
-                crmId: existingLead.id, opportunityName: existingLead.name, stage: existingLead.stage_id?.[1]
-              });
-            }
-
-            // Create opportunity
-            const leadCreateData = {
-              name: `${cleanName}'s opportunity`,
-              partner_id: parseInt(contactId, 10),
-              contact_name: cleanName,
-              type: 'opportunity',
-              user_id: salespersonId,
-              source_id: linkedinSourceId,
-              x_studio_client_type: clientType
-            };
-
-            const emailFrom = sanitizeForOdoo(leadData.email || '');
-            leadCreateData.email_from = (emailFrom && isValidEmail(emailFrom) && emailFrom !== 'No email found') ? emailFrom : 'noemail@domain.com';
-            if (leadData.phone) leadCreateData.phone = sanitizeForOdoo(leadData.phone);
-            if (leadData.function) leadCreateData.function = sanitizeForOdoo(leadData.function);
-            if (leadData.street) leadCreateData.street = sanitizeForOdoo(leadData.street);
-            if (linkedinUrl) leadCreateData.website = linkedinUrl;
-
-            const leadResult = await callOdoo('crm.lead', 'create', [[leadCreateData]]);
-            const leadId = Array.isArray(leadResult) ? leadResult[0] : leadResult;
-            createdRecords.opportunity = leadId;
-
-            await exportLogs.insertOne({
-              leadName: cleanName, linkedinUrl, crmType: 'odoo', crmId: leadId, companyId, contactId,
-              exportedBy: userEmail, exportedAt: new Date(), status: 'success', profileType: 'client', clientType
-            });
-
-            return res.json({
-              success: true, message: `Lead exported as ${clientType}`, crmId: leadId, crmType: 'odoo', profileType: 'client',
-              details: { companyCreated: !isExistingCompany, contactCreated: !contactAlreadyExists, leadCreated: true, clientType, companyId, contactId }
-            });
-          }
-
-        } catch (creationError) {
-          await rollbackCreatedRecords(callOdoo, createdRecords);
-          throw creationError;
-        }
-
-      } catch (error) {
-        console.error('Odoo export error:', error);
-        await exportLogs.insertOne({
-          leadName: req.body.leadData?.name, linkedinUrl: req.body.linkedinUrl, crmType: 'odoo',
-          profileType: req.body.profileType, exportedBy: req.body.userEmail, exportedAt: new Date(),
-          status: 'failed', errorMessage: error.message
-        }).catch(() => {});
-
-        res.status(500).json({ success: false, error: error.message || 'Export failed' });
-      }
-    });
-
-    // CHECK EXPORT (SECURE)
-    app.get('/api/crm/check-export', async (req, res) => {
-      try {
-        const { url, userEmail } = req.query;
-
-        if (!url || !userEmail) {
-          return res.status(400).json({ error: 'URL and userEmail required', alreadyExported: false });
-        }
-
-        const existingExport = await exportLogs.findOne({
-          linkedinUrl: url, exportedBy: userEmail, status: 'success', crmType: 'odoo'
-        });
-
-        if (!existingExport) return res.json({ alreadyExported: false });
-
-        const crmConfig = getOdooConfig();
-        if (!validateOdooConfig()) {
-          return res.json({ alreadyExported: true, exportedAt: existingExport.exportedAt, crmId: existingExport.crmId, verified: false });
-        }
-
-        try {
-          const authResponse = await fetch(`${crmConfig.endpointUrl}/web/session/authenticate`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              jsonrpc: "2.0",
-              params: { db: crmConfig.databaseName, login: crmConfig.username, password: crmConfig.password }
-            })
-          });
-
-          const setCookieHeader = authResponse.headers.get('set-cookie');
-          let cookies = setCookieHeader ? setCookieHeader.split(',').map(c => c.trim().split(';')[0]).join('; ') : '';
-
-          const authResult = await authResponse.json();
-          if (!authResult.result?.uid) throw new Error('Auth failed');
-
-          const userId = authResult.result.uid;
-          if (!cookies && authResult.result.session_id) cookies = `session_id=${authResult.result.session_id}`;
-
-          const modelName = existingExport.profileType === 'candidate' ? 'hr.candidate' : 'crm.lead';
-          
-          const checkResponse = await fetch(`${crmConfig.endpointUrl}/jsonrpc`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Cookie': cookies },
-            body: JSON.stringify({
-              jsonrpc: "2.0", method: "call",
-              params: {
-                service: "object", method: "execute_kw",
-                args: [crmConfig.databaseName, userId, crmConfig.password, modelName, 'search_read', [[['id', '=', existingExport.crmId]]], ['id', 'name', 'active']]
-              },
-              id: Date.now()
-            })
-          });
-
-          const checkResult = await checkResponse.json();
-          const records = checkResult.result || [];
-
-          if (records.length === 0) {
-            return res.json({ alreadyExported: false, wasDeleted: true, mongoDbHasLog: true });
-          }
-
-          return res.json({ alreadyExported: true, exportedAt: existingExport.exportedAt, crmId: existingExport.crmId, verified: true });
-
-        } catch (odooError) {
-          return res.json({ alreadyExported: true, exportedAt: existingExport.exportedAt, crmId: existingExport.crmId, verified: false });
-        }
-
-      } catch (error) {
-        res.status(200).json({ alreadyExported: false, error: error.message });
-      }
-    });
-
-    console.log('✅ Odoo CRM endpoints registered (SECURE MODE)');
-
     // HEALTH CHECK
     app.get('/health', (req, res) => {
       res.json({ 
@@ -1109,8 +696,9 @@ async function startServer() {
         timestamp: new Date().toISOString(),
         version: '2.4.0-remove-duplicate-routes',
         features: {
-          openaiProxy: !!process.env.OPENAI_API_KEY,
-          odooIntegration: validateOdooConfig(),
+          openaiProxy: isLlmRouteConfigured('generate'),
+          odooIntegration: getCrmAdapter('odoo').isConfigured(),
+          hubspotIntegration: getCrmAdapter('hubspot').isConfigured(),
           emailEnrichment: true,
           leadValidation: true,
           leadUpdates: true
@@ -0,0 +1,98 @@
+/**
+ * Backfill Script: Set companyKey on existing leads, company patterns and companies
+ *
+ * Documents saved before company name canonicalization (src/company-names.js)
+ * have no companyKey, so lookups by key miss them - and a pattern learned
+ * under "Google LLC" isn't found for "Google India Pvt Ltd". This sets the
+ * key from the stored name, following any alias records.
+ *
+ * Options (environment):
+ * - DRY_RUN=true   Count and show samples, write nothing
+ * - FORCE=true     Recompute keys that are already set (after changing aliases by hand)
+ *
+ * Run with: MONGODB_URI=$MONGO_URL node scripts/backfill-company-keys.js
+ * Dry run:  DRY_RUN=true MONGODB_URI=$MONGO_URL node scripts/backfill-company-keys.js
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { resolveCompanyKey } = require('../src/company-names');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const FORCE = process.env.FORCE === 'true';
+const BATCH_SIZE = 500;
+
+// collection -> fields holding the company name, first non-empty wins
+const TARGETS = {
+  leads: ['companyName', 'company'],
+  company_patterns: ['companyName'],
+  companies: ['name']
+};
+
+async function backfillCollection(db, collectionName, nameFields) {
+  const collection = db.collection(collectionName);
+  const query = FORCE ? {} : { companyKey: { $exists: false } };
+  const total = await collection.countDocuments(query);
+  console.log(`📋 ${collectionName}: ${total} documents to key`);
+
+  const stats = { keyed: 0, skipped: 0 };
+  const samples = [];
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    if (!DRY_RUN) await collection.bulkWrite(batch, { ordered: false });
+    batch = [];
+    console.log(`   ... ${stats.keyed + stats.skipped}/${total}`);
+  };
+
+  for await (const doc of collection.find(query, { projection: Object.fromEntries(nameFields.map(f => [f, 1])) })) {
+    const name = nameFields.map(field => doc[field]).find(Boolean);
+    const companyKey = await resolveCompanyKey(db, name);
+    if (!companyKey) {
+      stats.skipped++;
+      continue;
+    }
+
+    stats.keyed++;
+    if (samples.length < 5) samples.push(`${name} -> ${companyKey}`);
+
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { companyKey } } } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  samples.forEach(sample => console.log(`   ${sample}`));
+  console.log(`   ${DRY_RUN ? '🔍 Would key' : '✅ Keyed'} ${stats.keyed} (${stats.skipped} without a company name)\n`);
+  return stats;
+}
+
+async function backfillCompanyKeys() {
+  if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI environment variable not set');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(MONGODB_URI);
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to MongoDB\n');
+    if (DRY_RUN) console.log('🔍 DRY RUN - no changes will be written\n');
+
+    const db = client.db('brynsaleads');
+    for (const [collectionName, nameFields] of Object.entries(TARGETS)) {
+      await backfillCollection(db, collectionName, nameFields);
+    }
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+backfillCompanyKeys();
@@ -0,0 +1,121 @@
+/**
+ * Backfill Script: Parse seniority, job function and department for existing leads
+ *
+ * Leads saved before the profile parser (src/profile-parser.js) have no
+ * seniority / jobFunction / department / isDecisionMaker. This fills them in
+ * from currentTitle / title / headline using the same rules as the save routes.
+ *
+ * Options (environment):
+ * - DRY_RUN=true   Count and show samples, write nothing
+ * - FORCE=true     Re-parse leads that were already parsed by the rules
+ *                  (never overwrites leads the LLM has parsed)
+ * - USE_LLM=true   Send titles the rules can't place to the LLM gateway
+ *                  ('parse-profile' route; not charged to any user's quota)
+ *
+ * Rules-based leads are rescored against their owner's ICP on the next save
+ * or ICP rescore - this script only writes the profile fields.
+ *
+ * Run with: MONGODB_URI=$MONGO_URL node scripts/backfill-profile-fields.js
+ * Dry run:  DRY_RUN=true MONGODB_URI=$MONGO_URL node scripts/backfill-profile-fields.js
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { profileFields, needsLlmParse, parseProfileWithLlm } = require('../src/profile-parser');
+const { isLlmRouteConfigured } = require('../src/llm');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const FORCE = process.env.FORCE === 'true';
+const USE_LLM = process.env.USE_LLM === 'true';
+const BATCH_SIZE = 500;
+
+async function backfillProfileFields() {
+  if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI environment variable not set');
+    process.exit(1);
+  }
+  if (USE_LLM && !isLlmRouteConfigured('parse-profile')) {
+    console.error('❌ USE_LLM=true but the parse-profile LLM route is not configured');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(MONGODB_URI);
+
+  try {
+    await client.connect();
+    console.log('✅ Connected to MongoDB\n');
+    if (DRY_RUN) console.log('🔍 DRY RUN - no changes will be written\n');
+
+    const db = client.db('brynsaleads');
+    const leadsCollection = db.collection('leads');
+
+    const query = {
+      deleted: { $ne: true },
+      $or: [{ currentTitle: { $nin: [null, ''] } }, { title: { $nin: [null, ''] } }, { headline: { $nin: [null, ''] } }],
+      ...(FORCE ? { profileParseSource: { $ne: 'llm' } } : { profileParsedAt: { $exists: false } })
+    };
+
+    const total = await leadsCollection.countDocuments(query);
+    console.log(`📋 ${total} leads to parse\n`);
+
+    const stats = { parsed: 0, complete: 0, llm: 0, llmFailed: 0 };
+    const bySeniority = {};
+    const samples = [];
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      if (!DRY_RUN) await leadsCollection.bulkWrite(batch, { ordered: false });
+      batch = [];
+      console.log(`   ... ${stats.parsed}/${total}`);
+    };
+
+    for await (const lead of leadsCollection.find(query)) {
+      let fields = profileFields(lead);
+
+      if (USE_LLM && needsLlmParse(fields)) {
+        try {
+          const { fields: llmFields } = await parseProfileWithLlm(db, lead, fields);
+          if (llmFields) {
+            fields = llmFields;
+            stats.llm++;
+          }
+        } catch (error) {
+          stats.llmFailed++;
+          console.warn(`⚠️ LLM parse failed for ${lead._id}: ${error.message}`);
+        }
+      }
+
+      stats.parsed++;
+      if (fields.seniority && fields.department) stats.complete++;
+      bySeniority[fields.seniority || 'unknown'] = (bySeniority[fields.seniority || 'unknown'] || 0) + 1;
+      if (samples.length < 10) {
+        samples.push(`${lead.currentTitle || lead.title || lead.headline} -> ${fields.seniority} / ${fields.jobFunction} / ${fields.department}`);
+      }
+
+      batch.push({ updateOne: { filter: { _id: lead._id }, update: { $set: fields } } });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log('\n📊 Samples:');
+    samples.forEach(sample => console.log(`   ${sample}`));
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`${DRY_RUN ? '🔍 Would update' : '✅ Updated'} ${stats.parsed} leads`);
+    console.log(`   Fully parsed (seniority + department): ${stats.complete}`);
+    if (USE_LLM) console.log(`   Parsed by LLM: ${stats.llm} (${stats.llmFailed} failed)`);
+    console.log(`   By seniority: ${JSON.stringify(bySeniority)}`);
+    console.log('='.repeat(50));
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+}
+
+backfillProfileFields();
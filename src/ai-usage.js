@@ -0,0 +1,237 @@
+// ============================================================================
+// ai-usage.js - Monthly AI Quotas Per Plan
+// ============================================================================
+//
+// Every AI call is charged to the signed-in user in ai_usage, one document
+// per user per calendar month (UTC):
+//
+//   { userId, month: '2026-10', requests, tokens, promptTokens, completionTokens,
+//     byRoute: { <route>: { requests, tokens } }, createdAt, updatedAt }
+//
+// A request is reserved before the model is called (atomically, so parallel
+// calls can't overshoot the request quota) and released again if the call
+// fails. Tokens are only known afterwards, so the token quota is checked
+// against what's been used so far - the last request of a month may go over.
+// Replies served from the LLM cache count as a request but cost no tokens.
+//
+// Every call is also written to the ai_cost_ledger with its token counts and
+// estimated cost (src/llm/pricing.js), for the admin cost report:
+//
+//   { userId, userEmail, route, provider, model, promptTokens, completionTokens,
+//     totalTokens, estimatedTokens, cost, cached, day: 'YYYY-MM-DD', createdAt }
+//
+// Environment (optional):
+// - AI_QUOTA_FREE_REQUESTS / AI_QUOTA_FREE_TOKENS
+// - AI_QUOTA_PRO_REQUESTS / AI_QUOTA_PRO_TOKENS
+// ============================================================================
+
+const { checkFeatureAccess } = require('./auth');
+const { estimateCost } = require('./llm/pricing');
+
+const USAGE_COLLECTION = 'ai_usage';
+const LEDGER_COLLECTION = 'ai_cost_ledger';
+
+const AI_QUOTAS = {
+  free: {
+    requests: parseInt(process.env.AI_QUOTA_FREE_REQUESTS) || 50,
+    tokens: parseInt(process.env.AI_QUOTA_FREE_TOKENS) || 25000
+  },
+  pro: {
+    requests: parseInt(process.env.AI_QUOTA_PRO_REQUESTS) || 2000,
+    tokens: parseInt(process.env.AI_QUOTA_PRO_TOKENS) || 1000000
+  }
+};
+
+function getQuota(user) {
+  return AI_QUOTAS[user?.plan] || AI_QUOTAS.free;
+}
+
+function currentMonth(now = new Date()) {
+  return now.toISOString().substring(0, 7);
+}
+
+function nextMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+function usageFilter(user) {
+  return { userId: user._id.toString(), month: currentMonth() };
+}
+
+/**
+ * Check plan features and reserve one request against the monthly quota
+ * @param {object} db - Mongo database
+ * @param {object} user - portal_users document (req.user)
+ * @param {string|Array} features - Plan feature(s); any one of them grants access. null = no plan gate
+ * @returns {object} { allowed: true } or { allowed: false, status, body }
+ */
+async function authorizeAiRequest(db, user, features) {
+  const required = features ? [].concat(features) : [];
+  if (required.length > 0 && !required.some(feature => checkFeatureAccess(user, feature))) {
+    return {
+      allowed: false,
+      status: 403,
+      body: { success: false, error: 'This AI feature requires a Pro plan', upgradeRequired: true, feature: required[0] }
+    };
+  }
+
+  const usage = db.collection(USAGE_COLLECTION);
+  const filter = usageFilter(user);
+  const quota = getQuota(user);
+  const now = new Date();
+
+  await usage.updateOne(
+    filter,
+    { $setOnInsert: { ...filter, requests: 0, tokens: 0, promptTokens: 0, completionTokens: 0, byRoute: {}, createdAt: now } },
+    { upsert: true }
+  );
+
+  const reserved = await usage.findOneAndUpdate(
+    { ...filter, requests: { $lt: quota.requests }, tokens: { $lt: quota.tokens } },
+    { $inc: { requests: 1 }, $set: { updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+
+  if (!reserved) {
+    return {
+      allowed: false,
+      status: 429,
+      body: {
+        success: false,
+        error: 'Monthly AI quota reached',
+        quotaExceeded: true,
+        quota,
+        resetsAt: nextMonthStart().toISOString()
+      }
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Charge a completed call to the month's usage and write it to the cost ledger
+ * @param {object} result - LLM gateway result: { usage, model, provider, cached }
+ */
+async function recordAiUsage(db, user, route, result = {}) {
+  const usage = result.usage || {};
+  const charged = result.cached ? { promptTokens: 0, completionTokens: 0, totalTokens: 0 } : usage;
+  const tokens = charged.totalTokens || 0;
+  const now = new Date();
+
+  await db.collection(USAGE_COLLECTION).updateOne(usageFilter(user), {
+    $inc: {
+      tokens,
+      promptTokens: charged.promptTokens || 0,
+      completionTokens: charged.completionTokens || 0,
+      [`byRoute.${route}.requests`]: 1,
+      [`byRoute.${route}.tokens`]: tokens
+    },
+    $set: { updatedAt: now }
+  });
+
+  await db.collection(LEDGER_COLLECTION).insertOne({
+    userId: user._id.toString(),
+    userEmail: user.email,
+    route,
+    provider: result.provider || null,
+    model: result.model || null,
+    promptTokens: charged.promptTokens || 0,
+    completionTokens: charged.completionTokens || 0,
+    totalTokens: tokens,
+    estimatedTokens: !!usage.estimated,
+    cost: result.cached ? 0 : estimateCost(result.provider, result.model, usage),
+    cached: !!result.cached,
+    day: now.toISOString().substring(0, 10),
+    createdAt: now
+  });
+}
+
+// Give back a reserved request when the model call failed
+async function releaseAiRequest(db, user) {
+  await db.collection(USAGE_COLLECTION).updateOne(
+    { ...usageFilter(user), requests: { $gt: 0 } },
+    { $inc: { requests: -1 } }
+  );
+}
+
+/**
+ * Current month's usage and remaining quota for a user
+ */
+async function getAiUsage(db, user) {
+  const doc = await db.collection(USAGE_COLLECTION).findOne(usageFilter(user));
+  const quota = getQuota(user);
+  const requests = doc?.requests || 0;
+  const tokens = doc?.tokens || 0;
+
+  return {
+    month: currentMonth(),
+    plan: user.plan || 'free',
+    requests,
+    tokens,
+    promptTokens: doc?.promptTokens || 0,
+    completionTokens: doc?.completionTokens || 0,
+    byRoute: doc?.byRoute || {},
+    quota,
+    remaining: {
+      requests: Math.max(0, quota.requests - requests),
+      tokens: Math.max(0, quota.tokens - tokens)
+    },
+    resetsAt: nextMonthStart().toISOString()
+  };
+}
+
+/**
+ * Cost ledger aggregates for a date range
+ * @param {object} db - Mongo database
+ * @param {object} range - { from, to } Dates (to is exclusive)
+ * @returns {object} { totals, byUser, byDay }
+ */
+async function getAiCostReport(db, { from, to }) {
+  const ledger = db.collection(LEDGER_COLLECTION);
+  const match = { $match: { createdAt: { $gte: from, $lt: to } } };
+  const sums = {
+    requests: { $sum: 1 },
+    cachedRequests: { $sum: { $cond: ['$cached', 1, 0] } },
+    promptTokens: { $sum: '$promptTokens' },
+    completionTokens: { $sum: '$completionTokens' },
+    totalTokens: { $sum: '$totalTokens' },
+    cost: { $sum: '$cost' }
+  };
+
+  const [totals, byUser, byDay] = await Promise.all([
+    ledger.aggregate([match, { $group: { _id: null, ...sums } }]).toArray(),
+    ledger.aggregate([
+      match,
+      { $group: { _id: '$userEmail', ...sums, lastRequestAt: { $max: '$createdAt' } } },
+      { $sort: { cost: -1, totalTokens: -1 } },
+      { $limit: 100 }
+    ]).toArray(),
+    ledger.aggregate([match, { $group: { _id: '$day', ...sums } }, { $sort: { _id: 1 } }]).toArray()
+  ]);
+
+  const round = row => ({ ...row, cost: Math.round((row.cost || 0) * 1e4) / 1e4 });
+  const { _id, ...total } = totals[0] || { requests: 0, cachedRequests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+
+  return {
+    totals: round(total),
+    byUser: byUser.map(({ _id, ...row }) => round({ userEmail: _id, ...row })),
+    byDay: byDay.map(({ _id, ...row }) => round({ day: _id, ...row }))
+  };
+}
+
+function ensureAiUsageIndexes(db) {
+  db.collection(USAGE_COLLECTION).createIndex({ userId: 1, month: 1 }, { unique: true }).catch(() => {});
+  db.collection(LEDGER_COLLECTION).createIndex({ createdAt: -1 }).catch(() => {});
+  db.collection(LEDGER_COLLECTION).createIndex({ userEmail: 1, createdAt: -1 }).catch(() => {});
+}
+
+module.exports = {
+  authorizeAiRequest,
+  recordAiUsage,
+  releaseAiRequest,
+  getAiUsage,
+  getAiCostReport,
+  ensureAiUsageIndexes,
+  AI_QUOTAS
+};
@@ -0,0 +1,151 @@
+/**
+ * AI Compose Routes for Brynsa Backend
+ * File: src/ai.js
+ *
+ * Generates outreach copy for a saved lead from a server-side template
+ * (src/prompts.js) - the client picks a template and tone, never the prompt.
+ *
+ * Routes:
+ *   GET  /api/ai/templates
+ *   POST /api/ai/compose    { template, leadId, tone? }
+ *   GET  /api/user/ai-usage - This month's AI requests/tokens and remaining quota
+ *   GET  /api/admin/ai-costs?secret=&from=&to= - Cost ledger by user and by day (admin - REBUILD_SECRET)
+ *
+ * Compose is gated on the template's plan feature and counted against the
+ * user's monthly AI quota (src/ai-usage.js).
+ */
+
+const { ObjectId } = require('mongodb');
+const { completeLlm, isLlmRouteConfigured } = require('./llm');
+const { authorizeAiRequest, recordAiUsage, releaseAiRequest, getAiUsage, getAiCostReport, ensureAiUsageIndexes } = require('./ai-usage');
+const { getTemplate, listTemplates, leadVariables, renderTemplate, formatOutput, TONES, DEFAULT_TONE } = require('./prompts');
+
+function setupAiRoutes(app, db) {
+  const leadsCollection = db.collection('leads');
+  const usersCollection = db.collection('portal_users');
+
+  const { authMiddleware } = require('./auth');
+  const auth = authMiddleware(usersCollection);
+
+  // ==================== LIST TEMPLATES ====================
+  app.get('/api/ai/templates', auth, (req, res) => {
+    res.json({ success: true, templates: listTemplates(), tones: TONES, defaultTone: DEFAULT_TONE });
+  });
+
+  // ==================== COMPOSE ====================
+  app.post('/api/ai/compose', auth, async (req, res) => {
+    let reserved = false;
+    try {
+      const { template: templateName, leadId, tone = DEFAULT_TONE } = req.body;
+      const template = getTemplate(templateName);
+
+      if (!template) {
+        return res.status(400).json({ success: false, error: `template must be one of: ${listTemplates().map(t => t.name).join(', ')}` });
+      }
+      if (!TONES.includes(tone)) {
+        return res.status(400).json({ success: false, error: `tone must be one of: ${TONES.join(', ')}` });
+      }
+      if (!/^[a-fA-F0-9]{24}$/.test(String(leadId || ''))) {
+        return res.status(400).json({ success: false, error: 'Invalid lead ID format' });
+      }
+      if (!isLlmRouteConfigured('compose')) {
+        return res.status(500).json({ success: false, error: 'AI service not configured' });
+      }
+
+      const userId = req.user._id.toString();
+      const ownershipConditions = [{ userId }, { visitorId: userId }];
+      if (req.user.email) {
+        ownershipConditions.push({ userEmail: req.user.email });
+        ownershipConditions.push({ visitorEmail: req.user.email });
+      }
+
+      const lead = await leadsCollection.findOne({
+        _id: new ObjectId(leadId),
+        $or: ownershipConditions,
+        deleted: { $ne: true }
+      });
+
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+
+      const access = await authorizeAiRequest(db, req.user, template.feature);
+      if (!access.allowed) {
+        return res.status(access.status).json(access.body);
+      }
+      reserved = true;
+
+      const messages = renderTemplate(templateName, leadVariables(lead, req.user, tone));
+      const result = await completeLlm('compose', messages, { maxTokens: template.maxTokens });
+      await recordAiUsage(db, req.user, 'compose', result);
+      const { content, subject } = formatOutput(templateName, result.content);
+
+      if (!content) {
+        return res.status(502).json({ success: false, error: 'AI service returned an empty reply' });
+      }
+
+      await usersCollection.updateOne(
+        { _id: req.user._id },
+        { $inc: { [`usage.${template.usageField}`]: 1 } }
+      );
+
+      console.log(`✍️ Composed ${templateName} (${tone}) for ${req.user.email}`);
+
+      res.json({
+        success: true,
+        template: templateName,
+        tone,
+        content,
+        ...(subject ? { subject } : {}),
+        usageField: template.usageField
+      });
+
+    } catch (error) {
+      console.error('❌ Compose error:', error);
+      if (reserved) await releaseAiRequest(db, req.user).catch(() => {});
+      if (error.provider) {
+        return res.status(500).json({ success: false, error: error.message });
+      }
+      res.status(500).json({ success: false, error: 'AI service temporarily unavailable' });
+    }
+  });
+
+  // ==================== AI USAGE ====================
+  app.get('/api/user/ai-usage', auth, async (req, res) => {
+    try {
+      res.json({ success: true, usage: await getAiUsage(db, req.user) });
+    } catch (error) {
+      console.error('❌ AI usage error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get AI usage' });
+    }
+  });
+
+  // ==================== AI COSTS (ADMIN) ====================
+  // Defaults to the last 30 days; `to` is inclusive of that whole day
+  app.get('/api/admin/ai-costs', async (req, res) => {
+    try {
+      if (!process.env.REBUILD_SECRET || req.query.secret !== process.env.REBUILD_SECRET) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+      if (isNaN(from) || isNaN(to)) {
+        return res.status(400).json({ success: false, error: 'from/to must be dates (YYYY-MM-DD)' });
+      }
+      if (req.query.to) to.setUTCHours(24, 0, 0, 0);
+
+      const report = await getAiCostReport(db, { from, to });
+      res.json({ success: true, from: from.toISOString(), to: to.toISOString(), currency: 'USD', ...report });
+    } catch (error) {
+      console.error('❌ AI costs error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get AI costs' });
+    }
+  });
+
+  ensureAiUsageIndexes(db);
+
+  console.log('✅ AI compose routes registered: /api/ai/compose, /api/ai/templates, /api/user/ai-usage, /api/admin/ai-costs');
+}
+
+module.exports = { setupAiRoutes };
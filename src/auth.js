@@ -32,6 +32,7 @@ const JWT_EXPIRY = '30d';
 const OTP_EXPIRY_MINUTES = 10;
 
 const { Resend } = require('resend');
+const { resolveCompanyKey } = require('./company-names');
 const resend = new Resend(process.env.RESEND_API_KEY);
 
 // Feature gates - DISABLED by default for safe rollout
@@ -646,11 +647,13 @@ function setupAuthRoutes(app, db) {
   // ========================================================================
   app.put('/api/user/profile', authMiddleware(users), async (req, res) => {
     try {
-      const { name, picture } = req.body;
+      const { name, picture, aiProfileParsing } = req.body;
       const updates = {};
 
       if (name) updates.name = sanitizeString(name, 100);
       if (picture) updates.picture = sanitizeString(picture, 500);
+      // Opt-in: titles the rules can't parse go to the LLM, charged to the AI quota (src/profile-parser.js)
+      if (typeof aiProfileParsing === 'boolean') updates.aiProfileParsing = aiProfileParsing;
 
       if (Object.keys(updates).length === 0) {
         return res.status(400).json({ success: false, error: 'No valid fields to update' });
@@ -721,6 +724,7 @@ function setupAuthRoutes(app, db) {
             $set: {
               name: sanitizedCompanyName,
               normalizedName,
+              companyKey: await resolveCompanyKey(db, sanitizedCompanyName),
               updatedAt: new Date()
             },
             $setOnInsert: {
@@ -841,6 +845,7 @@ function setupAuthRoutes(app, db) {
       const updateData = {
         name: sanitizedName,
         normalizedName,
+        companyKey: await resolveCompanyKey(db, sanitizedName),
         updatedAt: new Date()
       };
 
@@ -1246,6 +1251,7 @@ function sanitizeUser(user) {
     features: user.plan === 'pro' ? PRO_PLAN_FEATURES : FREE_PLAN_FEATURES,
     usage: user.usage || {},
     onboarding: user.onboarding || { completed: false },
+    aiProfileParsing: user.aiProfileParsing === true,
     createdAt: user.createdAt,
     lastLogin: user.lastLogin
     // NOTE: Never include password!
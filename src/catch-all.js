@@ -0,0 +1,77 @@
+/**
+ * Catch-all Domain Detection for Brynsa Backend
+ * File: src/catch-all.js
+ *
+ * Some mail servers answer 250 to RCPT TO for every address on the domain,
+ * so an SMTP "accepted" there proves nothing. After a real address is
+ * accepted we probe one random local part that can't exist: if that's
+ * accepted too, the domain is catch-all and the address gets an
+ * 'accept_all' verdict instead of 'valid'.
+ *
+ * One probe per domain - results are cached in memory and on the domain's
+ * domain_intel document (catchAll, catchAllCheckedAt - see src/domain-intel.js).
+ * With a db the probe spends the domain's SMTP budget like any other RCPT TO
+ * (reserveSmtpCheck); when the budget says no, the answer is inconclusive.
+ *
+ * Used by src/email-verifier.js (the catch_all step).
+ */
+
+const crypto = require('crypto');
+const { getDomainIntel, saveDomainIntel, reserveSmtpCheck, TTL } = require('./domain-intel');
+
+const CATCH_ALL_TTL_MS = TTL.catchAll;
+const INCONCLUSIVE_TTL_MS = 60 * 60 * 1000;  // Timeouts etc. - retry within the hour, never stored
+
+const memoryCache = new Map(); // domain -> { catchAll, expiresAt }
+
+function probeAddress(domain) {
+  return `brynsa-probe-${crypto.randomBytes(6).toString('hex')}@${domain}`;
+}
+
+/**
+ * Does this domain accept mail for any address?
+ * @param {string} domain
+ * @param {string} mxHost
+ * @param {function} checkSMTP - (email, mxHost) => { valid, definitelyInvalid, reason }
+ * @param {object} [options] - { db } to share results across processes
+ * @returns {boolean|null} null when the probe was inconclusive
+ */
+async function isCatchAllDomain(domain, mxHost, checkSMTP, { db } = {}) {
+  domain = String(domain || '').toLowerCase();
+  if (!domain || !mxHost) return null;
+
+  const cached = memoryCache.get(domain);
+  if (cached && cached.expiresAt > Date.now()) return cached.catchAll;
+
+  if (db) {
+    const stored = await getDomainIntel(db, domain);
+    if (typeof stored?.catchAll === 'boolean' && Date.now() - new Date(stored.catchAllCheckedAt).getTime() < CATCH_ALL_TTL_MS) {
+      memoryCache.set(domain, { catchAll: stored.catchAll, expiresAt: Date.now() + CATCH_ALL_TTL_MS });
+      return stored.catchAll;
+    }
+
+    // Not cached - the domain will be asked again once the budget allows
+    const gate = await reserveSmtpCheck(db, domain);
+    if (!gate.allowed) return null;
+  }
+
+  const probe = await checkSMTP(probeAddress(domain), mxHost);
+  const catchAll = probe.valid ? true : probe.definitelyInvalid ? false : null;
+
+  memoryCache.set(domain, {
+    catchAll,
+    expiresAt: Date.now() + (catchAll === null ? INCONCLUSIVE_TTL_MS : CATCH_ALL_TTL_MS)
+  });
+
+  if (db && catchAll !== null) {
+    await saveDomainIntel(db, domain, { catchAll, catchAllCheckedAt: new Date() });
+  }
+
+  if (catchAll) console.log(`📬 ${domain} is catch-all (accepts any address)`);
+  return catchAll;
+}
+
+module.exports = {
+  isCatchAllDomain,
+  probeAddress
+};
@@ -0,0 +1,278 @@
+/**
+ * Company Name Canonicalization for Brynsa Backend
+ * File: src/company-names.js
+ *
+ * "Google", "Google LLC" and "Google India Pvt Ltd" are one company. Every
+ * company name gets a canonical companyKey, stored next to the name on
+ * leads, company_patterns and companies, so lookups by key see every spelling:
+ *
+ *   companyKey("The Acme Corp., Inc.")  -> "acme"     (suffixes and punctuation)
+ *   resolveCompanyKey(db, "Google India Pvt Ltd") -> "google"   (alias record)
+ *
+ * Spellings the key can't reconcile on its own are joined by an admin merge,
+ * which writes alias records and re-points existing documents:
+ *
+ *   company_aliases: { aliasKey, aliasName, canonicalKey, canonicalName, createdAt, updatedAt }
+ *
+ * Routes (admin - secret is REBUILD_SECRET):
+ *   GET    /api/company-aliases?company=     - Canonical key for a name, or list all aliases
+ *   GET    /api/company-aliases/suggestions  - Names that look like one company (e.g. regional entities)
+ *   POST   /api/company-aliases/merge        { canonicalName, aliases: [names] }
+ *   DELETE /api/company-aliases/:alias
+ */
+
+const COLLECTION = 'company_aliases';
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'plc', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'ag', 'sa', 'sas', 'sarl', 'bv', 'nv', 'pvt', 'private', 'pte', 'pty', 'srl', 'spa', 'ab', 'oy', 'kk'
+]);
+
+// Trailing words that usually mark a regional entity ("Google India") - only
+// used for merge suggestions, never stripped automatically ("Air India")
+const REGION_WORDS = new Set([
+  'india', 'usa', 'us', 'uk', 'germany', 'deutschland', 'france', 'canada', 'australia', 'singapore',
+  'japan', 'china', 'brazil', 'mexico', 'spain', 'italy', 'netherlands', 'ireland', 'europe', 'emea',
+  'apac', 'asia', 'latam', 'global', 'international', 'worldwide'
+]);
+
+let aliasCache = null;  // { loadedAt, byKey: Map(aliasKey -> canonicalKey) }
+
+function companyWords(name) {
+  const words = String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (words[0] === 'the' && words.length > 1) words.shift();
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) words.pop();
+  return words;
+}
+
+/**
+ * Canonical key for a company name, before aliases: "The Acme Corp., Inc." -> "acme"
+ */
+function companyKey(name) {
+  return companyWords(name).join('');
+}
+
+async function loadAliases(db) {
+  if (aliasCache && Date.now() - aliasCache.loadedAt < CACHE_TTL_MS) return aliasCache.byKey;
+
+  const aliases = await db.collection(COLLECTION).find({}).toArray();
+  const byKey = new Map(aliases.map(a => [a.aliasKey, a.canonicalKey]));
+
+  aliasCache = { loadedAt: Date.now(), byKey };
+  return byKey;
+}
+
+function invalidateAliasCache() {
+  aliasCache = null;
+}
+
+/**
+ * Canonical key for a company name, following alias records
+ * @returns {string} '' for an empty name
+ */
+async function resolveCompanyKey(db, name) {
+  const key = companyKey(name);
+  if (!key) return '';
+  const aliases = await loadAliases(db);
+  return aliases.get(key) || key;
+}
+
+/**
+ * Record aliasNames as spellings of canonicalName and re-point existing documents
+ * @returns {object} { canonicalKey, aliasKeys, leads, patterns, companies } - documents re-pointed
+ */
+async function mergeCompanies(db, canonicalName, aliasNames) {
+  const aliasesCollection = db.collection(COLLECTION);
+  const canonicalKey = await resolveCompanyKey(db, canonicalName);
+  const aliasKeys = [...new Set(aliasNames.map(companyKey))].filter(k => k && k !== canonicalKey);
+  const now = new Date();
+
+  for (const name of aliasNames) {
+    const aliasKey = companyKey(name);
+    if (!aliasKeys.includes(aliasKey)) continue;
+    await aliasesCollection.updateOne(
+      { aliasKey },
+      {
+        $set: { aliasKey, aliasName: String(name).trim(), canonicalKey, canonicalName: String(canonicalName).trim(), updatedAt: now },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true }
+    );
+  }
+
+  // Whatever pointed at the merged names now points at the canonical one;
+  // the canonical name itself can't be an alias
+  await aliasesCollection.updateMany(
+    { canonicalKey: { $in: aliasKeys } },
+    { $set: { canonicalKey, canonicalName: String(canonicalName).trim(), updatedAt: now } }
+  );
+  await aliasesCollection.deleteMany({ aliasKey: canonicalKey });
+  invalidateAliasCache();
+
+  // Re-point documents: by key, and by exact name for ones saved before companyKey existed
+  const names = [canonicalName, ...aliasNames].map(n => String(n).trim());
+  const keys = [canonicalKey, ...aliasKeys];
+  const repoint = async (collection, nameFields) => {
+    const result = await db.collection(collection).updateMany(
+      { $or: [{ companyKey: { $in: keys } }, ...nameFields.map(field => ({ [field]: { $in: names } }))] },
+      { $set: { companyKey: canonicalKey } }
+    );
+    return result.modifiedCount || 0;
+  };
+
+  return {
+    canonicalKey,
+    aliasKeys,
+    leads: await repoint('leads', ['companyName', 'company']),
+    patterns: await repoint('company_patterns', ['companyName']),
+    companies: await repoint('companies', ['name'])
+  };
+}
+
+/**
+ * Company names in use that probably belong together: same key once a
+ * trailing region word is dropped ("Google India" + "Google")
+ */
+async function suggestCompanyMerges(db, limit = 50) {
+  const [names, aliases] = await Promise.all([
+    db.collection('leads').distinct('companyName', { deleted: { $ne: true } }),
+    loadAliases(db)
+  ]);
+
+  const groups = new Map();
+  for (const name of names) {
+    const words = companyWords(name);
+    if (words.length === 0) continue;
+    const base = words.length > 1 && REGION_WORDS.has(words[words.length - 1]) ? words.slice(0, -1).join('') : words.join('');
+    const key = words.join('');
+    const canonical = aliases.get(key) || key;
+    if (!groups.has(base)) groups.set(base, new Map());
+    const group = groups.get(base);
+    if (!group.has(canonical)) group.set(canonical, []);
+    group.get(canonical).push(name);
+  }
+
+  // Only groups where more than one canonical key is still in play
+  return [...groups.entries()]
+    .filter(([, byKey]) => byKey.size > 1)
+    .map(([base, byKey]) => ({ suggestedKey: base, names: [...byKey.values()].flat() }))
+    .slice(0, limit);
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+function setupCompanyNameRoutes(app, db) {
+  const aliases = db.collection(COLLECTION);
+
+  function isAdminRequest(req) {
+    return !!process.env.REBUILD_SECRET && req.query.secret === process.env.REBUILD_SECRET;
+  }
+
+  // GET /api/company-aliases?company=Google%20LLC
+  app.get('/api/company-aliases', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+
+      if (req.query.company) {
+        const name = String(req.query.company);
+        const canonicalKey = await resolveCompanyKey(db, name);
+        return res.json({
+          success: true,
+          company: name,
+          key: companyKey(name),
+          canonicalKey,
+          aliases: await aliases.find({ canonicalKey }).toArray()
+        });
+      }
+
+      const all = await aliases.find({}).sort({ canonicalKey: 1 }).toArray();
+      res.json({ success: true, count: all.length, aliases: all });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // GET /api/company-aliases/suggestions
+  app.get('/api/company-aliases/suggestions', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+      res.json({ success: true, suggestions: await suggestCompanyMerges(db) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // POST /api/company-aliases/merge - { canonicalName, aliases: ['Google LLC', 'Google India Pvt Ltd'] }
+  app.post('/api/company-aliases/merge', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+
+      const { canonicalName, aliases: aliasNames } = req.body;
+      if (!companyKey(canonicalName)) {
+        return res.status(400).json({ success: false, error: 'canonicalName is required' });
+      }
+      if (!Array.isArray(aliasNames) || aliasNames.length === 0 || aliasNames.length > 50) {
+        return res.status(400).json({ success: false, error: 'aliases must be an array of 1-50 company names' });
+      }
+
+      const result = await mergeCompanies(db, canonicalName, aliasNames.map(String));
+      console.log(`🏢 Merged ${result.aliasKeys.length} company aliases into "${result.canonicalKey}" (${result.leads} leads, ${result.patterns} patterns)`);
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Company merge error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // DELETE /api/company-aliases/:alias - Stop treating a name as an alias (documents keep their key until re-saved)
+  app.delete('/api/company-aliases/:alias', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+      const result = await aliases.deleteOne({ aliasKey: companyKey(req.params.alias) });
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ success: false, error: 'Alias not found' });
+      }
+      invalidateAliasCache();
+      res.json({ success: true, message: 'Alias deleted' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  aliases.createIndex({ aliasKey: 1 }, { unique: true }).catch(() => {});
+  aliases.createIndex({ canonicalKey: 1 }).catch(() => {});
+  db.collection('leads').createIndex({ companyKey: 1 }).catch(() => {});
+  db.collection('company_patterns').createIndex({ companyKey: 1 }).catch(() => {});
+  db.collection('companies').createIndex({ companyKey: 1 }).catch(() => {});
+
+  console.log('✅ Company alias routes registered: /api/company-aliases');
+}
+
+module.exports = {
+  setupCompanyNameRoutes,
+  companyKey,
+  resolveCompanyKey,
+  mergeCompanies,
+  suggestCompanyMerges,
+  invalidateAliasCache
+};
@@ -0,0 +1,505 @@
+/**
+ * CRM Export Routes for Brynsa Backend
+ * File: src/crm-export.js
+ *
+ * Generic export endpoints backed by the adapters in src/crm/:
+ *   POST /api/crm/:crmType/export
+ *   GET  /api/crm/:crmType/check-export
+ *   GET  /api/crm/jobs/:jobId
+ *   GET  /api/crm/jobs?batchId=           (progress of a queued list export, src/lists.js)
+ *
+ * Pass async: true (body) or ?async=true to queue the export as a background
+ * job (src/crm-jobs.js) with retries, instead of exporting inline. Queuing needs
+ * a signed-in portal user (Bearer token); the response is 202 with a jobId the
+ * same user can poll, and an optional https webhookUrl is called on completion.
+ *
+ * Pass mode: 'upsert' to update an existing CRM record with the new email /
+ * phone / title / skill instead of getting alreadyExists back; the response
+ * then carries updated: true and a field-level `changes` diff.
+ *
+ * Export history for the signed-in portal user:
+ *   GET  /api/crm/exports                 (paginated; status, profileType, crmType, from, to filters + stats)
+ *   POST /api/crm/exports/:id/retry       (re-run a failed export from its stored payload)
+ *
+ * Field mappings (which CRM fields the lead is written to, per organization):
+ *   GET    /api/crm/:crmType/field-mapping?organizationId=&secret=
+ *   PUT    /api/crm/:crmType/field-mapping?secret=   { organizationId?, mapping }
+ *   DELETE /api/crm/:crmType/field-mapping?organizationId=&secret=
+ * (admin - secret is REBUILD_SECRET; omit organizationId for the server-wide default)
+ *
+ * The original Odoo-only endpoints (/api/crm/export-odoo, /api/crm/check-export)
+ * are kept as aliases for crmType 'odoo' so existing extension builds keep working.
+ *
+ * SECURITY: CRM credentials are server-side only - never accepted from the client.
+ */
+
+const { ObjectId } = require('mongodb');
+const { getCrmAdapter, listCrmAdapters, supportsMode, prepareExportLead, buildExportLog, buildFailedExportLog } = require('./crm');
+const { normalizeSkills } = require('./skills');
+const {
+  getFieldMapping, getStoredFieldMapping, saveFieldMapping, deleteFieldMapping, validateFieldMapping, DEFAULT_ORGANIZATION
+} = require('./crm/field-mapping');
+const { enqueueExportJob, getExportJob, getExportBatch, serializeJob, validateWebhookUrl } = require('./crm-jobs');
+
+// A retry holds the failed log for this long - a server that dies mid-retry
+// leaves the claim behind, and it lapses instead of blocking retries forever
+const RETRY_LEASE_MS = 5 * 60 * 1000;
+
+function setupCrmExportRoutes(app, db) {
+  const exportLogs = db.collection('export_logs');
+  const usersCollection = db.collection('portal_users');
+
+  const { authMiddleware, optionalAuthMiddleware } = require('./auth');
+  const auth = authMiddleware(usersCollection);
+  // Inline exports still accept unauthenticated extension builds (userEmail in the body)
+  const optionalAuth = optionalAuthMiddleware(usersCollection);
+
+  // Field mappings are per organization - the signed-in user's company. The
+  // body's userEmail is unverified, so unauthenticated exports use the server default.
+  function resolveOrganizationId(user) {
+    return user?.companyId ? String(user.companyId) : null;
+  }
+
+  function isAdminRequest(req) {
+    return !!process.env.REBUILD_SECRET && req.query.secret === process.env.REBUILD_SECRET;
+  }
+
+  console.log('📤 Setting up CRM export routes...');
+
+  // ==================== EXPORT LEAD ====================
+  async function handleExport(req, res, crmType) {
+    const adapter = getCrmAdapter(crmType);
+    let prepared = null;
+
+    try {
+      // SECURITY: Do NOT accept crmConfig from client
+      const userEmail = req.user?.email || req.body.userEmail;
+
+      if (!adapter) {
+        return res.status(404).json({ success: false, error: `Unsupported CRM: ${crmType}` });
+      }
+
+      if (!adapter.isConfigured()) {
+        return res.status(500).json({ success: false, error: 'CRM configuration missing on server' });
+      }
+
+      prepared = prepareExportLead(req.body);
+      if (!prepared.valid) {
+        return res.status(prepared.status).json(prepared.body);
+      }
+
+      const { lead, mode } = prepared;
+      if (!supportsMode(adapter, mode)) {
+        return res.status(400).json({ success: false, error: `${adapter.label} does not support mode '${mode}'` });
+      }
+      const organizationId = resolveOrganizationId(req.user);
+
+      // Merge skill synonyms so the CRM gets one skill per taxonomy entry
+      if (lead.skills.length > 0) {
+        lead.skills = await normalizeSkills(db, lead.skills);
+        lead.extractedSkill = lead.skills[0]?.name || null;
+      }
+
+      if (req.body.async === true || req.query.async === 'true') {
+        if (!req.user) {
+          return res.status(401).json({ success: false, error: 'Sign in to queue exports' });
+        }
+
+        const { webhookUrl } = req.body;
+        if (webhookUrl) {
+          const check = await validateWebhookUrl(webhookUrl);
+          if (!check.valid) {
+            return res.status(400).json({ success: false, error: check.error });
+          }
+        }
+
+        const job = await enqueueExportJob(db, { crmType: adapter.type, lead, mode, organizationId, userEmail, webhookUrl });
+        console.log(`${adapter.label} export queued (${lead.profileType}):`, { lead: lead.name, jobId: job._id });
+
+        return res.status(202).json({
+          success: true, queued: true, jobId: job._id, status: job.status, statusUrl: `/api/crm/jobs/${job._id}`
+        });
+      }
+
+      console.log(`${adapter.label} export (${lead.profileType}):`, { lead: lead.name, company: lead.companyName });
+
+      const fieldMapping = await getFieldMapping(db, adapter, organizationId);
+      const result = await adapter.exportLead(lead, { mode, fieldMapping });
+
+      await exportLogs.insertOne(buildExportLog(adapter.type, lead, result, userEmail));
+
+      return sendExportResult(res, adapter, lead, result);
+
+    } catch (error) {
+      console.error(`${adapter?.label || crmType} export error:`, error);
+      const failedLog = prepared?.valid
+        ? buildFailedExportLog(adapter.type, prepared.lead, error, req.user?.email || req.body.userEmail, prepared.mode)
+        : {
+            leadName: req.body.leadData?.name, linkedinUrl: req.body.linkedinUrl, crmType: adapter?.type || crmType,
+            profileType: req.body.profileType, exportedBy: req.user?.email || req.body.userEmail, exportedAt: new Date(),
+            status: 'failed', errorMessage: error.message
+          };
+      await exportLogs.insertOne(failedLog).catch(() => {});
+
+      res.status(500).json({ success: false, error: error.message || 'Export failed' });
+    }
+  }
+
+  function sendExportResult(res, adapter, lead, result, extra = {}) {
+    if (result.status === 'duplicate') {
+      return res.json({ success: false, alreadyExists: true, message: result.message, crmId: result.crmId, ...extra, ...(result.response || {}) });
+    }
+
+    if (result.status === 'updated') {
+      return res.json({
+        success: true, updated: true, alreadyExists: true, message: result.message, crmId: result.crmId,
+        crmType: adapter.type, profileType: lead.profileType, ...extra, ...(result.response || {})
+      });
+    }
+
+    return res.json({
+      success: true, message: result.message, crmId: result.crmId, crmType: adapter.type, profileType: lead.profileType,
+      ...extra, ...(result.response || {})
+    });
+  }
+
+  // ==================== CHECK EXPORT ====================
+  async function handleCheckExport(req, res, crmType) {
+    try {
+      const { url, userEmail } = req.query;
+      const adapter = getCrmAdapter(crmType);
+
+      if (!adapter) {
+        return res.status(404).json({ error: `Unsupported CRM: ${crmType}`, alreadyExported: false });
+      }
+
+      if (!url || !userEmail) {
+        return res.status(400).json({ error: 'URL and userEmail required', alreadyExported: false });
+      }
+
+      const existingExport = await exportLogs.findOne({
+        linkedinUrl: url, exportedBy: userEmail, status: { $in: ['success', 'updated'] }, crmType: adapter.type
+      });
+
+      if (!existingExport) return res.json({ alreadyExported: false });
+
+      if (!adapter.isConfigured()) {
+        return res.json({ alreadyExported: true, exportedAt: existingExport.exportedAt, crmId: existingExport.crmId, verified: false });
+      }
+
+      try {
+        const exists = await adapter.checkExport(existingExport);
+
+        if (!exists) {
+          return res.json({ alreadyExported: false, wasDeleted: true, mongoDbHasLog: true });
+        }
+
+        return res.json({ alreadyExported: true, exportedAt: existingExport.exportedAt, crmId: existingExport.crmId, verified: true });
+
+      } catch (crmError) {
+        return res.json({ alreadyExported: true, exportedAt: existingExport.exportedAt, crmId: existingExport.crmId, verified: false });
+      }
+
+    } catch (error) {
+      res.status(200).json({ alreadyExported: false, error: error.message });
+    }
+  }
+
+  // ==================== ROUTES ====================
+  // GET /api/crm/adapters - Which CRMs this server can export to
+  app.get('/api/crm/adapters', (req, res) => {
+    res.json({ success: true, adapters: listCrmAdapters() });
+  });
+
+  // ==================== EXPORT HISTORY ====================
+  // GET /api/crm/exports - The signed-in user's exports, newest first
+  // Query: page, limit (max 100), status (comma list), profileType, crmType, from, to (ISO dates)
+  app.get('/api/crm/exports', auth, async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const { status, profileType, crmType, from, to } = req.query;
+
+      const query = { exportedBy: req.user.email };
+      if (status) query.status = { $in: String(status).split(',').map(s => s.trim()).filter(Boolean) };
+      if (profileType) query.profileType = String(profileType).toLowerCase();
+      if (crmType) query.crmType = String(crmType).toLowerCase();
+
+      if (from || to) {
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+          return res.status(400).json({ success: false, error: 'from/to must be valid dates' });
+        }
+        query.exportedAt = {};
+        if (fromDate) query.exportedAt.$gte = fromDate;
+        if (toDate) query.exportedAt.$lte = toDate;
+      }
+
+      const [total, exports, statusCounts, topErrors] = await Promise.all([
+        exportLogs.countDocuments(query),
+        exportLogs
+          .find(query)
+          .sort({ exportedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        exportLogs.aggregate([
+          { $match: query },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]).toArray(),
+        exportLogs.aggregate([
+          { $match: { ...query, status: 'failed' } },
+          { $group: { _id: '$errorMessage', count: { $sum: 1 }, lastSeen: { $max: '$exportedAt' } } },
+          { $sort: { count: -1 } },
+          { $limit: 5 }
+        ]).toArray()
+      ]);
+
+      const byStatus = { success: 0, updated: 0, duplicate: 0, failed: 0 };
+      statusCounts.forEach(s => { byStatus[s._id] = s.count; });
+      const attempted = Object.values(byStatus).reduce((sum, n) => sum + n, 0);
+
+      res.json({
+        success: true,
+        // The stored payload is only needed server-side for retries
+        exports: exports.map(({ payload, ...e }) => ({ ...e, retryable: isRetryable({ ...e, payload }) })),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        stats: {
+          total: attempted,
+          byStatus,
+          // Duplicates count as handled - the lead is in the CRM either way
+          successRate: attempted > 0 ? Math.round(((byStatus.success + byStatus.updated + byStatus.duplicate) / attempted) * 1000) / 10 : null,
+          topErrors: topErrors.map(e => ({ message: e._id || 'Unknown error', count: e.count, lastSeen: e.lastSeen }))
+        }
+      });
+    } catch (error) {
+      console.error('❌ Get exports error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get exports' });
+    }
+  });
+
+  // POST /api/crm/exports/:id/retry - Re-run a failed export from its stored payload
+  app.post('/api/crm/exports/:id/retry', auth, async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, error: 'Invalid export id' });
+      }
+
+      const log = await exportLogs.findOne({ _id: new ObjectId(req.params.id), exportedBy: req.user.email });
+      if (!log) {
+        return res.status(404).json({ success: false, error: 'Export not found' });
+      }
+      if (log.status !== 'failed') {
+        return res.status(400).json({ success: false, error: 'Only failed exports can be retried' });
+      }
+      if (log.jobId && log.willRetry) {
+        return res.status(409).json({ success: false, error: 'This export is queued and will be retried automatically', jobId: log.jobId });
+      }
+      if (log.retryLogId) {
+        return res.status(409).json({ success: false, error: 'This export was already retried', retryLogId: log.retryLogId });
+      }
+      if (!log.payload?.lead) {
+        return res.status(400).json({ success: false, error: 'This export has no stored payload to retry' });
+      }
+
+      const adapter = getCrmAdapter(log.crmType);
+      if (!adapter) {
+        return res.status(404).json({ success: false, error: `Unsupported CRM: ${log.crmType}` });
+      }
+      if (!adapter.isConfigured()) {
+        return res.status(500).json({ success: false, error: 'CRM configuration missing on server' });
+      }
+
+      // Claim the log before exporting - concurrent retries must not export the lead twice
+      const now = new Date();
+      const claimed = await exportLogs.findOneAndUpdate(
+        {
+          _id: log._id,
+          retryLogId: { $exists: false },
+          $or: [{ retryingAt: { $exists: false } }, { retryingAt: { $lt: new Date(now.getTime() - RETRY_LEASE_MS) } }]
+        },
+        { $set: { retryingAt: now } }
+      );
+      if (!claimed) {
+        return res.status(409).json({ success: false, error: 'This export is already being retried' });
+      }
+
+      const { lead, mode = 'create' } = log.payload;
+      const retryFields = { retryOf: log._id, ...(log.leadId ? { leadId: log.leadId } : {}) };
+      console.log(`${adapter.label} export retry (${lead.profileType}):`, { lead: lead.name, exportId: log._id });
+
+      let retryLog;
+      let result = null;
+      let exportError = null;
+      let insertedId;
+      try {
+        try {
+          const fieldMapping = await getFieldMapping(db, adapter, req.user.companyId ? String(req.user.companyId) : null);
+          result = await adapter.exportLead(lead, { mode, fieldMapping });
+          retryLog = { ...buildExportLog(adapter.type, lead, result, req.user.email), ...retryFields };
+        } catch (error) {
+          exportError = error;
+          retryLog = { ...buildFailedExportLog(adapter.type, lead, error, req.user.email, mode), ...retryFields };
+        }
+
+        ({ insertedId } = await exportLogs.insertOne(retryLog));
+        await exportLogs.updateOne(
+          { _id: log._id },
+          { $set: { retriedAt: new Date(), retryLogId: insertedId, retryStatus: retryLog.status } }
+        );
+      } catch (error) {
+        // Nothing was recorded - release the claim so the export can be retried again
+        if (!insertedId) await exportLogs.updateOne({ _id: log._id }, { $unset: { retryingAt: '' } }).catch(() => {});
+        throw error;
+      }
+
+      if (exportError) {
+        console.error(`${adapter.label} export retry error:`, exportError.message);
+        return res.status(500).json({ success: false, error: exportError.message || 'Export failed', exportId: insertedId });
+      }
+
+      return sendExportResult(res, adapter, lead, result, { exportId: insertedId, retryOf: log._id });
+    } catch (error) {
+      console.error('❌ Retry export error:', error);
+      res.status(500).json({ success: false, error: 'Failed to retry export' });
+    }
+  });
+
+  // ==================== FIELD MAPPING (ADMIN) ====================
+  function getMappableAdapter(req, res) {
+    if (!isAdminRequest(req)) {
+      res.status(401).json({ success: false, error: 'Invalid secret' });
+      return null;
+    }
+    const adapter = getCrmAdapter(req.params.crmType);
+    if (!adapter || !adapter.defaultFieldMapping) {
+      res.status(404).json({ success: false, error: `No field mapping for CRM: ${req.params.crmType}` });
+      return null;
+    }
+    return adapter;
+  }
+
+  // GET /api/crm/:crmType/field-mapping - Stored override + effective mapping for an organization
+  app.get('/api/crm/:crmType/field-mapping', async (req, res) => {
+    try {
+      const adapter = getMappableAdapter(req, res);
+      if (!adapter) return;
+
+      const organizationId = req.query.organizationId || null;
+      const stored = await getStoredFieldMapping(db, adapter.type, organizationId);
+
+      res.json({
+        success: true,
+        crmType: adapter.type,
+        organizationId: organizationId || DEFAULT_ORGANIZATION,
+        stored: stored?.mapping || null,
+        updatedAt: stored?.updatedAt || null,
+        effective: await getFieldMapping(db, adapter, organizationId)
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // PUT /api/crm/:crmType/field-mapping - Replace an organization's override (partial mappings are fine)
+  app.put('/api/crm/:crmType/field-mapping', async (req, res) => {
+    try {
+      const adapter = getMappableAdapter(req, res);
+      if (!adapter) return;
+
+      const { organizationId = null, mapping } = req.body;
+      const errors = validateFieldMapping(adapter, mapping);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid field mapping', details: errors });
+      }
+
+      await saveFieldMapping(db, adapter.type, organizationId, mapping);
+      console.log(`🗺️ ${adapter.label} field mapping saved for ${organizationId || DEFAULT_ORGANIZATION}`);
+
+      res.json({
+        success: true,
+        crmType: adapter.type,
+        organizationId: organizationId || DEFAULT_ORGANIZATION,
+        effective: await getFieldMapping(db, adapter, organizationId)
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // DELETE /api/crm/:crmType/field-mapping - Drop an override (falls back to the default)
+  app.delete('/api/crm/:crmType/field-mapping', async (req, res) => {
+    try {
+      const adapter = getMappableAdapter(req, res);
+      if (!adapter) return;
+
+      const deleted = await deleteFieldMapping(db, adapter.type, req.query.organizationId || null);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Field mapping not found' });
+      }
+
+      res.json({ success: true, message: 'Field mapping deleted' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Legacy Odoo-only routes (used by current extension builds)
+  app.post('/api/crm/export-odoo', optionalAuth, (req, res) => handleExport(req, res, 'odoo'));
+  app.get('/api/crm/check-export', (req, res) => handleCheckExport(req, res, 'odoo'));
+
+  // GET /api/crm/jobs?batchId= - Poll a batch of queued exports (the user who queued it only)
+  app.get('/api/crm/jobs', auth, async (req, res) => {
+    try {
+      if (!req.query.batchId) {
+        return res.status(400).json({ success: false, error: 'batchId required' });
+      }
+      const batch = await getExportBatch(db, req.query.batchId, req.user.email);
+      if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+      }
+      res.json({ success: true, ...batch });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // GET /api/crm/jobs/:jobId - Poll a queued export (the user who queued it only)
+  app.get('/api/crm/jobs/:jobId', auth, async (req, res) => {
+    try {
+      const job = await getExportJob(db, req.params.jobId);
+      if (!job || job.userEmail !== req.user.email) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+      res.json({ success: true, job: serializeJob(job) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/crm/:crmType/export', optionalAuth, (req, res) => handleExport(req, res, req.params.crmType));
+  app.get('/api/crm/:crmType/check-export', (req, res) => handleCheckExport(req, res, req.params.crmType));
+
+  // Create indexes
+  exportLogs.createIndex({ linkedinUrl: 1, exportedBy: 1 }).catch(() => {});
+  exportLogs.createIndex({ leadId: 1, crmType: 1 }).catch(() => {});
+  exportLogs.createIndex({ exportedBy: 1, exportedAt: -1 }).catch(() => {});
+  db.collection('crm_field_mappings').createIndex({ crmType: 1, organizationId: 1 }, { unique: true }).catch(() => {});
+
+  console.log('✅ CRM export routes registered (SECURE MODE)');
+  console.log(`   Adapters: ${listCrmAdapters().map(a => `${a.type}${a.configured ? '' : ' (not configured)'}`).join(', ')}`);
+}
+
+function isRetryable(log) {
+  return log.status === 'failed' && !!log.payload?.lead && !log.retryLogId && !(log.jobId && log.willRetry) && !retryLeaseActive(log);
+}
+
+function retryLeaseActive(log) {
+  return !!log.retryingAt && Date.now() - new Date(log.retryingAt).getTime() < RETRY_LEASE_MS;
+}
+
+module.exports = { setupCrmExportRoutes };
@@ -0,0 +1,450 @@
+// ============================================================================
+// crm-jobs.js - Background CRM Export Queue (Mongo-backed)
+// ============================================================================
+//
+// Exports are queued in the crm_export_jobs collection and processed by an
+// in-process worker. Transient failures (network errors, timeouts, 5xx, 429)
+// are retried with exponential backoff; records created by a failed attempt
+// are kept and resumed by the next one, and only rolled back once retries are
+// exhausted. Anything else (validation, credentials) fails the job at once.
+//
+// A running job holds a lock (lockedAt), refreshed every LOCK_REFRESH_MS and
+// whenever the adapter creates a record - createdRecords is saved right away,
+// so a job reclaimed after a crash resumes from them instead of creating
+// duplicates. Every job write checks the lock is still held; a worker that
+// lost it stops without touching the job.
+//
+// Every attempt writes an export_logs entry (with jobId + attempt). When the
+// job finishes, an optional webhookUrl receives the final job status - https
+// only, and only to hosts that resolve to public addresses (or are listed in
+// CRM_WEBHOOK_ALLOWED_HOSTS), checked when queued and again when sent.
+//
+// Jobs queued together (a list export, src/lists.js) share a batchId and can
+// be polled as one (getExportBatch).
+//
+// JOB STATUS: queued -> running -> (retrying -> running)* -> succeeded | failed
+// ============================================================================
+
+const dns = require('dns').promises;
+const net = require('net');
+const { ObjectId } = require('mongodb');
+const { getCrmAdapter, buildExportLog, buildFailedExportLog } = require('./crm');
+const { getFieldMapping } = require('./crm/field-mapping');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  POLL_INTERVAL_MS: 2000,
+  MAX_ATTEMPTS: parseInt(process.env.CRM_JOB_MAX_ATTEMPTS) || 5,
+  BASE_RETRY_DELAY_MS: 30 * 1000,          // 30s, 60s, 2m, 4m, ...
+  MAX_RETRY_DELAY_MS: 30 * 60 * 1000,      // Cap at 30 minutes
+  STALE_LOCK_MS: 5 * 60 * 1000,            // Reclaim jobs stuck in 'running' (worker crashed)
+  LOCK_REFRESH_MS: 60 * 1000,
+  WEBHOOK_TIMEOUT_MS: 10 * 1000,
+  // Comma-separated hostnames trusted as webhook targets even when they resolve to private addresses
+  WEBHOOK_ALLOWED_HOSTS: (process.env.CRM_WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+};
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Queue a CRM export
+ * @param {object} db - Mongo database
+ * @param {object} job - { crmType, lead, mode, organizationId, userEmail, webhookUrl, batchId?, logFields?, countUsage? }
+ *   logFields are added to every export_logs entry of the job (e.g. { leadId, listName });
+ *   countUsage counts a created record against the user's usage.crmExports
+ * @returns {object} The inserted job document
+ */
+async function enqueueExportJob(db, {
+  crmType, lead, mode = 'create', organizationId = null, userEmail, webhookUrl, batchId = null, logFields = null, countUsage = false
+}) {
+  const jobs = db.collection('crm_export_jobs');
+  const now = new Date();
+
+  const job = {
+    crmType,
+    lead,
+    mode,
+    organizationId,
+    userEmail: userEmail || null,
+    webhookUrl: webhookUrl || null,
+    batchId,
+    logFields,
+    countUsage,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: CONFIG.MAX_ATTEMPTS,
+    createdRecords: null,
+    lastError: null,
+    result: null,
+    nextRunAt: now,
+    lockedAt: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  const result = await jobs.insertOne(job);
+  return { ...job, _id: result.insertedId };
+}
+
+async function getExportJob(db, jobId) {
+  if (!/^[a-fA-F0-9]{24}$/.test(String(jobId || ''))) return null;
+  return db.collection('crm_export_jobs').findOne({ _id: new ObjectId(jobId) });
+}
+
+/**
+ * Progress of a batch of jobs queued by one user
+ * @returns {object|null} { batchId, total, counts: { status: n }, jobs } or null if the user has no such batch
+ */
+async function getExportBatch(db, batchId, userEmail) {
+  const jobs = await db.collection('crm_export_jobs')
+    .find({ batchId: String(batchId || ''), userEmail })
+    .sort({ createdAt: 1 })
+    .toArray();
+  if (jobs.length === 0) return null;
+
+  const counts = {};
+  jobs.forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+  return { batchId: String(batchId), total: jobs.length, counts, jobs: jobs.map(serializeJob) };
+}
+
+/**
+ * Claim and process one due job
+ * @param {object} db - Mongo database
+ * @returns {object|null} The job after processing, or null if nothing was due
+ *   (or another worker reclaimed the job mid-run)
+ */
+async function processNextExportJob(db) {
+  const jobs = db.collection('crm_export_jobs');
+  const now = new Date();
+
+  const job = await jobs.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ['queued', 'retrying'] }, nextRunAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - CONFIG.STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextRunAt: 1 }, returnDocument: 'after' }
+  );
+
+  if (!job) return null;
+
+  const lock = holdJobLock(db, job);
+  try {
+    return await runExportJob(db, job, lock);
+  } catch (error) {
+    if (!error.lostLock) throw error;
+    console.warn(`⚠️ ${error.message} - leaving it to the new owner`);
+    return null;
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * Keep a claimed job's lock fresh while it runs
+ * @returns {object} { write(update), release() } - write() applies an update only while
+ *   the lock is still ours (throwing an error with lostLock otherwise) and refreshes it
+ */
+function holdJobLock(db, job) {
+  const jobs = db.collection('crm_export_jobs');
+  let lockedAt = job.lockedAt;
+  let writing = Promise.resolve();
+
+  // Queued, so a refresh never races another write's lockedAt filter
+  function write(update) {
+    const run = writing.then(async () => {
+      const $set = { lockedAt: new Date(), ...update.$set, updatedAt: new Date() };
+      const { matchedCount } = await jobs.updateOne({ _id: job._id, lockedAt }, { ...update, $set });
+      if (matchedCount === 0) {
+        throw Object.assign(new Error(`CRM job ${job._id} was reclaimed by another worker`), { lostLock: true });
+      }
+      lockedAt = $set.lockedAt;
+    });
+    writing = run.catch(() => {});
+    return run;
+  }
+
+  // A failed refresh surfaces on the job's next write
+  const timer = setInterval(() => write({}).catch(() => {}), CONFIG.LOCK_REFRESH_MS);
+
+  return { write, release: () => clearInterval(timer) };
+}
+
+async function runExportJob(db, job, lock) {
+  const exportLogs = db.collection('export_logs');
+  const adapter = getCrmAdapter(job.crmType);
+  const attempt = job.attempts;
+
+  try {
+    if (!adapter) throw new Error(`Unsupported CRM: ${job.crmType}`);
+    if (!adapter.isConfigured()) throw new Error('CRM configuration missing on server');
+
+    // Mapping is read per attempt so a fix to the mapping applies to pending retries
+    const fieldMapping = await getFieldMapping(db, adapter, job.organizationId);
+    const result = await adapter.exportLead(job.lead, {
+      createdRecords: job.createdRecords,
+      deferRollback: true,
+      mode: job.mode,
+      fieldMapping,
+      onRecordCreated: createdRecords => lock.write({ $set: { createdRecords } })
+    });
+
+    await exportLogs.insertOne({
+      ...buildExportLog(adapter.type, job.lead, result, job.userEmail),
+      ...(job.logFields || {}),
+      jobId: job._id,
+      attempt
+    });
+
+    if (job.countUsage && result.status === 'success' && job.userEmail) {
+      await db.collection('portal_users').updateOne({ email: job.userEmail }, { $inc: { 'usage.crmExports': 1 } });
+    }
+
+    const update = {
+      status: 'succeeded',
+      result: {
+        status: result.status,
+        crmId: result.crmId,
+        message: result.message,
+        ...(result.response || {})
+      },
+      lastError: null,
+      lockedAt: null,
+      updatedAt: new Date(),
+      completedAt: new Date()
+    };
+    await lock.write({ $set: update });
+
+    console.log(`✅ CRM job ${job._id} ${result.status} on attempt ${attempt} (${adapter.type} #${result.crmId})`);
+    const finished = { ...job, ...update };
+    await notifyWebhook(finished);
+    return finished;
+
+  } catch (error) {
+    if (error.lostLock) throw error;
+    const createdRecords = error.createdRecords || job.createdRecords || null;
+    const willRetry = attempt < job.maxAttempts && isTransientError(error);
+
+    await exportLogs.insertOne({
+      ...buildFailedExportLog(job.crmType, job.lead, error, job.userEmail, job.mode),
+      ...(job.logFields || {}),
+      jobId: job._id, attempt, willRetry
+    }).catch(() => {});
+
+    if (willRetry) {
+      const update = {
+        status: 'retrying',
+        createdRecords,
+        lastError: error.message,
+        nextRunAt: new Date(Date.now() + retryDelayMs(attempt)),
+        lockedAt: null,
+        updatedAt: new Date()
+      };
+      await lock.write({ $set: update });
+
+      console.warn(`⚠️ CRM job ${job._id} attempt ${attempt}/${job.maxAttempts} failed: ${error.message} (retry at ${update.nextRunAt.toISOString()})`);
+      return { ...job, ...update };
+    }
+
+    // Retries exhausted - now clean up whatever the attempts left behind
+    let rollbackResults = [];
+    if (adapter && createdRecords && Object.values(createdRecords).some(Boolean)) {
+      try {
+        rollbackResults = (await adapter.rollback(createdRecords)) || [];
+      } catch (rollbackError) {
+        console.error(`❌ CRM job ${job._id} rollback failed:`, rollbackError.message);
+      }
+    }
+
+    const update = {
+      status: 'failed',
+      createdRecords,
+      rollbackResults,
+      lastError: error.message,
+      lockedAt: null,
+      updatedAt: new Date(),
+      completedAt: new Date()
+    };
+    await lock.write({ $set: update });
+
+    console.error(`❌ CRM job ${job._id} failed after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${error.message}`);
+    const finished = { ...job, ...update };
+    await notifyWebhook(finished);
+    return finished;
+  }
+}
+
+function retryDelayMs(attempt) {
+  return Math.min(CONFIG.BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1), CONFIG.MAX_RETRY_DELAY_MS);
+}
+
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+/**
+ * Worth another attempt? Network errors, timeouts, 5xx and 429 from the CRM are;
+ * CRM validation errors, bad credentials and missing configuration are not.
+ * Adapters set error.status (HTTP status) on API errors.
+ */
+function isTransientError(error) {
+  if (error.status) return error.status === 429 || error.status >= 500;
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') return true;
+  const code = error.code || error.cause?.code;
+  if (code && TRANSIENT_NETWORK_CODES.has(code)) return true;
+  // fetch() reports network failures as a bare TypeError
+  return error.name === 'TypeError' && /fetch failed/i.test(error.message);
+}
+
+// ============================================================================
+// WEBHOOK
+// ============================================================================
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+// (BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges too)
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * May the server POST job results to this URL?
+ * @returns {object} { valid, error }
+ */
+async function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { valid: false, error: 'Invalid webhookUrl' };
+  }
+
+  if (parsed.protocol !== 'https:') return { valid: false, error: 'webhookUrl must use https' };
+  if (parsed.username || parsed.password) return { valid: false, error: 'webhookUrl must not contain credentials' };
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (CONFIG.WEBHOOK_ALLOWED_HOSTS.includes(hostname)) return { valid: true, error: null };
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  } catch {
+    return { valid: false, error: 'webhookUrl host does not resolve' };
+  }
+
+  if (addresses.length === 0 || !addresses.every(a => isPublicAddress(a.address))) {
+    return { valid: false, error: 'webhookUrl must point to a public host' };
+  }
+  return { valid: true, error: null };
+}
+
+async function notifyWebhook(job) {
+  if (!job.webhookUrl) return;
+
+  try {
+    // Checked again - the host's DNS may have changed since the job was queued
+    const check = await validateWebhookUrl(job.webhookUrl);
+    if (!check.valid) throw new Error(check.error);
+
+    await fetch(job.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ event: 'crm_export.completed', job: serializeJob(job) }),
+      redirect: 'error',
+      signal: AbortSignal.timeout(CONFIG.WEBHOOK_TIMEOUT_MS)
+    });
+  } catch (error) {
+    console.warn(`⚠️ CRM job ${job._id} webhook failed:`, error.message);
+  }
+}
+
+/**
+ * Public view of a job (what the status endpoint and webhook return)
+ */
+function serializeJob(job) {
+  return {
+    jobId: job._id,
+    batchId: job.batchId || null,
+    crmType: job.crmType,
+    mode: job.mode || 'create',
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    leadName: job.lead?.name,
+    profileType: job.lead?.profileType,
+    result: job.result || null,
+    lastError: job.lastError || null,
+    nextRunAt: job.status === 'retrying' ? job.nextRunAt : null,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null
+  };
+}
+
+// ============================================================================
+// WORKER
+// ============================================================================
+
+/**
+ * Start polling for due export jobs
+ * @param {object} db - Mongo database
+ * @returns {object} { stop() }
+ */
+function startCrmExportWorker(db) {
+  const jobs = db.collection('crm_export_jobs');
+  jobs.createIndex({ status: 1, nextRunAt: 1 }).catch(() => {});
+  jobs.createIndex({ userEmail: 1, createdAt: -1 }).catch(() => {});
+  jobs.createIndex({ batchId: 1, createdAt: 1 }).catch(() => {});
+
+  let busy = false;
+
+  const timer = setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      // Drain everything that is due before sleeping again
+      while (await processNextExportJob(db)) { /* keep going */ }
+    } catch (error) {
+      console.error('❌ CRM export worker error:', error.message);
+    } finally {
+      busy = false;
+    }
+  }, CONFIG.POLL_INTERVAL_MS);
+
+  console.log(`✅ CRM export worker started (max ${CONFIG.MAX_ATTEMPTS} attempts per job)`);
+
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  enqueueExportJob,
+  getExportJob,
+  getExportBatch,
+  processNextExportJob,
+  startCrmExportWorker,
+  serializeJob,
+  validateWebhookUrl,
+  isTransientError,
+  CONFIG
+};
@@ -0,0 +1,149 @@
+// ============================================================================
+// crm-sync.js - Pull CRM Pipeline State Back Onto Leads
+// ============================================================================
+//
+// For every lead exported (or upserted) as a client (export_logs), reads the
+// opportunity's stage, active flag and salesperson from the CRM and stores
+// them on the Mongo lead:
+//
+//   crmStage     - Stage name ('New', 'Qualified', 'Won', ...), null if deleted in the CRM
+//   crmActive    - false once the opportunity is archived/lost or deleted
+//   crmOwner     - Assigned salesperson name
+//   crmSyncedAt  - When this lead was last synced
+//
+// Runs on an interval (CRM_SYNC_INTERVAL_MINUTES, default 30) for every
+// adapter that implements fetchPipelineStatus().
+// ============================================================================
+
+const { getCrmAdapter, listCrmAdapters } = require('./crm');
+
+const CONFIG = {
+  INTERVAL_MINUTES: parseInt(process.env.CRM_SYNC_INTERVAL_MINUTES) || 30,
+  STARTUP_DELAY_MS: 60 * 1000,   // Let the server settle before the first run
+  BATCH_SIZE: 200                // crmIds per CRM read
+};
+
+/**
+ * Sync pipeline state from one CRM onto exported leads
+ * @param {object} db - Mongo database
+ * @param {string} crmType - Adapter type (default: odoo)
+ * @returns {object} Stats
+ */
+async function syncCrmPipeline(db, crmType = 'odoo') {
+  const adapter = getCrmAdapter(crmType);
+  const stats = { crmType, exports: 0, synced: 0, deleted: 0, leadsUpdated: 0, errors: 0 };
+
+  if (!adapter || !adapter.isConfigured() || !adapter.fetchPipelineStatus) return stats;
+
+  const exportLogs = db.collection('export_logs');
+  const leadsCollection = db.collection('leads');
+
+  // Latest successful or upserted export per lead (a lead re-exported after deletion has a newer crmId);
+  // leads exported without a leadId are keyed by LinkedIn URL + exporter
+  const latestExports = exportLogs.aggregate([
+    {
+      $match: {
+        crmType: adapter.type, status: { $in: ['success', 'updated'] }, profileType: 'client', crmId: { $ne: null },
+        $or: [{ leadId: { $ne: null } }, { linkedinUrl: { $ne: null } }]
+      }
+    },
+    { $sort: { exportedAt: -1 } },
+    {
+      $group: {
+        _id: { $cond: [{ $ifNull: ['$leadId', false] }, { leadId: '$leadId' }, { linkedinUrl: '$linkedinUrl', exportedBy: '$exportedBy' }] },
+        crmId: { $first: '$crmId' },
+        leadId: { $first: '$leadId' },
+        linkedinUrl: { $first: '$linkedinUrl' },
+        exportedBy: { $first: '$exportedBy' }
+      }
+    }
+  ], { allowDiskUse: true });
+
+  let batch = [];
+  for await (const log of latestExports) {
+    stats.exports++;
+    batch.push(log);
+    if (batch.length === CONFIG.BATCH_SIZE) {
+      await syncBatch(adapter, leadsCollection, batch, stats);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await syncBatch(adapter, leadsCollection, batch, stats);
+
+  return stats;
+}
+
+/**
+ * Read one batch of exports from the CRM and write their state onto the leads
+ */
+async function syncBatch(adapter, leadsCollection, batch, stats) {
+  let statuses;
+  try {
+    statuses = await adapter.fetchPipelineStatus([...new Set(batch.map(l => l.crmId))]);
+  } catch (error) {
+    console.error(`❌ ${adapter.label} sync batch failed:`, error.message);
+    stats.errors += batch.length;
+    return;
+  }
+
+  const syncedAt = new Date();
+  for (const log of batch) {
+    const status = statuses.get(log.crmId) || statuses.get(Number(log.crmId)) || null;
+    const update = status
+      ? { crmStage: status.stage, crmActive: status.active, crmOwner: status.owner }
+      : { crmStage: null, crmActive: false };
+
+    const filter = log.leadId
+      ? { _id: log.leadId }
+      : {
+          linkedinUrl: log.linkedinUrl,
+          $or: [{ userEmail: log.exportedBy }, { visitorEmail: log.exportedBy }]
+        };
+
+    try {
+      const result = await leadsCollection.updateMany(filter, {
+        $set: { ...update, crmType: adapter.type, crmId: log.crmId, crmSyncedAt: syncedAt }
+      });
+      stats.leadsUpdated += result.modifiedCount || 0;
+      stats[status ? 'synced' : 'deleted']++;
+    } catch (error) {
+      stats.errors++;
+    }
+  }
+}
+
+/**
+ * Start the periodic sync for every CRM that supports it
+ * @param {object} db - Mongo database
+ */
+function startCrmSyncJob(db) {
+  let running = false;
+
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      for (const { type, configured } of listCrmAdapters()) {
+        if (!configured || !getCrmAdapter(type).fetchPipelineStatus) continue;
+
+        const started = Date.now();
+        const stats = await syncCrmPipeline(db, type);
+        console.log(`🔄 CRM sync (${type}): ${stats.synced} synced, ${stats.deleted} deleted, ${stats.leadsUpdated} leads updated, ${stats.errors} errors (${Date.now() - started}ms)`);
+      }
+    } catch (error) {
+      console.error('❌ CRM sync error:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  db.collection('leads').createIndex({ crmStage: 1 }).catch(() => {});
+  db.collection('export_logs').createIndex({ crmType: 1, profileType: 1, exportedAt: -1 }).catch(() => {});
+
+  setTimeout(run, CONFIG.STARTUP_DELAY_MS);
+  setInterval(run, CONFIG.INTERVAL_MINUTES * 60 * 1000);
+
+  console.log(`✅ CRM sync job scheduled (every ${CONFIG.INTERVAL_MINUTES} minutes)`);
+}
+
+module.exports = { syncCrmPipeline, startCrmSyncJob };
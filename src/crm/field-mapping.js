@@ -0,0 +1,146 @@
+// ============================================================================
+// field-mapping.js - Per-Organization CRM Field Mappings
+// ============================================================================
+//
+// Adapters that support it expose a defaultFieldMapping:
+//
+//   {
+//     defaults: { ... },                      // Named defaults (skill type, utm source, ...)
+//     fields: { <record>: { <leadField>: 'crm_field' | null } },  // null = don't write
+//     staticValues: { <record>: { crm_field: value } }            // Extra constants per record
+//   }
+//
+// An organization (portal_users.companyId) can override any part of it with a
+// document in crm_field_mappings; anything it leaves out falls back to the
+// server-wide 'default' document, then to the adapter's built-in mapping.
+// ============================================================================
+
+const MAPPINGS_COLLECTION = 'crm_field_mappings';
+const DEFAULT_ORGANIZATION = 'default';
+const CRM_FIELD_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Effective mapping for an organization
+ * @param {object} db - Mongo database
+ * @param {object} adapter - CRM adapter with defaultFieldMapping
+ * @param {string} organizationId - portal_users.companyId (or null)
+ * @returns {object|null} Merged mapping, or null if the adapter has none
+ */
+async function getFieldMapping(db, adapter, organizationId) {
+  if (!adapter?.defaultFieldMapping) return null;
+
+  const organizationIds = [DEFAULT_ORGANIZATION];
+  if (organizationId) organizationIds.push(String(organizationId));
+
+  const stored = await db.collection(MAPPINGS_COLLECTION)
+    .find({ crmType: adapter.type, organizationId: { $in: organizationIds } })
+    .toArray();
+
+  const serverDefault = stored.find(m => m.organizationId === DEFAULT_ORGANIZATION);
+  const organization = stored.find(m => m.organizationId !== DEFAULT_ORGANIZATION);
+
+  return [serverDefault, organization].reduce(
+    (merged, doc) => (doc ? mergeMapping(merged, doc.mapping) : merged),
+    adapter.defaultFieldMapping
+  );
+}
+
+async function getStoredFieldMapping(db, crmType, organizationId) {
+  return db.collection(MAPPINGS_COLLECTION).findOne({ crmType, organizationId: String(organizationId || DEFAULT_ORGANIZATION) });
+}
+
+async function saveFieldMapping(db, crmType, organizationId, mapping) {
+  const now = new Date();
+  await db.collection(MAPPINGS_COLLECTION).updateOne(
+    { crmType, organizationId: String(organizationId || DEFAULT_ORGANIZATION) },
+    { $set: { mapping, updatedAt: now }, $setOnInsert: { createdAt: now } },
+    { upsert: true }
+  );
+}
+
+async function deleteFieldMapping(db, crmType, organizationId) {
+  const result = await db.collection(MAPPINGS_COLLECTION).deleteOne({ crmType, organizationId: String(organizationId || DEFAULT_ORGANIZATION) });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Check a (partial) mapping against the adapter's default shape
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateFieldMapping(adapter, mapping) {
+  const base = adapter.defaultFieldMapping;
+  const errors = [];
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['mapping must be an object'];
+  }
+
+  for (const section of Object.keys(mapping)) {
+    if (!['defaults', 'fields', 'staticValues'].includes(section)) {
+      errors.push(`Unknown section: ${section}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(mapping.defaults || {})) {
+    if (!(key in base.defaults)) {
+      errors.push(`Unknown default: ${key}`);
+    } else if (typeof value !== typeof base.defaults[key] || value === '') {
+      errors.push(`defaults.${key} must be a non-empty ${typeof base.defaults[key]}`);
+    }
+  }
+
+  for (const [record, fields] of Object.entries(mapping.fields || {})) {
+    if (!base.fields[record]) {
+      errors.push(`Unknown record: fields.${record}`);
+      continue;
+    }
+    for (const [leadField, crmField] of Object.entries(fields || {})) {
+      if (!(leadField in base.fields[record])) {
+        errors.push(`Unknown lead field: fields.${record}.${leadField}`);
+      } else if (crmField !== null && !CRM_FIELD_NAME.test(String(crmField))) {
+        errors.push(`fields.${record}.${leadField} must be a field name or null`);
+      }
+    }
+  }
+
+  for (const [record, values] of Object.entries(mapping.staticValues || {})) {
+    if (!base.fields[record]) {
+      errors.push(`Unknown record: staticValues.${record}`);
+      continue;
+    }
+    for (const [crmField, value] of Object.entries(values || {})) {
+      if (!CRM_FIELD_NAME.test(crmField)) {
+        errors.push(`staticValues.${record}: invalid field name ${crmField}`);
+      } else if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+        errors.push(`staticValues.${record}.${crmField} must be a string, number, boolean or null`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Section-by-section merge: override wins per key, untouched keys keep the base value
+function mergeMapping(base, override = {}) {
+  const merged = {
+    defaults: { ...base.defaults, ...(override.defaults || {}) },
+    fields: {},
+    staticValues: {}
+  };
+
+  for (const record of Object.keys(base.fields)) {
+    merged.fields[record] = { ...base.fields[record], ...(override.fields?.[record] || {}) };
+    merged.staticValues[record] = { ...(base.staticValues?.[record] || {}), ...(override.staticValues?.[record] || {}) };
+  }
+
+  return merged;
+}
+
+module.exports = {
+  getFieldMapping,
+  getStoredFieldMapping,
+  saveFieldMapping,
+  deleteFieldMapping,
+  validateFieldMapping,
+  DEFAULT_ORGANIZATION
+};
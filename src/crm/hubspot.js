@@ -0,0 +1,255 @@
+// ============================================================================
+// hubspot.js - HubSpot CRM Export Adapter (REST, CRM v3 objects API)
+// ============================================================================
+//
+// CLIENT:    company (find/create) -> contact (find/create, associated with the company) -> deal
+// CANDIDATE: contact (find/create), tagged with the extracted skill
+//
+// Supports mode 'create' only - upsert requests are rejected before export
+// (supportsMode, src/crm/index.js). There is no field mapping either
+// (no defaultFieldMapping), so the field-mapping API answers 404 for HubSpot.
+//
+// Environment:
+// - HUBSPOT_ACCESS_TOKEN: Private app token
+// - HUBSPOT_BASE_URL: API base URL (default: https://api.hubapi.com)
+// - HUBSPOT_LINKEDIN_PROPERTY: Contact property holding the LinkedIn URL (default: website)
+// - HUBSPOT_SKILL_PROPERTY: Contact property for the candidate's skill (optional)
+// ============================================================================
+
+// A hung HubSpot request would otherwise hold up the export worker indefinitely
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// HubSpot-defined association type ids
+const ASSOCIATION_TYPES = {
+  contactToCompany: 279,
+  dealToContact: 3,
+  dealToCompany: 341
+};
+
+function getHubSpotConfig() {
+  return {
+    baseUrl: process.env.HUBSPOT_BASE_URL || 'https://api.hubapi.com',
+    accessToken: process.env.HUBSPOT_ACCESS_TOKEN,
+    linkedinProperty: process.env.HUBSPOT_LINKEDIN_PROPERTY || 'website',
+    skillProperty: process.env.HUBSPOT_SKILL_PROPERTY || null
+  };
+}
+
+/**
+ * Create the HubSpot adapter
+ * @param {object} config - { baseUrl, accessToken, linkedinProperty, skillProperty, timeoutMs? } (defaults to HUBSPOT_* env vars)
+ * @returns {object} CRM adapter
+ */
+function createHubSpotAdapter(config = getHubSpotConfig()) {
+  const baseUrl = String(config.baseUrl || '').replace(/\/+$/, '');
+
+  async function callHubSpot(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${config.accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(config.timeoutMs || REQUEST_TIMEOUT_MS)
+    });
+
+    if (response.status === 404) return null;
+    if (response.status === 204) return {};
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.message || `HubSpot API error (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  async function searchOne(objectType, filters, properties = []) {
+    const data = await callHubSpot('POST', `/crm/v3/objects/${objectType}/search`, {
+      filterGroups: [{ filters }],
+      properties,
+      limit: 1
+    });
+    return data?.results?.[0] || null;
+  }
+
+  async function createObject(objectType, properties, associations = []) {
+    const data = await callHubSpot('POST', `/crm/v3/objects/${objectType}`, { properties, associations });
+    return data.id;
+  }
+
+  // Idempotent - HubSpot keeps one default association per pair
+  async function associateDefault(fromType, fromId, toType, toId) {
+    await callHubSpot('PUT', `/crm/v4/objects/${fromType}/${fromId}/associations/default/${toType}/${toId}`);
+  }
+
+  function associationTo(id, typeId) {
+    return { to: { id }, types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: typeId }] };
+  }
+
+  async function findContact(lead) {
+    if (lead.email) {
+      const byEmail = await searchOne('contacts', [{ propertyName: 'email', operator: 'EQ', value: lead.email }]);
+      if (byEmail) return { contact: byEmail, matchedBy: 'Email' };
+    }
+    if (lead.linkedinUrl) {
+      const byLinkedIn = await searchOne('contacts', [{ propertyName: config.linkedinProperty, operator: 'EQ', value: lead.linkedinUrl }]);
+      if (byLinkedIn) return { contact: byLinkedIn, matchedBy: 'LinkedIn URL' };
+    }
+    return { contact: null, matchedBy: null };
+  }
+
+  function contactProperties(lead) {
+    const [firstname, ...rest] = lead.name.split(' ');
+    const properties = { firstname, lastname: rest.join(' ') };
+    if (lead.email) properties.email = lead.email;
+    if (lead.phone) properties.phone = lead.phone;
+    if (lead.function) properties.jobtitle = lead.function;
+    if (lead.street) properties.address = lead.street;
+    if (lead.companyName) properties.company = lead.companyName;
+    if (lead.linkedinUrl) properties[config.linkedinProperty] = lead.linkedinUrl;
+    return properties;
+  }
+
+  async function rollbackCreatedRecords(createdRecords) {
+    const order = [['deals', createdRecords.deal], ['contacts', createdRecords.contact], ['companies', createdRecords.company]];
+    for (const [objectType, id] of order) {
+      if (!id) continue;
+      try {
+        await callHubSpot('DELETE', `/crm/v3/objects/${objectType}/${id}`);
+      } catch (err) {
+        console.warn(`HubSpot rollback failed for ${objectType}/${id}:`, err.message);
+      }
+    }
+  }
+
+  function isConfigured() {
+    return !!(baseUrl && config.accessToken);
+  }
+
+  /**
+   * Export a lead (see src/crm/odoo.js for the options contract)
+   * @param {object} lead - Normalized lead from prepareExportLead()
+   * @param {object} options - { createdRecords, deferRollback, onRecordCreated }
+   */
+  async function exportLead(lead, options = {}) {
+    const createdRecords = { company: null, contact: null, deal: null, ...(options.createdRecords || {}) };
+    const recordCreated = async () => { if (options.onRecordCreated) await options.onRecordCreated(createdRecords); };
+
+    try {
+      const { contact: existingContact, matchedBy } = createdRecords.contact
+        ? { contact: null, matchedBy: null }
+        : await findContact(lead);
+
+      if (lead.isCandidate) {
+        if (existingContact) {
+          return { status: 'duplicate', crmId: existingContact.id, message: `Candidate exists (${matchedBy})` };
+        }
+
+        let contactId = createdRecords.contact;
+        if (!contactId) {
+          const properties = { ...contactProperties(lead), lifecyclestage: 'other' };
+          const skillNames = (lead.skills?.length ? lead.skills.map(s => s.name) : [lead.extractedSkill]).filter(Boolean);
+          if (skillNames.length && config.skillProperty) properties[config.skillProperty] = skillNames.join(', ');
+
+          contactId = await createObject('contacts', properties);
+          createdRecords.contact = contactId;
+          await recordCreated();
+        }
+
+        return {
+          status: 'success',
+          crmId: contactId,
+          message: 'Candidate exported to HubSpot',
+          logFields: { contactId, mainSkill: lead.extractedSkill || 'None' },
+          response: { details: { contactCreated: true, skillExtracted: lead.extractedSkill || 'None', contactId } }
+        };
+      }
+
+      // CLIENT FLOW - company
+      let companyId, clientType;
+      const existingCompany = createdRecords.company
+        ? null
+        : await searchOne('companies', [{ propertyName: 'name', operator: 'EQ', value: lead.companyName }]);
+      if (createdRecords.company) {
+        companyId = createdRecords.company;
+        clientType = 'New Prospect';
+      } else if (existingCompany) {
+        companyId = existingCompany.id;
+        clientType = 'Existing Client';
+      } else {
+        companyId = await createObject('companies', { name: lead.companyName });
+        clientType = 'New Prospect';
+        createdRecords.company = companyId;
+        await recordCreated();
+      }
+
+      // Contact
+      let contactId = createdRecords.contact || existingContact?.id;
+      if (existingContact) {
+        const deals = await callHubSpot('GET', `/crm/v4/objects/contacts/${contactId}/associations/deals`);
+        const existingDeal = deals?.results?.[0];
+        if (existingDeal) {
+          await rollbackCreatedRecords(createdRecords);
+          const dealId = existingDeal.toObjectId;
+          return {
+            status: 'duplicate',
+            crmId: dealId,
+            message: `Deal exists (ID: ${dealId})`,
+            response: { matchedBy }
+          };
+        }
+        // The contact may have been created on its own - the new deal's company should be theirs too
+        await associateDefault('contacts', contactId, 'companies', companyId);
+      } else if (!contactId) {
+        contactId = await createObject('contacts', contactProperties(lead), [
+          associationTo(companyId, ASSOCIATION_TYPES.contactToCompany)
+        ]);
+        createdRecords.contact = contactId;
+        await recordCreated();
+      }
+
+      // Deal
+      const dealId = await createObject('deals', {
+        dealname: `${lead.name}'s opportunity`,
+        pipeline: 'default',
+        dealstage: 'appointmentscheduled',
+        description: lead.comment || ''
+      }, [
+        associationTo(contactId, ASSOCIATION_TYPES.dealToContact),
+        associationTo(companyId, ASSOCIATION_TYPES.dealToCompany)
+      ]);
+      createdRecords.deal = dealId;
+      await recordCreated();
+
+      return {
+        status: 'success',
+        crmId: dealId,
+        message: `Lead exported as ${clientType}`,
+        logFields: { companyId, contactId, clientType },
+        response: {
+          details: { companyCreated: !!createdRecords.company, contactCreated: !!createdRecords.contact, leadCreated: true, clientType, companyId, contactId }
+        }
+      };
+    } catch (creationError) {
+      if (!options.deferRollback) await rollbackCreatedRecords(createdRecords);
+      creationError.createdRecords = createdRecords;
+      throw creationError;
+    }
+  }
+
+  async function checkExport(exportLog) {
+    const objectType = exportLog.profileType === 'candidate' ? 'contacts' : 'deals';
+    const record = await callHubSpot('GET', `/crm/v3/objects/${objectType}/${exportLog.crmId}`);
+    return !!record;
+  }
+
+  return {
+    type: 'hubspot', label: 'HubSpot', modes: ['create'],
+    isConfigured, exportLead, checkExport, rollback: rollbackCreatedRecords
+  };
+}
+
+module.exports = { createHubSpotAdapter, getHubSpotConfig };
@@ -0,0 +1,238 @@
+// ============================================================================
+// crm/index.js - CRM Adapter Registry
+// ============================================================================
+//
+// Every CRM the extension can export to is an adapter with the same shape:
+//
+//   {
+//     type: 'odoo',                  // value stored in export_logs.crmType
+//     label: 'Odoo',
+//     modes: ['create', 'upsert'],   // export modes it implements (see supportsMode)
+//     isConfigured(),                // true when server-side credentials exist
+//     exportLead(lead, options),     // -> { status: 'success'|'duplicate'|'updated', crmId, message, logFields?, response? }
+//     checkExport(exportLog),        // -> true if the exported record still exists
+//     rollback(createdRecords),      // delete records left behind by a failed export
+//     fetchPipelineStatus(crmIds)    // optional: -> Map crmId -> { stage, active, owner } (src/crm-sync.js)
+//   }
+//
+// exportLead receives the normalized lead built by prepareExportLead() and
+// throws on failure, with error.createdRecords set. It rolls those records
+// back itself unless options.deferRollback is set; options.createdRecords
+// resumes a previous attempt (used by the retrying job queue, src/crm-jobs.js),
+// and options.onRecordCreated(createdRecords) is awaited after every record the
+// export creates (or rolls back), so the queue can save them as it goes.
+// options.mode 'upsert' asks the adapter to update an existing record instead
+// of reporting a duplicate; adapters that support it return status 'updated'
+// with response.changes (field-level diff). Callers reject a mode the adapter
+// doesn't list (supportsMode) instead of passing it through.
+// Logging to export_logs and the HTTP response are handled by src/crm-export.js.
+// ============================================================================
+
+const { createOdooAdapter } = require('./odoo');
+const { createHubSpotAdapter } = require('./hubspot');
+const { validateName, validateCompanyName } = require('../validation');
+
+const adapters = new Map();
+
+// 'create' reports existing records as duplicates; 'upsert' updates them
+const EXPORT_MODES = ['create', 'upsert'];
+
+function registerCrmAdapter(adapter) {
+  adapters.set(adapter.type, adapter);
+}
+
+function getCrmAdapter(crmType) {
+  return adapters.get(String(crmType || '').toLowerCase()) || null;
+}
+
+function supportsMode(adapter, mode) {
+  return (adapter.modes || ['create']).includes(mode);
+}
+
+function listCrmAdapters() {
+  return [...adapters.values()].map(a => ({ type: a.type, label: a.label, modes: a.modes || ['create'], configured: a.isConfigured() }));
+}
+
+registerCrmAdapter(createOdooAdapter());
+registerCrmAdapter(createHubSpotAdapter());
+
+/**
+ * Validate and normalize an export request body into the lead shape adapters expect
+ * @param {object} body - { leadData, linkedinUrl, profileType, extractedSkills, extractedSkill, mode }
+ *   extractedSkills is the ranked [{ name, level }] list from /api/openai/extract-skill;
+ *   extractedSkill (a single name) is still accepted from older extension builds
+ * @returns {object} { valid: true, lead, mode } or { valid: false, status, body }
+ */
+function prepareExportLead(body = {}) {
+  const { leadData, linkedinUrl, profileType, extractedSkills, extractedSkill, mode = 'create' } = body;
+
+  if (!leadData || !leadData.name) {
+    return { valid: false, status: 400, body: { error: 'Lead data with name is required' } };
+  }
+
+  if (!profileType || !['client', 'candidate'].includes(profileType.toLowerCase())) {
+    return { valid: false, status: 400, body: { error: 'Valid profileType required' } };
+  }
+
+  if (!EXPORT_MODES.includes(mode)) {
+    return { valid: false, status: 400, body: { error: `Invalid mode (expected ${EXPORT_MODES.join(' or ')})` } };
+  }
+
+  // ================================================================
+  // VALIDATION: Name and CompanyName for CRM export
+  // ================================================================
+  const nameValidation = validateName(leadData.name);
+  if (!nameValidation.valid) {
+    return { valid: false, status: 400, body: { success: false, error: nameValidation.error, validationError: true } };
+  }
+
+  const cleanName = sanitizeForCrm(leadData.name);
+  if (cleanName.length < 2) {
+    return { valid: false, status: 400, body: { error: 'Invalid name' } };
+  }
+
+  let cleanCompany = sanitizeForCrm(leadData.companyName || leadData.company || '');
+  if (!cleanCompany && leadData.comment) {
+    const match = leadData.comment.match(/Company:\s*(.+)/);
+    if (match) cleanCompany = sanitizeForCrm(match[1].split('\n')[0]);
+  }
+
+  const companyValidation = validateCompanyName(cleanCompany);
+  if (!companyValidation.valid) {
+    return { valid: false, status: 400, body: { success: false, error: companyValidation.error, validationError: true } };
+  }
+  // ================================================================
+
+  let sourcedBy = sanitizeForCrm(leadData.sourcedBy || '');
+  if (!sourcedBy && leadData.comment) {
+    const match = leadData.comment.match(/Sourced by:\s*(.+)/);
+    if (match) sourcedBy = sanitizeForCrm(match[1].split('\n')[0]);
+  }
+
+  const email = sanitizeForCrm(leadData.email || '');
+  const normalizedProfileType = profileType.toLowerCase();
+
+  const rawSkills = Array.isArray(extractedSkills) ? extractedSkills : (extractedSkill ? [extractedSkill] : []);
+  const skills = rawSkills
+    .map(s => (typeof s === 'string' ? { name: s, level: null } : { name: s?.name, level: s?.level || null }))
+    .map(s => ({ name: sanitizeForCrm(String(s.name || '')).substring(0, 50), level: s.level ? sanitizeForCrm(String(s.level)).substring(0, 20) : null }))
+    .filter(s => s.name)
+    .slice(0, 10);
+
+  return {
+    valid: true,
+    mode,
+    lead: {
+      name: cleanName,
+      companyName: cleanCompany,
+      email: email && isValidEmail(email) && email !== 'No email found' ? email : null,
+      phone: leadData.phone ? sanitizeForCrm(leadData.phone) : null,
+      function: leadData.function ? sanitizeForCrm(leadData.function) : null,
+      street: leadData.street ? sanitizeForCrm(leadData.street) : null,
+      comment: leadData.comment ? sanitizeString(leadData.comment, 1000) : null,
+      sourcedBy,
+      linkedinUrl: linkedinUrl || null,
+      profileType: normalizedProfileType,
+      isCandidate: normalizedProfileType === 'candidate',
+      skills,                                   // Ranked, most important first
+      extractedSkill: skills[0]?.name || null   // Main skill
+    }
+  };
+}
+
+/**
+ * Build an export request body from a saved lead document (portal leads / lists)
+ * @param {object} lead - Document from the leads collection
+ * @param {string} profileType - 'client' or 'candidate'
+ * @returns {object} Body accepted by prepareExportLead()
+ */
+function exportBodyFromLead(lead, profileType) {
+  return {
+    leadData: {
+      name: lead.name,
+      companyName: lead.companyName || lead.company || '',
+      email: lead.email || null,
+      phone: lead.phone || null,
+      function: lead.currentTitle || lead.title || null,
+      street: lead.location || null,
+      sourcedBy: lead.sourcedBy || ''
+    },
+    linkedinUrl: lead.linkedinUrl || null,
+    profileType
+  };
+}
+
+/**
+ * Build the export_logs document for a completed (success/duplicate) export
+ * @param {string} crmType - Adapter type
+ * @param {object} lead - Normalized lead
+ * @param {object} result - Adapter exportLead() result
+ * @param {string} userEmail - Exporting user
+ * @returns {object} export_logs document
+ */
+function buildExportLog(crmType, lead, result, userEmail) {
+  return {
+    leadName: lead.name, leadEmail: lead.email, linkedinUrl: lead.linkedinUrl, crmType, crmId: result.crmId,
+    exportedBy: userEmail, exportedAt: new Date(), status: result.status, profileType: lead.profileType,
+    ...(result.logFields || {})
+  };
+}
+
+/**
+ * Build the export_logs document for a failed export
+ * The normalized lead is stored as the payload so POST /api/crm/exports/:id/retry can re-run it.
+ * @param {string} crmType - Adapter type
+ * @param {object} lead - Normalized lead
+ * @param {Error} error - Export error
+ * @param {string} userEmail - Exporting user
+ * @param {string} mode - Export mode
+ * @returns {object} export_logs document
+ */
+function buildFailedExportLog(crmType, lead, error, userEmail, mode = 'create') {
+  return {
+    leadName: lead.name, leadEmail: lead.email, linkedinUrl: lead.linkedinUrl, crmType,
+    exportedBy: userEmail, exportedAt: new Date(), status: 'failed', profileType: lead.profileType,
+    errorMessage: error.message,
+    payload: { lead, mode }
+  };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function sanitizeForCrm(str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/<[^>]*>/g, '')
+    .replace(/['"\\]/g, '')
+    .trim()
+    .substring(0, 200);
+}
+
+function sanitizeString(str, maxLength = 500) {
+  if (!str) return '';
+  return String(str)
+    .replace(/<[^>]*>/g, '')
+    .replace(/['"\\]/g, '')
+    .replace(/javascript:/gi, '')
+    .replace(/on\w+=/gi, '')
+    .trim()
+    .substring(0, maxLength);
+}
+
+function isValidEmail(e) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i.test(e || '');
+}
+
+module.exports = {
+  registerCrmAdapter,
+  getCrmAdapter,
+  listCrmAdapters,
+  supportsMode,
+  prepareExportLead,
+  exportBodyFromLead,
+  buildExportLog,
+  buildFailedExportLog,
+  EXPORT_MODES
+};
@@ -0,0 +1,195 @@
+// ============================================================================
+// odoo-client.js - Shared Odoo JSON-RPC Client
+// ============================================================================
+//
+// One client per Odoo server/database/user, shared by everything that talks
+// to Odoo. The session (uid + cookie) is cached and only re-established when
+// Odoo reports it expired - the failed call is then retried once.
+//
+// Usage:
+//   const odoo = getOdooClient(config);
+//   const partners = await odoo.searchRead('res.partner', [['is_company', '=', true]], ['id', 'name'], { limit: 10 });
+//   const id = await odoo.create('res.partner', { name: 'Acme' });
+//   const [sources, users] = await odoo.batch([
+//     ['searchRead', 'utm.source', [['name', '=', 'LinkedIn']], ['id']],
+//     ['searchRead', 'res.users', [['name', 'ilike', 'Jane']], ['id']]
+//   ]);
+// ============================================================================
+
+const clients = new Map();
+
+// A hung Odoo request would otherwise hold up the export worker indefinitely
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// Odoo error markers for a session that is no longer valid
+const SESSION_EXPIRED_CODE = 100;
+const SESSION_EXPIRED_NAME = 'odoo.http.SessionExpiredException';
+
+/**
+ * Get the shared client for a config (created on first use)
+ * @param {object} config - { endpointUrl, username, password, databaseName }
+ * @returns {object} Odoo client
+ */
+function getOdooClient(config) {
+  const key = `${config.endpointUrl}|${config.databaseName}|${config.username}`;
+  let client = clients.get(key);
+  if (!client || client.config.password !== config.password || client.config.timeoutMs !== config.timeoutMs) {
+    client = createOdooClient(config);
+    clients.set(key, client);
+  }
+  return client;
+}
+
+/**
+ * Create an Odoo client with its own session cache
+ * @param {object} config - { endpointUrl, username, password, databaseName, timeoutMs? }
+ * @returns {object} Odoo client
+ */
+function createOdooClient(config) {
+  const endpointUrl = String(config.endpointUrl || '').replace(/\/+$/, '');
+  const timeoutMs = config.timeoutMs || REQUEST_TIMEOUT_MS;
+  let session = null;         // { uid, cookies }
+  let authenticating = null;  // In-flight authenticate() shared by concurrent callers
+
+  async function authenticate() {
+    const authResponse = await fetch(`${endpointUrl}/web/session/authenticate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: "2.0",
+        params: { db: config.databaseName, login: config.username, password: config.password }
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!authResponse.ok) throw httpError(authResponse);
+
+    const setCookieHeader = authResponse.headers.get('set-cookie');
+    let cookies = setCookieHeader ? setCookieHeader.split(',').map(c => c.trim().split(';')[0]).join('; ') : '';
+
+    const authResult = await authResponse.json();
+    if (!authResult.result?.uid) throw new Error('Invalid Odoo credentials');
+
+    if (!cookies && authResult.result.session_id) cookies = `session_id=${authResult.result.session_id}`;
+
+    return { uid: authResult.result.uid, cookies };
+  }
+
+  async function getSession() {
+    if (session) return session;
+    if (!authenticating) {
+      authenticating = authenticate()
+        .then(s => { session = s; return s; })
+        .finally(() => { authenticating = null; });
+    }
+    return authenticating;
+  }
+
+  function invalidate() {
+    session = null;
+  }
+
+  async function executeKw(current, model, method, args, kwargs) {
+    const response = await fetch(`${endpointUrl}/jsonrpc`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Cookie': current.cookies },
+      body: JSON.stringify({
+        jsonrpc: "2.0", method: "call",
+        params: {
+          service: "object", method: "execute_kw",
+          args: [config.databaseName, current.uid, config.password, model, method, args, ...(kwargs ? [kwargs] : [])]
+        },
+        id: Date.now()
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) throw httpError(response);
+
+    const result = await response.json();
+    if (result.error) {
+      const error = new Error(result.error.data?.message || result.error.message || 'Odoo API error');
+      error.sessionExpired = result.error.code === SESSION_EXPIRED_CODE || result.error.data?.name === SESSION_EXPIRED_NAME;
+      throw error;
+    }
+    return result.result;
+  }
+
+  /**
+   * Raw execute_kw call (re-authenticates and retries once on session expiry)
+   */
+  async function call(model, method, args = [], kwargs) {
+    const current = await getSession();
+    try {
+      return await executeKw(current, model, method, args, kwargs);
+    } catch (error) {
+      if (!error.sessionExpired) throw error;
+      if (session === current) invalidate();
+      return executeKw(await getSession(), model, method, args, kwargs);
+    }
+  }
+
+  // ==================== TYPED HELPERS ====================
+
+  async function searchRead(model, domain, fields = [], options = {}) {
+    const kwargs = {};
+    if (options.limit) kwargs.limit = options.limit;
+    if (options.order) kwargs.order = options.order;
+    if (options.context) kwargs.context = options.context;
+    const records = await call(model, 'search_read', [domain, fields], Object.keys(kwargs).length ? kwargs : undefined);
+    return records || [];
+  }
+
+  // Returns an id for a single values object, or an array of ids for an array of them
+  async function create(model, values) {
+    const many = Array.isArray(values);
+    const result = await call(model, 'create', [many ? values : [values]]);
+    const ids = Array.isArray(result) ? result : [result];
+    return many ? ids : ids[0];
+  }
+
+  async function write(model, ids, values) {
+    return call(model, 'write', [toIds(ids), values]);
+  }
+
+  async function unlink(model, ids) {
+    return call(model, 'unlink', [toIds(ids)]);
+  }
+
+  /**
+   * Run independent calls concurrently over one session
+   * @param {Array} calls - [helperName, ...args] tuples, e.g. ['searchRead', 'res.users', domain, ['id']]
+   *                         (null entries are skipped and yield null, for conditional lookups)
+   * @returns {Array} Results, in call order
+   */
+  async function batch(calls) {
+    await getSession();
+    return Promise.all(calls.map(entry => {
+      if (!entry) return null;
+      const [helper, ...args] = entry;
+      if (!helpers[helper]) throw new Error(`Unknown Odoo helper: ${helper}`);
+      return helpers[helper](...args);
+    }));
+  }
+
+  async function getUserId() {
+    return (await getSession()).uid;
+  }
+
+  const helpers = { call, searchRead, create, write, unlink };
+
+  return { config, getUserId, invalidate, batch, ...helpers };
+}
+
+// error.status lets callers tell server trouble (5xx, 429 - retry) from everything else
+function httpError(response) {
+  const error = new Error(`Odoo HTTP error (${response.status})`);
+  error.status = response.status;
+  return error;
+}
+
+function toIds(ids) {
+  return (Array.isArray(ids) ? ids : [ids]).map(id => parseInt(id, 10));
+}
+
+module.exports = { getOdooClient, createOdooClient };
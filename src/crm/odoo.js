@@ -0,0 +1,580 @@
+// ============================================================================
+// odoo.js - Odoo CRM Export Adapter
+// ============================================================================
+//
+// Ports the original /api/crm/export-odoo JSON-RPC flow onto the CRM adapter
+// interface (see src/crm/index.js).
+//
+// CLIENT:    res.partner (company) -> res.partner (contact) -> crm.lead
+// CANDIDATE: res.partner (contact) -> hr.candidate -> hr.candidate.skill
+//
+// Any record created before a failure is rolled back (unlinked), unless the
+// caller defers rollback to retry - then the next attempt resumes from the
+// records already created.
+//
+// All Odoo calls go through the shared session-caching client (odoo-client.js).
+// Which Odoo fields the lead is written to, and the defaults used (skill type,
+// utm source, ...), come from the field mapping - DEFAULT_FIELD_MAPPING unless
+// the organization has its own (src/crm/field-mapping.js).
+// ============================================================================
+
+const { getOdooClient } = require('./odoo-client');
+const { SKILL_LEVELS } = require('../skills');
+
+const PLACEHOLDER_EMAIL = 'noemail@domain.com';
+
+// Built-in mapping: what the export has always written. A field mapped to null is not written
+// (candidate phone is mappable - e.g. to partner_phone - but off by default, as it always was).
+const DEFAULT_FIELD_MAPPING = {
+  defaults: {
+    companyId: 1,               // hr.candidate.company_id
+    skillType: 'IT',            // hr.skill.type for extracted skills
+    skillLevel: 'Expert',       // hr.skill.level for skills without an inferred seniority
+    skillLevelProgress: 100,
+    utmSource: 'LinkedIn'       // utm.source on opportunities
+  },
+  fields: {
+    company: {},
+    contact: { email: 'email', phone: 'phone', function: 'function', street: 'street', comment: 'comment' },
+    opportunity: {
+      email: 'email_from', phone: 'phone', function: 'function', street: 'street',
+      linkedinUrl: 'website', clientType: 'x_studio_client_type'
+    },
+    candidate: { email: 'email_from', phone: null, linkedinUrl: 'linkedin_profile' }
+  },
+  staticValues: { company: {}, contact: {}, opportunity: {}, candidate: {} }
+};
+
+function getOdooConfig() {
+  return {
+    endpointUrl: process.env.ODOO_ENDPOINT,
+    username: process.env.ODOO_USERNAME,
+    password: process.env.ODOO_PASSWORD,
+    databaseName: process.env.ODOO_DATABASE
+  };
+}
+
+/**
+ * Create the Odoo adapter
+ * @param {object} config - { endpointUrl, username, password, databaseName } (defaults to ODOO_* env vars)
+ * @returns {object} CRM adapter
+ */
+function createOdooAdapter(config = getOdooConfig()) {
+  function isConfigured() {
+    return !!(config.endpointUrl && config.username && config.password && config.databaseName);
+  }
+
+  /**
+   * Export a lead
+   * @param {object} lead - Normalized lead from prepareExportLead()
+   * @param {object} options
+   * @param {object} options.createdRecords - Records created by a previous failed attempt (resumed, not recreated)
+   * @param {boolean} options.deferRollback - Leave created records in place on failure (caller retries or calls rollback())
+   * @param {string} options.mode - 'create' (default) reports duplicates; 'upsert' writes new data onto them instead
+   * @param {object} options.fieldMapping - Organization field mapping (defaults to DEFAULT_FIELD_MAPPING)
+   * @param {function} options.onRecordCreated - Awaited with createdRecords after every record created or rolled back
+   */
+  async function exportLead(lead, options = {}) {
+    const createdRecords = { company: null, contact: null, opportunity: null, candidate: null, skills: [], ...(options.createdRecords || {}) };
+    const flowOptions = {
+      mode: options.mode,
+      mapping: options.fieldMapping || DEFAULT_FIELD_MAPPING,
+      recordCreated: async () => { if (options.onRecordCreated) await options.onRecordCreated(createdRecords); }
+    };
+
+    const odoo = getOdooClient(config);
+
+    try {
+      const userId = await odoo.getUserId();
+
+      try {
+        if (lead.isCandidate) {
+          return await exportCandidate(lead, odoo, userId, createdRecords, flowOptions);
+        }
+        return await exportClient(lead, odoo, userId, createdRecords, flowOptions);
+      } catch (creationError) {
+        if (!options.deferRollback) await rollbackCreatedRecords(odoo, createdRecords);
+        throw creationError;
+      }
+    } catch (error) {
+      error.createdRecords = createdRecords;
+      throw error;
+    }
+  }
+
+  async function rollback(createdRecords) {
+    return rollbackCreatedRecords(getOdooClient(config), createdRecords);
+  }
+
+  async function checkExport(exportLog) {
+    const modelName = exportLog.profileType === 'candidate' ? 'hr.candidate' : 'crm.lead';
+    const records = await getOdooClient(config).searchRead(modelName, [['id', '=', exportLog.crmId]], ['id', 'name', 'active']);
+    return records.length > 0;
+  }
+
+  /**
+   * Read pipeline state for exported opportunities (used by the sync job, src/crm-sync.js)
+   * @param {Array} crmIds - crm.lead ids
+   * @returns {Map} crmId -> { stage, active, owner } (ids missing from the map were deleted in Odoo)
+   */
+  async function fetchPipelineStatus(crmIds) {
+    const odoo = getOdooClient(config);
+    // active_test: false so archived (lost) opportunities are returned too
+    const records = await odoo.searchRead('crm.lead', [['id', 'in', crmIds.map(id => parseInt(id, 10))]],
+      ['id', 'stage_id', 'active', 'user_id'], { context: { active_test: false } });
+
+    return new Map(records.map(r => [r.id, {
+      stage: r.stage_id ? r.stage_id[1] : null,
+      active: r.active !== false,
+      owner: r.user_id ? r.user_id[1] : null
+    }]));
+  }
+
+  return {
+    type: 'odoo', label: 'Odoo', modes: ['create', 'upsert'], defaultFieldMapping: DEFAULT_FIELD_MAPPING,
+    isConfigured, exportLead, checkExport, rollback, fetchPipelineStatus
+  };
+}
+
+// ============================================================================
+// FIELD MAPPING
+// ============================================================================
+
+/**
+ * Odoo values for one record: mapped lead fields (empty values skipped) plus the record's static values
+ * @param {object} mapping - Field mapping
+ * @param {string} record - 'company' | 'contact' | 'opportunity' | 'candidate'
+ * @param {object} values - Lead-side values keyed by lead field
+ */
+function mapValues(mapping, record, values) {
+  const mapped = { ...(mapping.staticValues?.[record] || {}) };
+  for (const [leadField, value] of Object.entries(values)) {
+    const odooField = mapping.fields[record]?.[leadField];
+    if (odooField && value !== null && value !== undefined && value !== '') mapped[odooField] = value;
+  }
+  return mapped;
+}
+
+// ============================================================================
+// CANDIDATE FLOW
+// ============================================================================
+
+async function exportCandidate(lead, odoo, userId, createdRecords, options) {
+  const { mapping } = options;
+  const { name: cleanName, email: cleanEmail, linkedinUrl } = lead;
+  const resuming = !!(createdRecords.contact || createdRecords.candidate);
+  const emailField = mapping.fields.candidate.email;
+  const linkedinField = mapping.fields.candidate.linkedinUrl;
+
+  // Duplicate check (skipped when resuming - it would match our own records)
+  const candidateFields = ['id', 'partner_name', emailField, linkedinField].filter(Boolean);
+  const [candidatesByName, candidatesByLinkedIn] = resuming ? [[], []] : await odoo.batch([
+    ['searchRead', 'hr.candidate', [['partner_name', '=', cleanName], ...(cleanEmail && emailField ? [[emailField, '=', cleanEmail]] : [])], candidateFields],
+    linkedinUrl && linkedinField ? ['searchRead', 'hr.candidate', [[linkedinField, '=', linkedinUrl]], candidateFields] : null
+  ]);
+
+  const allCandidates = [...candidatesByName, ...(candidatesByLinkedIn || [])];
+  const uniqueCandidates = allCandidates.filter((c, i, self) => i === self.findIndex(x => x.id === c.id));
+
+  if (uniqueCandidates.length > 0) {
+    const existing = uniqueCandidates[0];
+    const matchedBy = (candidatesByLinkedIn || []).some(c => c.id === existing.id) ? 'LinkedIn URL' : 'Name/Email';
+
+    if (options.mode === 'upsert') {
+      return upsertCandidate(lead, existing.id, matchedBy, odoo, mapping);
+    }
+
+    return { status: 'duplicate', crmId: existing.id, message: `Candidate exists (${matchedBy})` };
+  }
+
+  // Create contact
+  let contactId = createdRecords.contact;
+  if (!contactId) {
+    const contactData = {
+      name: cleanName, type: 'contact', is_company: false, customer_rank: 0,
+      ...mapValues(mapping, 'contact', { email: cleanEmail, phone: lead.phone })
+    };
+
+    contactId = await odoo.create('res.partner', contactData);
+    createdRecords.contact = contactId;
+    await options.recordCreated();
+  }
+
+  // Create candidate
+  let candidateId = createdRecords.candidate;
+  if (!candidateId) {
+    candidateId = await createCandidate(lead, contactId, odoo, userId, mapping);
+    createdRecords.candidate = candidateId;
+    await options.recordCreated();
+  }
+
+  // Link skills if provided
+  const mainSkill = lead.skills?.[0]?.name || lead.extractedSkill || null;
+  let linkedSkills = [];
+  try {
+    linkedSkills = await linkCandidateSkills(candidateId, candidateSkills(lead), odoo, mapping);
+    createdRecords.skills = [...(createdRecords.skills || []), ...linkedSkills.map(s => s.linkId)];
+  } catch (skillErr) {
+    console.warn('Skill creation failed:', skillErr.message);
+  }
+  if (linkedSkills.length > 0) await options.recordCreated();
+
+  return {
+    status: 'success',
+    crmId: candidateId,
+    message: 'Candidate exported to Odoo',
+    logFields: { contactId, mainSkill: mainSkill || 'None', skills: linkedSkills.map(s => ({ name: s.name, level: s.level })) },
+    response: {
+      details: {
+        contactCreated: true, candidateCreated: true, skillExtracted: mainSkill || 'None', contactId,
+        skillsLinked: linkedSkills.map(s => ({ name: s.name, level: s.level }))
+      }
+    }
+  };
+}
+
+async function createCandidate(lead, contactId, odoo, userId, mapping) {
+  const { name: cleanName, sourcedBy } = lead;
+
+  const candidateData = {
+    partner_name: cleanName,
+    partner_id: parseInt(contactId, 10),
+    company_id: mapping.defaults.companyId,
+    ...mapValues(mapping, 'candidate', {
+      email: lead.email || PLACEHOLDER_EMAIL, phone: lead.phone, linkedinUrl: lead.linkedinUrl
+    })
+  };
+
+  if (sourcedBy) {
+    const salespersons = await odoo.searchRead('res.users', [['name', 'ilike', sourcedBy]], ['id']);
+    candidateData.user_id = salespersons[0]?.id || userId;
+  } else {
+    candidateData.user_id = userId;
+  }
+
+  return odoo.create('hr.candidate', candidateData);
+}
+
+// Ranked skills for a lead (older payloads only carry extractedSkill)
+function candidateSkills(lead) {
+  if (lead.skills?.length) return lead.skills;
+  return lead.extractedSkill ? [{ name: lead.extractedSkill, level: null }] : [];
+}
+
+// Link skills to the candidate, creating the skill type / skills / levels when missing.
+// Inferred seniority maps onto an hr.skill.level of the same name; skills without one
+// get the mapping's default level. Returns the newly created links
+// ([{ name, level, linkId }]) - skills already linked to the candidate are skipped.
+async function linkCandidateSkills(candidateId, skills, odoo, mapping) {
+  if (!skills.length) return [];
+
+  const { skillType, skillLevel, skillLevelProgress } = mapping.defaults;
+
+  const skillTypes = await odoo.searchRead('hr.skill.type', [['name', '=', skillType]], ['id']);
+  const skillTypeId = skillTypes.length > 0
+    ? skillTypes[0].id
+    : await odoo.create('hr.skill.type', { name: skillType });
+
+  const [existingLevels, existingLinks] = await odoo.batch([
+    ['searchRead', 'hr.skill.level', [['skill_type_id', '=', skillTypeId]], ['id', 'name']],
+    ['searchRead', 'hr.candidate.skill', [['candidate_id', '=', candidateId]], ['id', 'skill_id']]
+  ]);
+  const levelIds = new Map(existingLevels.map(l => [l.name, l.id]));
+  const linkedSkillIds = new Set(existingLinks.map(l => (Array.isArray(l.skill_id) ? l.skill_id[0] : l.skill_id)));
+
+  async function levelIdFor(level) {
+    const known = SKILL_LEVELS.find(l => l.name === level);
+    const name = known ? known.name : skillLevel;
+    if (!levelIds.has(name)) {
+      const progress = known ? known.progress : skillLevelProgress;
+      levelIds.set(name, await odoo.create('hr.skill.level', { name, level_progress: progress, skill_type_id: skillTypeId }));
+    }
+    return { levelId: levelIds.get(name), levelName: name };
+  }
+
+  const linked = [];
+  for (const skill of skills) {
+    // =ilike: case-insensitive exact match - names are already canonical (src/skills.js)
+    const found = await odoo.searchRead('hr.skill', [['name', '=ilike', skill.name], ['skill_type_id', '=', skillTypeId]], ['id']);
+    const skillId = found.length > 0
+      ? found[0].id
+      : await odoo.create('hr.skill', { name: skill.name, skill_type_id: skillTypeId });
+
+    if (linkedSkillIds.has(skillId)) continue;
+
+    const { levelId, levelName } = await levelIdFor(skill.level);
+    const linkId = await odoo.create('hr.candidate.skill', {
+      candidate_id: candidateId, skill_id: skillId, skill_level_id: levelId, skill_type_id: skillTypeId
+    });
+    linkedSkillIds.add(skillId);
+    linked.push({ name: skill.name, level: levelName, linkId });
+  }
+
+  return linked;
+}
+
+// ============================================================================
+// CLIENT FLOW
+// ============================================================================
+
+async function exportClient(lead, odoo, userId, createdRecords, options) {
+  const { mapping } = options;
+  const { name: cleanName, companyName: cleanCompany, linkedinUrl, sourcedBy } = lead;
+  const linkedinField = mapping.fields.opportunity.linkedinUrl;
+
+  // Source, salesperson and company lookups don't depend on each other
+  const [sources, salespersons, existingCompanies] = await odoo.batch([
+    ['searchRead', 'utm.source', [['name', '=', mapping.defaults.utmSource]], ['id']],
+    sourcedBy ? ['searchRead', 'res.users', [['name', 'ilike', sourcedBy]], ['id']] : null,
+    // A company created by an earlier attempt is reused
+    createdRecords.company ? null : ['searchRead', 'res.partner', [['name', '=', cleanCompany], ['is_company', '=', true]], ['id']]
+  ]);
+
+  const sourceId = sources.length > 0
+    ? sources[0].id
+    : await odoo.create('utm.source', { name: mapping.defaults.utmSource });
+
+  const salespersonId = salespersons?.[0]?.id || userId;
+
+  let companyId, isExistingCompany, clientType;
+  if (createdRecords.company) {
+    companyId = createdRecords.company;
+    isExistingCompany = false;
+    clientType = 'New Prospect';
+  } else if (existingCompanies?.length > 0) {
+    companyId = existingCompanies[0].id;
+    isExistingCompany = true;
+    clientType = 'Existing Client';
+  } else {
+    companyId = await odoo.create('res.partner', {
+      name: cleanCompany, is_company: true, customer_rank: 1, user_id: salespersonId,
+      ...mapValues(mapping, 'company', {})
+    });
+    isExistingCompany = false;
+    clientType = 'New Prospect';
+    createdRecords.company = companyId;
+    await options.recordCreated();
+  }
+
+  // Check/create contact
+  const existingContacts = createdRecords.contact ? [] : await odoo.searchRead('res.partner',
+    [['name', '=', cleanName], ['parent_id', '=', companyId]], ['id']
+  );
+
+  let contactId, contactAlreadyExists;
+  if (createdRecords.contact) {
+    contactId = createdRecords.contact;
+    contactAlreadyExists = false;
+  } else if (existingContacts.length > 0) {
+    contactId = existingContacts[0].id;
+    contactAlreadyExists = true;
+  } else {
+    const contactData = {
+      name: cleanName, parent_id: parseInt(companyId, 10), type: 'contact', is_company: false, customer_rank: 1,
+      ...mapValues(mapping, 'contact', {
+        email: lead.email || PLACEHOLDER_EMAIL, phone: lead.phone, function: lead.function, street: lead.street, comment: lead.comment
+      })
+    };
+
+    contactId = await odoo.create('res.partner', contactData);
+    contactAlreadyExists = false;
+    createdRecords.contact = contactId;
+    await options.recordCreated();
+  }
+
+  // Check for duplicate opportunities
+  const leadFields = ['id', 'name', 'stage_id'];
+  const [existingLeadsByContact, existingLeadsByLinkedIn] = await odoo.batch([
+    ['searchRead', 'crm.lead', [['partner_id', '=', contactId], ['active', '=', true]], leadFields],
+    linkedinUrl && linkedinField ? ['searchRead', 'crm.lead', [[linkedinField, '=', linkedinUrl], ['active', '=', true]], leadFields] : null
+  ]);
+
+  const allLeads = [...existingLeadsByContact, ...(existingLeadsByLinkedIn || [])];
+  const uniqueLeads = allLeads.filter((l, i, self) => i === self.findIndex(x => x.id === l.id));
+
+  if (uniqueLeads.length > 0) {
+    const existingLead = uniqueLeads[0];
+    await rollbackCreatedRecords(odoo, createdRecords);
+    // Deleted - a retry after a failed upsert must not resume from them
+    createdRecords.company = null;
+    createdRecords.contact = null;
+    await options.recordCreated();
+
+    if (options.mode === 'upsert') {
+      return upsertOpportunity(lead, existingLead, odoo, mapping);
+    }
+
+    return {
+      status: 'duplicate',
+      crmId: existingLead.id,
+      message: `Opportunity exists (ID: ${existingLead.id})`,
+      response: { opportunityName: existingLead.name, stage: existingLead.stage_id?.[1] }
+    };
+  }
+
+  // Create opportunity
+  const leadCreateData = {
+    name: `${cleanName}'s opportunity`,
+    partner_id: parseInt(contactId, 10),
+    contact_name: cleanName,
+    type: 'opportunity',
+    user_id: salespersonId,
+    source_id: sourceId,
+    ...mapValues(mapping, 'opportunity', {
+      email: lead.email || PLACEHOLDER_EMAIL, phone: lead.phone, function: lead.function, street: lead.street,
+      linkedinUrl, clientType
+    })
+  };
+
+  const leadId = await odoo.create('crm.lead', leadCreateData);
+  createdRecords.opportunity = leadId;
+  await options.recordCreated();
+
+  return {
+    status: 'success',
+    crmId: leadId,
+    message: `Lead exported as ${clientType}`,
+    logFields: { companyId, contactId, clientType },
+    response: {
+      details: { companyCreated: !isExistingCompany, contactCreated: !contactAlreadyExists, leadCreated: true, clientType, companyId, contactId }
+    }
+  };
+}
+
+// ============================================================================
+// UPSERT (mode: 'upsert')
+// ============================================================================
+//
+// Writes the lead's email / phone / title (and candidate skill) onto the
+// existing records and reports a field-level diff. Empty values never
+// overwrite CRM data, and placeholder emails count as empty.
+
+async function upsertCandidate(lead, candidateId, matchedBy, odoo, mapping) {
+  const changes = [];
+
+  const desired = mapValues({ fields: mapping.fields }, 'candidate', { email: lead.email, phone: lead.phone });
+  const [candidate] = await odoo.searchRead('hr.candidate', [['id', '=', candidateId]], [...Object.keys(desired), 'partner_id']);
+  if (candidate) {
+    await writeChanges(odoo, 'hr.candidate', candidate, desired, changes);
+    if (candidate.partner_id) {
+      await upsertPartner(lead, candidate.partner_id[0], odoo, mapping, changes);
+    }
+  }
+
+  try {
+    const linkedSkills = await linkCandidateSkills(candidateId, candidateSkills(lead), odoo, mapping);
+    linkedSkills.forEach(skill => changes.push({ model: 'hr.candidate.skill', field: 'skill_id', from: null, to: `${skill.name} (${skill.level})` }));
+  } catch (skillErr) {
+    console.warn('Skill update failed:', skillErr.message);
+  }
+
+  return upsertResult('Candidate', candidateId, matchedBy, changes);
+}
+
+async function upsertOpportunity(lead, existingLead, odoo, mapping) {
+  const changes = [];
+
+  const desired = mapValues({ fields: mapping.fields }, 'opportunity', { email: lead.email, phone: lead.phone, function: lead.function });
+  const [opportunity] = await odoo.searchRead('crm.lead', [['id', '=', existingLead.id]], [...Object.keys(desired), 'partner_id']);
+  if (opportunity) {
+    await writeChanges(odoo, 'crm.lead', opportunity, desired, changes);
+    if (opportunity.partner_id) {
+      await upsertPartner(lead, opportunity.partner_id[0], odoo, mapping, changes);
+    }
+  }
+
+  const result = upsertResult('Opportunity', existingLead.id, null, changes);
+  result.response = { ...result.response, opportunityName: existingLead.name, stage: existingLead.stage_id?.[1] };
+  return result;
+}
+
+async function upsertPartner(lead, partnerId, odoo, mapping, changes) {
+  const desired = mapValues({ fields: mapping.fields }, 'contact', { email: lead.email, phone: lead.phone, function: lead.function });
+  const [partner] = await odoo.searchRead('res.partner', [['id', '=', partnerId]], Object.keys(desired));
+  if (partner) {
+    await writeChanges(odoo, 'res.partner', partner, desired, changes);
+  }
+}
+
+// Write the fields whose new value differs from the record; record each change
+async function writeChanges(odoo, model, record, desired, changes) {
+  const values = {};
+  for (const [field, to] of Object.entries(desired)) {
+    const from = record[field] && record[field] !== PLACEHOLDER_EMAIL ? record[field] : null;
+    if (from === to) continue;
+    values[field] = to;
+    changes.push({ model, field, from, to });
+  }
+
+  if (Object.keys(values).length > 0) {
+    await odoo.write(model, record.id, values);
+  }
+}
+
+function upsertResult(label, crmId, matchedBy, changes) {
+  if (changes.length === 0) {
+    return {
+      status: 'duplicate',
+      crmId,
+      message: `${label} exists${matchedBy ? ` (${matchedBy})` : ''} - already up to date`,
+      response: { changes }
+    };
+  }
+
+  return {
+    status: 'updated',
+    crmId,
+    message: `${label} updated (${changes.length} field${changes.length === 1 ? '' : 's'} changed)`,
+    logFields: { changes },
+    response: { changes, ...(matchedBy ? { matchedBy } : {}) }
+  };
+}
+
+// ============================================================================
+// ROLLBACK
+// ============================================================================
+
+async function rollbackCreatedRecords(odoo, createdRecords) {
+  const rollbackResults = [];
+  try {
+    if (createdRecords.opportunity || createdRecords.candidate) {
+      const entityType = createdRecords.opportunity ? 'opportunity' : 'candidate';
+      const entityId = createdRecords.opportunity || createdRecords.candidate;
+      const modelName = createdRecords.opportunity ? 'crm.lead' : 'hr.candidate';
+      try {
+        await odoo.unlink(modelName, entityId);
+        rollbackResults.push({ type: entityType, id: entityId, status: 'deleted' });
+      } catch (err) {
+        rollbackResults.push({ type: entityType, id: entityId, status: 'failed' });
+      }
+    }
+
+    // Contact and company are both res.partner - one unlink call removes both
+    const partners = [['contact', createdRecords.contact], ['company', createdRecords.company]].filter(([, id]) => id);
+    if (partners.length > 0) {
+      let status = 'deleted';
+      try {
+        await odoo.unlink('res.partner', partners.map(([, id]) => id));
+      } catch (err) {
+        status = 'failed';
+      }
+      partners.forEach(([type, id]) => rollbackResults.push({ type, id, status }));
+    }
+
+    const skillLinks = createdRecords.skills || [];
+    if (skillLinks.length > 0) {
+      let status = 'deleted';
+      try {
+        await odoo.unlink('hr.candidate.skill', skillLinks);
+      } catch (err) {
+        status = 'failed';
+      }
+      skillLinks.forEach(id => rollbackResults.push({ type: 'skill', id, status }));
+    }
+  } catch (err) {
+    console.error('❌ Rollback process error:', err.message);
+  }
+  return rollbackResults;
+}
+
+module.exports = { createOdooAdapter, getOdooConfig, DEFAULT_FIELD_MAPPING };
@@ -0,0 +1,287 @@
+/**
+ * Domain Intelligence for Brynsa Backend
+ * File: src/domain-intel.js
+ *
+ * What we've learned about a mail domain, so verification doesn't resolve
+ * MX and open SMTP connections for it again on every run:
+ *
+ *   domain_intel: {
+ *     domain,
+ *     mx: { valid, reason, mxHost, records, checkedAt },
+ *     catchAll, catchAllCheckedAt,            - src/catch-all.js
+ *     smtp: { reachable, reason, checkedAt }, - last RCPT TO probe
+ *     greylisting, greylistedAt,              - answered 450/451 ("try later")
+ *     smtpWindow: { startedAt, count },       - SMTP probes this window
+ *     updatedAt
+ *   }
+ *
+ * Every fact has its own TTL (see TTL below) - a stale fact is looked up again.
+ * DNS timeouts and other transient failures are never cached.
+ *
+ * SMTP probes are rationed per domain across runs and processes
+ * (MAX_SMTP_CHECKS_PER_WINDOW per SMTP_WINDOW_MS), and skipped entirely while
+ * a domain is unreachable on port 25 or greylisting us.
+ *
+ * Read by src/email-verifier.js (cron, API, bulk jobs), enrichEmails.js and
+ * instant generation (emailSystem.js). Exposed as GET /api/domains/:domain.
+ */
+
+const COLLECTION = 'domain_intel';
+
+const TTL = {
+  mx: 24 * 60 * 60 * 1000,
+  noMx: 6 * 60 * 60 * 1000,                   // Domains do get mail set up - look again sooner
+  catchAll: 7 * 24 * 60 * 60 * 1000,
+  unreachable: 6 * 60 * 60 * 1000,
+  greylisting: 24 * 60 * 60 * 1000
+};
+
+const SMTP_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SMTP_CHECKS_PER_WINDOW = 20;
+const MEMORY_TTL_MS = 5 * 60 * 1000;
+
+// Definitive answers - anything else (dns_timeout, dns_error_*) is retried next time
+const CACHEABLE_MX_REASONS = new Set(['mx_found', 'a_record_fallback', 'no_mx_records', 'domain_not_found']);
+
+const memoryCache = new Map(); // domain -> { intel, expiresAt }
+
+function normalizeDomain(domain) {
+  return String(domain || '').toLowerCase().trim().replace(/^www\./, '').replace(/\.$/, '');
+}
+
+function isFresh(checkedAt, ttl) {
+  return !!checkedAt && Date.now() - new Date(checkedAt).getTime() < ttl;
+}
+
+function mxFresh(intel) {
+  if (!intel?.mx) return false;
+  return isFresh(intel.mx.checkedAt, intel.mx.valid ? TTL.mx : TTL.noMx);
+}
+
+/**
+ * @returns {object|null} The stored domain_intel document (stale facts included)
+ */
+async function getDomainIntel(db, domain) {
+  domain = normalizeDomain(domain);
+  if (!domain) return null;
+
+  const cached = memoryCache.get(domain);
+  if (cached && cached.expiresAt > Date.now()) return cached.intel;
+
+  const intel = await db.collection(COLLECTION).findOne({ domain }).catch(() => null);
+  memoryCache.set(domain, { intel, expiresAt: Date.now() + MEMORY_TTL_MS });
+  return intel;
+}
+
+async function saveDomainIntel(db, domain, fields, inc) {
+  domain = normalizeDomain(domain);
+  if (!domain) return;
+
+  memoryCache.delete(domain);
+  await db.collection(COLLECTION).updateOne(
+    { domain },
+    { $set: { ...fields, updatedAt: new Date() }, ...(inc ? { $inc: inc } : {}), $setOnInsert: { domain } },
+    { upsert: true }
+  ).catch(error => console.warn(`⚠️ Domain intel write failed (${domain}):`, error.message));
+}
+
+/**
+ * MX records for a domain - cached, or looked up and stored
+ * @param {function} checkMXRecords - (domain) => { valid, reason, records, mxHost }
+ * @param {object} [options] - { refresh: true } to ignore the cache
+ * @returns {object} { valid, reason, records, mxHost, cached }
+ */
+async function lookupMX(db, domain, checkMXRecords, { refresh = false } = {}) {
+  const intel = refresh ? null : await getDomainIntel(db, domain);
+  if (mxFresh(intel)) {
+    const { valid, reason, records, mxHost } = intel.mx;
+    return { valid, reason, records, mxHost, cached: true };
+  }
+
+  const mx = await checkMXRecords(domain);
+  if (CACHEABLE_MX_REASONS.has(mx.reason)) {
+    await saveDomainIntel(db, domain, {
+      mx: { valid: mx.valid, reason: mx.reason, records: mx.records || null, mxHost: mx.mxHost || null, checkedAt: new Date() }
+    });
+  }
+  return { ...mx, cached: false };
+}
+
+/**
+ * May we open an SMTP connection to this domain now? Counts the probe if so.
+ * The budget is taken straight from the database in one conditional update,
+ * so concurrent workers can't both spend the last probe of a window.
+ * @returns {object} { allowed, reason } - reason: 'smtp_unreachable' | 'greylisting' | 'rate_limited'
+ */
+async function reserveSmtpCheck(db, domain) {
+  domain = normalizeDomain(domain);
+  try {
+    const intel = await getDomainIntel(db, domain);
+
+    if (intel?.smtp?.reachable === false && isFresh(intel.smtp.checkedAt, TTL.unreachable)) {
+      return { allowed: false, reason: 'smtp_unreachable' };
+    }
+    if (intel?.greylisting && isFresh(intel.greylistedAt, TTL.greylisting)) {
+      return { allowed: false, reason: 'greylisting' };
+    }
+
+    const allowed = await takeSmtpBudget(db, domain);
+    memoryCache.delete(domain);
+    return allowed ? { allowed: true, reason: null } : { allowed: false, reason: 'rate_limited' };
+
+  } catch (error) {
+    // Intel is an optimisation - never block verification on it
+    return { allowed: true, reason: null };
+  }
+}
+
+async function takeSmtpBudget(db, domain, retried = false) {
+  const collection = db.collection(COLLECTION);
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - SMTP_WINDOW_MS);
+
+  // A probe left in the current window
+  const counted = await collection.findOneAndUpdate(
+    { domain, 'smtpWindow.startedAt': { $gt: windowStart }, 'smtpWindow.count': { $lt: MAX_SMTP_CHECKS_PER_WINDOW } },
+    { $inc: { 'smtpWindow.count': 1 }, $set: { updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  if (counted) return true;
+
+  // No window yet, or it expired - start a new one
+  try {
+    const started = await collection.findOneAndUpdate(
+      { domain, $or: [{ smtpWindow: { $exists: false } }, { 'smtpWindow.startedAt': { $lte: windowStart } }] },
+      { $set: { smtpWindow: { startedAt: now, count: 1 }, updatedAt: now }, $setOnInsert: { domain } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return !!started;
+  } catch (error) {
+    // Duplicate key: the window is current (and full), or another worker just started it
+    if (error.code === 11000 && !retried) return takeSmtpBudget(db, domain, true);
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Store what an RCPT TO probe said about the domain's mail server
+ * @param {object} smtp - From checkSMTP: { valid, definitelyInvalid, reason }
+ */
+async function recordSmtpResult(db, domain, smtp) {
+  // The server answered RCPT TO at all (accepted, rejected or deferred)
+  const reachable = smtp.valid || smtp.definitelyInvalid || /^(temp_failure|unknown)_/.test(smtp.reason);
+  const greylisting = /^temp_failure_45[01]$/.test(smtp.reason);
+
+  const fields = { smtp: { reachable, reason: smtp.reason, checkedAt: new Date() } };
+  if (greylisting) {
+    fields.greylisting = true;
+    fields.greylistedAt = new Date();
+  } else if (smtp.valid || smtp.definitelyInvalid) {
+    fields.greylisting = false;
+  }
+
+  if (!reachable) console.log(`🚫 ${normalizeDomain(domain)}: SMTP unreachable (${smtp.reason}) - skipping probes for ${TTL.unreachable / 3600000}h`);
+  if (greylisting) console.log(`⏳ ${normalizeDomain(domain)} is greylisting - skipping probes for ${TTL.greylisting / 3600000}h`);
+
+  await saveDomainIntel(db, domain, fields);
+}
+
+/**
+ * Mail server known not to exist (a cached, definitive MX answer)
+ */
+function hasNoMailServer(intel) {
+  return mxFresh(intel) && !intel.mx.valid;
+}
+
+function isCatchAll(intel) {
+  return intel?.catchAll === true && isFresh(intel.catchAllCheckedAt, TTL.catchAll);
+}
+
+/**
+ * Public view - each fact with when it was checked and whether it's still trusted
+ */
+function serializeDomainIntel(intel) {
+  const smtpFresh = isFresh(intel.smtp?.checkedAt, TTL.unreachable);
+  const windowFresh = isFresh(intel.smtpWindow?.startedAt, SMTP_WINDOW_MS);
+  return {
+    domain: intel.domain,
+    mx: intel.mx ? {
+      valid: intel.mx.valid,
+      reason: intel.mx.reason,
+      mxHost: intel.mx.mxHost,
+      records: intel.mx.records,
+      checkedAt: intel.mx.checkedAt,
+      fresh: mxFresh(intel)
+    } : null,
+    catchAll: typeof intel.catchAll === 'boolean' ? {
+      value: intel.catchAll,
+      checkedAt: intel.catchAllCheckedAt,
+      fresh: isFresh(intel.catchAllCheckedAt, TTL.catchAll)
+    } : null,
+    smtp: intel.smtp ? {
+      reachable: intel.smtp.reachable,
+      reason: intel.smtp.reason,
+      checkedAt: intel.smtp.checkedAt,
+      fresh: smtpFresh
+    } : null,
+    greylisting: {
+      value: !!intel.greylisting && isFresh(intel.greylistedAt, TTL.greylisting),
+      lastSeenAt: intel.greylistedAt || null
+    },
+    smtpChecksThisWindow: windowFresh ? intel.smtpWindow.count : 0,
+    lastCheckedAt: intel.updatedAt || null
+  };
+}
+
+function ensureDomainIntelIndexes(db) {
+  return db.collection(COLLECTION).createIndex({ domain: 1 }, { unique: true }).catch(() => {});
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+function setupDomainIntelRoutes(app, db) {
+  const { authMiddleware } = require('./auth');
+  const { createEmailVerifier } = require('./email-verifier');
+  const auth = authMiddleware(db.collection('portal_users'));
+
+  ensureDomainIntelIndexes(db);
+
+  // GET /api/domains/:domain - What we know about a mail domain
+  // Looks up MX when it isn't cached (never SMTP); ?refresh=true forces the lookup
+  app.get('/api/domains/:domain', auth, async (req, res) => {
+    try {
+      const domain = normalizeDomain(req.params.domain);
+      if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/.test(domain)) {
+        return res.status(400).json({ success: false, error: 'Invalid domain' });
+      }
+
+      await lookupMX(db, domain, createEmailVerifier().checkMXRecords, { refresh: req.query.refresh === 'true' });
+
+      const intel = await getDomainIntel(db, domain);
+      res.json({ success: true, ...serializeDomainIntel(intel || { domain }) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  console.log('✅ Domain intel routes registered: /api/domains/:domain');
+}
+
+module.exports = {
+  setupDomainIntelRoutes,
+  getDomainIntel,
+  saveDomainIntel,
+  lookupMX,
+  reserveSmtpCheck,
+  recordSmtpResult,
+  hasNoMailServer,
+  isCatchAll,
+  serializeDomainIntel,
+  ensureDomainIntelIndexes,
+  normalizeDomain,
+  TTL,
+  MAX_SMTP_CHECKS_PER_WINDOW
+};
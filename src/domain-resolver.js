@@ -0,0 +1,310 @@
+/**
+ * Company -> Domain Resolution for Brynsa Backend
+ * File: src/domain-resolver.js
+ *
+ * Pattern learning needs a peer email for the exact companyName string; this
+ * works out a company's email domain without one, from every source we have:
+ *
+ *   admin override (company_domains)       1.00
+ *   seeded alias table (company_domains)   0.95
+ *   companies.domain                       0.90
+ *   companies.website                      0.85
+ *   learned pattern (company_patterns)     0.70 - 0.80 by frequency
+ *   peer lead emails                       0.40 - 0.80 by share of peers
+ *
+ * Sources that agree reinforce each other (1 - product of (1 - confidence)).
+ * An admin override always wins.
+ *
+ *   company_domains: { key, companyName, domain, otherDomains[], aliases[],
+ *                      source: 'seed'|'admin', createdAt, updatedAt }
+ *
+ * Routes (admin - secret is REBUILD_SECRET):
+ *   GET    /api/company-domains?company=    - Resolve one company (all candidates), or list the table
+ *   PUT    /api/company-domains             { companyName, domain, otherDomains?, aliases? }
+ *   DELETE /api/company-domains/:company
+ */
+
+const { companyKey, resolveCompanyKey } = require('./company-names');
+
+const COLLECTION = 'company_domains';
+
+// Seeded on startup ($setOnInsert - admin edits are never overwritten)
+const SEED_COMPANY_DOMAINS = {
+  'deel': ['deel.com', 'letsdeel.com'],
+  'hofy': ['hofy.com', 'hofy.co'],
+  'google': ['google.com'],
+  'microsoft': ['microsoft.com'],
+  'amazon': ['amazon.com'],
+  'meta': ['meta.com', 'fb.com', 'facebook.com'],
+  'apple': ['apple.com'],
+  'netflix': ['netflix.com'],
+  'uber': ['uber.com'],
+  'airbnb': ['airbnb.com'],
+  'stripe': ['stripe.com'],
+  'slack': ['slack.com'],
+  'zoom': ['zoom.us'],
+  'salesforce': ['salesforce.com'],
+  'hubspot': ['hubspot.com'],
+  'atlassian': ['atlassian.com'],
+  'shopify': ['shopify.com'],
+  'twitter': ['twitter.com', 'x.com'],
+  'linkedin': ['linkedin.com'],
+  'adobe': ['adobe.com'],
+  'oracle': ['oracle.com'],
+  'ibm': ['ibm.com'],
+  'intel': ['intel.com'],
+  'nvidia': ['nvidia.com'],
+  'tesla': ['tesla.com'],
+  'spacex': ['spacex.com']
+};
+
+const SOURCE_CONFIDENCE = {
+  admin: 1,
+  seed: 0.95,
+  company_domain: 0.90,
+  company_website: 0.85
+};
+
+// Never a company's own domain
+const NON_COMPANY_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'icloud.com', 'me.com', 'aol.com', 'gmx.com', 'protonmail.com', 'zoho.com', 'msn.com',
+  'lnkd.in', 'bit.ly', 'linktr.ee', 'domain.com'
+]);
+
+/**
+ * Bare domain from a website or domain string: "https://www.Acme.com/about" -> "acme.com"
+ * @returns {string|null} null for anything that isn't a usable company domain
+ */
+function domainFromUrl(value) {
+  const raw = String(value || '').trim().toLowerCase();
+  if (!raw) return null;
+  try {
+    const host = new URL(/^[a-z]+:\/\//.test(raw) ? raw : `http://${raw}`).hostname.replace(/^www\d*\./, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) return null;
+    if (NON_COMPANY_DOMAINS.has(host)) return null;
+    return host;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+async function findTableEntry(db, companyName) {
+  const key = await resolveCompanyKey(db, companyName);
+  if (!key) return null;
+  return db.collection(COLLECTION).findOne({ $or: [{ key }, { aliases: key }] });
+}
+
+/**
+ * Every domain a company might use, best first
+ * @param {object} db - Mongo database
+ * @param {string} companyName
+ * @returns {object} { companyName, domain, confidence, source, candidates: [{ domain, confidence, sources }] }
+ *   domain is null when nothing points anywhere
+ */
+async function resolveCompanyDomain(db, companyName) {
+  const evidence = new Map(); // domain -> [{ source, confidence }]
+  const add = (domain, source, confidence) => {
+    const clean = domainFromUrl(domain);
+    if (!clean) return;
+    if (!evidence.has(clean)) evidence.set(clean, []);
+    evidence.get(clean).push({ source, confidence });
+  };
+
+  // Any spelling of the company counts (src/company-names.js)
+  const key = await resolveCompanyKey(db, companyName);
+  const byName = (field, value) => key ? { $or: [{ [field]: value }, { companyKey: key }] } : { [field]: value };
+
+  const [entry, company, pattern, peers] = await Promise.all([
+    findTableEntry(db, companyName),
+    db.collection('companies').findOne(byName('normalizedName', String(companyName || '').toLowerCase().trim())),
+    db.collection('company_patterns').find(byName('companyName', companyName)).sort({ frequency: -1 }).limit(1).next(),
+    db.collection('leads').find(
+      { ...byName('companyName', companyName), email: { $exists: true, $nin: [null, '', 'noemail@domain.com'] }, emailEnriched: { $ne: true } },
+      { projection: { email: 1 } }
+    ).limit(50).toArray()
+  ]);
+
+  if (entry) {
+    const confidence = SOURCE_CONFIDENCE[entry.source] || SOURCE_CONFIDENCE.seed;
+    add(entry.domain, entry.source, confidence);
+    for (const other of entry.otherDomains || []) add(other, `${entry.source}_alternate`, confidence - 0.1);
+  }
+
+  if (company?.domain) add(company.domain, 'company_domain', SOURCE_CONFIDENCE.company_domain);
+  // The extension sometimes stores the LinkedIn page as the website
+  if (company?.website && !/linkedin\.com/i.test(company.website)) {
+    add(company.website, 'company_website', SOURCE_CONFIDENCE.company_website);
+  }
+
+  if (pattern?.domain) add(pattern.domain, 'learned_pattern', (pattern.frequency || 1) >= 2 ? 0.8 : 0.7);
+
+  const peerDomains = {};
+  for (const peer of peers) {
+    const domain = domainFromUrl(String(peer.email).split('@')[1]);
+    if (domain) peerDomains[domain] = (peerDomains[domain] || 0) + 1;
+  }
+  const peerTotal = Object.values(peerDomains).reduce((sum, n) => sum + n, 0);
+  for (const [domain, count] of Object.entries(peerDomains)) {
+    add(domain, 'peer_emails', 0.4 + 0.4 * (count / peerTotal));
+  }
+
+  const candidates = [...evidence.entries()].map(([domain, items]) => {
+    const admin = items.some(i => i.source === 'admin');
+    const combined = 1 - items.reduce((product, i) => product * (1 - i.confidence), 1);
+    return {
+      domain,
+      confidence: admin ? 1 : Math.round(Math.min(combined, 0.99) * 100) / 100,
+      sources: [...new Set(items.map(i => i.source))]
+    };
+  }).sort((a, b) => b.confidence - a.confidence);
+
+  const best = candidates[0] || null;
+  return {
+    companyName,
+    domain: best ? best.domain : null,
+    confidence: best ? best.confidence : 0,
+    source: best ? best.sources[0] : null,
+    candidates
+  };
+}
+
+/**
+ * The alias table as { key: [domains] } (for cleanup scripts)
+ */
+async function knownCompanyDomains(db) {
+  const entries = await db.collection(COLLECTION).find({}).toArray();
+  const known = {};
+  for (const entry of entries) {
+    const domains = [entry.domain, ...(entry.otherDomains || [])].filter(Boolean);
+    for (const key of [entry.key, ...(entry.aliases || [])]) known[key] = domains;
+  }
+  for (const [key, domains] of Object.entries(SEED_COMPANY_DOMAINS)) {
+    if (!known[key]) known[key] = domains;
+  }
+  return known;
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+function setupDomainResolverRoutes(app, db) {
+  const table = db.collection(COLLECTION);
+
+  function isAdminRequest(req) {
+    return !!process.env.REBUILD_SECRET && req.query.secret === process.env.REBUILD_SECRET;
+  }
+
+  // GET /api/company-domains?company=Acme - resolve; without company, list the table
+  app.get('/api/company-domains', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+
+      if (req.query.company) {
+        return res.json({ success: true, ...(await resolveCompanyDomain(db, String(req.query.company))) });
+      }
+
+      const entries = await table.find({}).sort({ key: 1 }).toArray();
+      res.json({ success: true, count: entries.length, entries });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // PUT /api/company-domains - Override a company's domain
+  app.put('/api/company-domains', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+
+      const { companyName, domain, otherDomains = [], aliases = [] } = req.body;
+      const key = companyKey(companyName);
+      const cleanDomain = domainFromUrl(domain);
+      if (!key) {
+        return res.status(400).json({ success: false, error: 'companyName is required' });
+      }
+      if (!cleanDomain) {
+        return res.status(400).json({ success: false, error: 'domain must be a company domain (e.g. acme.com)' });
+      }
+      if (!Array.isArray(otherDomains) || !Array.isArray(aliases)) {
+        return res.status(400).json({ success: false, error: 'otherDomains and aliases must be arrays' });
+      }
+
+      const aliasKeys = [...new Set(aliases.map(companyKey).filter(a => a && a !== key))];
+
+      // Entries that used to stand on their own under one of these names fold into this one
+      await table.deleteMany({ key: { $in: aliasKeys } });
+      await table.updateMany({ key: { $ne: key } }, { $pull: { aliases: { $in: [key, ...aliasKeys] } } });
+
+      await table.updateOne(
+        { key },
+        {
+          $set: {
+            key,
+            companyName: String(companyName).trim().substring(0, 200),
+            domain: cleanDomain,
+            otherDomains: [...new Set(otherDomains.map(domainFromUrl).filter(d => d && d !== cleanDomain))],
+            source: 'admin',
+            updatedAt: new Date()
+          },
+          $addToSet: { aliases: { $each: aliasKeys } },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+      );
+
+      console.log(`🌐 Domain override: ${companyName} → ${cleanDomain}`);
+      res.json({ success: true, entry: await table.findOne({ key }) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // DELETE /api/company-domains/:company
+  app.delete('/api/company-domains/:company', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+      const result = await table.deleteOne({ key: companyKey(req.params.company) });
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ success: false, error: 'Company not found' });
+      }
+      res.json({ success: true, message: 'Company domain deleted' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  table.createIndex({ key: 1 }, { unique: true }).catch(() => {});
+  table.createIndex({ aliases: 1 }).catch(() => {});
+
+  // Seed the well-known companies
+  Promise.all(Object.entries(SEED_COMPANY_DOMAINS).map(([key, [domain, ...otherDomains]]) => table.updateOne(
+    { key },
+    {
+      $setOnInsert: {
+        key, companyName: key, domain, otherDomains, aliases: [], source: 'seed', createdAt: new Date()
+      }
+    },
+    { upsert: true }
+  ))).catch(err => console.warn('⚠️ Company domain seed failed:', err.message));
+
+  console.log('✅ Domain resolver routes registered: /api/company-domains');
+}
+
+module.exports = {
+  setupDomainResolverRoutes,
+  resolveCompanyDomain,
+  knownCompanyDomains,
+  domainFromUrl,
+  SEED_COMPANY_DOMAINS
+};
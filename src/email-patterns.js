@@ -0,0 +1,222 @@
+// ============================================================================
+// email-patterns.js - Email Pattern Library
+// ============================================================================
+//
+// The one place that knows how corporate email addresses are built from a
+// person's name. Used by emailSystem.js (instant generation + learning),
+// enrichEmails.js (batch enrichment) and fix-company-patterns.js.
+//
+//   extractPattern('jean-pierre.van-der-berg@acme.com', 'Jean-Pierre van der Berg')
+//     -> { pattern: 'first.last', domain: 'acme.com', confidence: 0.95 }
+//   applyPattern('f_last', 'Maria de la Cruz', 'acme.com')
+//     -> 'm_delacruz@acme.com'
+//
+// Pattern names use these tokens, joined by the separator they're written with:
+//   first / last / middle - the whole name part
+//   f / l / m             - its initial
+//
+// Names are parsed with surname particles ("van der", "de la", "bin") and
+// hyphenated or compound surnames in mind. When learning a pattern every
+// reasonable spelling of the name is tried (vanderberg, van-der-berg, berg);
+// when generating, the compact spelling is used (particles kept, separators dropped).
+// ============================================================================
+
+// confidence: how reliable a match on this pattern is (also the ranking prior
+// when several patterns are candidates). Order matters: with ambiguous names
+// the first pattern that matches wins.
+const PATTERNS = [
+  { name: 'first.last', parts: ['first', 'last'], separator: '.', confidence: 0.95 },
+  { name: 'last.first', parts: ['last', 'first'], separator: '.', confidence: 0.95 },
+  { name: 'first_last', parts: ['first', 'last'], separator: '_', confidence: 0.90 },
+  { name: 'first-last', parts: ['first', 'last'], separator: '-', confidence: 0.90 },
+  { name: 'firstlast', parts: ['first', 'last'], separator: '', confidence: 0.85 },
+  { name: 'last_first', parts: ['last', 'first'], separator: '_', confidence: 0.85 },
+  { name: 'last-first', parts: ['last', 'first'], separator: '-', confidence: 0.85 },
+  { name: 'lastfirst', parts: ['last', 'first'], separator: '', confidence: 0.80 },
+  { name: 'first.middle.last', parts: ['first', 'middle', 'last'], separator: '.', confidence: 0.90 },
+  { name: 'first.m.last', parts: ['first', 'm', 'last'], separator: '.', confidence: 0.85 },
+  { name: 'fmlast', parts: ['f', 'm', 'last'], separator: '', confidence: 0.75 },
+  { name: 'f.last', parts: ['f', 'last'], separator: '.', confidence: 0.80 },
+  { name: 'f_last', parts: ['f', 'last'], separator: '_', confidence: 0.75 },
+  { name: 'f-last', parts: ['f', 'last'], separator: '-', confidence: 0.75 },
+  { name: 'flast', parts: ['f', 'last'], separator: '', confidence: 0.70 },
+  { name: 'first.l', parts: ['first', 'l'], separator: '.', confidence: 0.75 },
+  { name: 'first_l', parts: ['first', 'l'], separator: '_', confidence: 0.70 },
+  { name: 'firstl', parts: ['first', 'l'], separator: '', confidence: 0.70 },
+  { name: 'last.f', parts: ['last', 'f'], separator: '.', confidence: 0.70 },
+  { name: 'last_f', parts: ['last', 'f'], separator: '_', confidence: 0.65 },
+  { name: 'lastf', parts: ['last', 'f'], separator: '', confidence: 0.65 },
+  { name: 'first', parts: ['first'], separator: '', confidence: 0.60 },
+  { name: 'last', parts: ['last'], separator: '', confidence: 0.55 },
+  { name: 'fl', parts: ['f', 'l'], separator: '', confidence: 0.50 }
+];
+
+const PATTERNS_BY_NAME = new Map(PATTERNS.map(p => [p.name, p]));
+
+// Lowercase surname particles - "Ludwig van der Berg" has the surname "van der Berg"
+const SURNAME_PARTICLES = new Set([
+  'van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'das', 'dos', 'du',
+  'la', 'le', 'lo', 'ter', 'ten', 'zu', 'bin', 'binti', 'bint', 'ibn', 'al', 'el', 'st', 'mac'
+]);
+
+// Dropped before parsing: "Dr. Jane Doe, PhD" -> "jane doe"
+const NAME_NOISE = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'jr', 'sr', 'ii', 'iii', 'iv',
+  'phd', 'mba', 'cpa', 'pmp', 'cfa', 'esq', 'msc', 'bsc'
+]);
+
+// ============================================================================
+// NAME PARSING
+// ============================================================================
+
+function normalizeToken(s) {
+  return String(s || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/^-+|-+$/g, '');
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+/**
+ * Split a full name into first / middle / last, with every spelling of each
+ * that might appear in an email address
+ * @param {string} fullName
+ * @returns {object|null} { first, middle, last, firstVariants, middleVariants, lastVariants }
+ *   first/middle/last are the compact spellings used for generation
+ */
+function splitName(fullName) {
+  const tokens = String(fullName || '')
+    .replace(/\([^)]*\)/g, ' ')           // "Robert (Bob) Smith"
+    .replace(/,.*$/, '')                  // "Jane Doe, MBA"
+    .split(/\s+/)
+    .map(normalizeToken)
+    .filter(t => t && !NAME_NOISE.has(t.replace(/-/g, '')));
+
+  if (tokens.length === 0) return null;
+
+  // Surname starts at the first particle after the first name, else it's the last token
+  let lastStart = tokens.length - 1;
+  for (let i = 1; i < tokens.length - 1; i++) {
+    if (SURNAME_PARTICLES.has(tokens[i])) {
+      lastStart = i;
+      break;
+    }
+  }
+
+  const firstToken = tokens[0];
+  const middleTokens = tokens.length > 1 ? tokens.slice(1, lastStart) : [];
+  const lastTokens = tokens.length > 1 ? tokens.slice(lastStart) : [];
+
+  const firstParts = firstToken.split('-').filter(Boolean);
+  const firstVariants = unique([firstParts.join(''), firstToken, firstParts[0]]);
+
+  const middleToken = middleTokens[0] || '';
+  const middleVariants = unique([middleToken.replace(/-/g, ''), middleToken]);
+
+  // "van der Berg"  -> vanderberg, van-der-berg, berg
+  // "Smith-Jones"   -> smithjones, smith-jones, smith, jones
+  const lastParts = lastTokens.flatMap(t => t.split('-')).filter(Boolean);
+  const coreParts = lastParts.filter(p => !SURNAME_PARTICLES.has(p));
+  const lastVariants = lastParts.length === 0 ? [] : unique([
+    lastParts.join(''),
+    lastParts.join('-'),
+    coreParts.join(''),
+    coreParts.join('-'),
+    coreParts[0],
+    coreParts[coreParts.length - 1]
+  ]);
+
+  return {
+    first: firstVariants[0],
+    middle: middleVariants[0] || '',
+    last: lastVariants[0] || '',
+    firstVariants,
+    middleVariants,
+    lastVariants
+  };
+}
+
+// ============================================================================
+// PATTERNS
+// ============================================================================
+
+function renderLocal(pattern, names) {
+  const values = pattern.parts.map(part => {
+    switch (part) {
+      case 'first': return names.first;
+      case 'last': return names.last;
+      case 'middle': return names.middle;
+      case 'f': return names.first[0];
+      case 'l': return names.last[0];
+      case 'm': return names.middle[0];
+      default: return null;
+    }
+  });
+  return values.every(Boolean) ? values.join(pattern.separator) : null;
+}
+
+/**
+ * Which pattern an email address follows for a given name
+ * @param {string} email
+ * @param {string} fullName
+ * @returns {object|null} { pattern, domain, confidence }
+ */
+function extractPattern(email, fullName) {
+  const match = String(email || '').toLowerCase().trim().match(/^([^@\s]+)@([^@\s]+)$/);
+  if (!match) return null;
+  const [, local, domain] = match;
+
+  const names = splitName(fullName);
+  if (!names || !names.first || !names.last) return null;
+
+  const middles = names.middleVariants.length ? names.middleVariants : [''];
+
+  for (const pattern of PATTERNS) {
+    for (const first of names.firstVariants) {
+      for (const last of names.lastVariants) {
+        for (const middle of middles) {
+          if (renderLocal(pattern, { first, last, middle }) === local) {
+            return { pattern: pattern.name, domain, confidence: pattern.confidence };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an email address for a name from a learned pattern
+ * @returns {string|null} null for unknown patterns or names missing a needed part
+ */
+function applyPattern(patternName, fullName, domain) {
+  const pattern = PATTERNS_BY_NAME.get(patternName);
+  const names = splitName(fullName);
+  if (!pattern || !names || !names.first || !names.last || !domain) return null;
+
+  const local = renderLocal(pattern, names);
+  return local ? `${local}@${String(domain).toLowerCase()}` : null;
+}
+
+function getPattern(name) {
+  return PATTERNS_BY_NAME.get(name) || null;
+}
+
+function listPatterns() {
+  return PATTERNS.map(({ name, confidence }) => ({ name, confidence }));
+}
+
+module.exports = {
+  splitName,
+  extractPattern,
+  applyPattern,
+  getPattern,
+  listPatterns,
+  SURNAME_PARTICLES
+};
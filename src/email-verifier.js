@@ -0,0 +1,390 @@
+/**
+ * Email Verification Engine for Brynsa Backend
+ * File: src/email-verifier.js
+ *
+ * The one implementation of "is this address deliverable", used by the API
+ * (emailSystem.js verifyEmail) and the cron (verifyEmails.js). An address
+ * runs through steps in order; each reports its own result, and a failing
+ * step ends the run:
+ *
+ *   syntax      - looks like an address at all
+ *   disposable  - throwaway mailbox providers
+ *   role        - info@, sales@ ... (a warning, not a failure)
+ *   mx          - MX records, falling back to an A record
+ *   smtp        - RCPT TO on the primary MX (skipped for providers that block it,
+ *                 and while src/domain-intel.js says the domain can't be probed)
+ *   catch_all   - after an SMTP accept, does the server accept anything? (src/catch-all.js)
+ *
+ *   const verifier = createEmailVerifier({ db, config: { smtpTimeoutMs: 3000 } });
+ *   const result = await verifier.verify('jane.doe@acme.com');
+ *   // { valid, verdict: 'valid'|'invalid'|'accept_all'|'unknown', reason, method, confidence, steps: [...] }
+ *
+ * With a db, MX answers and SMTP behaviour are cached per domain in
+ * domain_intel (src/domain-intel.js), which also rations SMTP probes.
+ *
+ * DNS and sockets are injectable ({ resolver, createSocket }) so the engine
+ * can run against a local fake SMTP server.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { isCatchAllDomain } = require('./catch-all');
+const { lookupMX, reserveSmtpCheck, recordSmtpResult } = require('./domain-intel');
+
+const DEFAULT_CONFIG = {
+  dnsTimeoutMs: 5000,
+  smtpTimeoutMs: 5000,
+  smtpPort: 25,
+  heloHost: 'verify.local',
+  mailFrom: 'verify@verify.local',
+  smtp: true,                     // false: stop at MX
+  catchAll: true,                 // false: trust every SMTP accept
+  domainIntel: true,              // With a db: cache MX/SMTP behaviour per domain, ration probes
+
+  confidence: {
+    smtpVerified: 0.95,
+    mxOnly: 0.70,                 // SMTP skipped or rate limited
+    smtpInconclusive: 0.60,       // SMTP tried, no clear answer
+    acceptAll: 0.50
+  }
+};
+
+const DISPOSABLE_DOMAINS = new Set([
+  'tempmail.com', 'throwaway.email', 'guerrillamail.com', '10minutemail.com',
+  'mailinator.com', 'maildrop.cc', 'yopmail.com', 'fakeinbox.com',
+  'sharklasers.com', 'getairmail.com', 'temp-mail.org', 'dispostable.com'
+]);
+
+// Providers that block or lie to RCPT TO probes
+const SMTP_BLOCKLIST = new Set([
+  'gmail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'microsoft.com',
+  'apple.com', 'icloud.com', 'google.com', 'amazon.com', 'facebook.com'
+]);
+
+const ROLE_ACCOUNTS = new Set([
+  'info', 'sales', 'support', 'admin', 'contact', 'hello', 'team', 'office', 'hr', 'jobs',
+  'careers', 'billing', 'noreply', 'no-reply', 'marketing', 'press', 'help', 'enquiries',
+  'inquiries', 'webmaster', 'postmaster', 'abuse'
+]);
+
+const EMAIL_REGEX = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error('DNS timeout'), { code: 'ETIMEOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ============================================================================
+// STEPS
+// ============================================================================
+//
+// A step is { name, run(ctx) } returning { status, reason, ...details }:
+//   status - 'pass' | 'fail' | 'warn' | 'skipped' | 'inconclusive'
+// A step sets ctx.verdict when it decides (or revises) the outcome; 'fail' ends the run.
+
+const STEPS = {
+  syntax: {
+    name: 'syntax',
+    async run(ctx) {
+      if (!EMAIL_REGEX.test(ctx.email) || ctx.email.length > 254 || ctx.local.length > 64) {
+        ctx.verdict = { valid: false, verdict: 'invalid', reason: 'invalid_format', method: 'syntax', confidence: 0 };
+        return { status: 'fail', reason: 'invalid_format' };
+      }
+      return { status: 'pass', reason: 'valid_format' };
+    }
+  },
+
+  disposable: {
+    name: 'disposable',
+    async run(ctx) {
+      if (DISPOSABLE_DOMAINS.has(ctx.domain)) {
+        ctx.verdict = { valid: false, verdict: 'invalid', reason: 'disposable_domain', method: 'disposable', confidence: 0 };
+        return { status: 'fail', reason: 'disposable_domain' };
+      }
+      return { status: 'pass', reason: 'not_disposable' };
+    }
+  },
+
+  role: {
+    name: 'role',
+    async run(ctx) {
+      ctx.roleAccount = ROLE_ACCOUNTS.has(ctx.local.split('+')[0]);
+      return ctx.roleAccount ? { status: 'warn', reason: 'role_account' } : { status: 'pass', reason: 'personal_account' };
+    }
+  },
+
+  mx: {
+    name: 'mx',
+    async run(ctx) {
+      const mx = ctx.mx || (ctx.intel
+        ? await lookupMX(ctx.db, ctx.domain, ctx.verifier.checkMXRecords)
+        : await ctx.verifier.checkMXRecords(ctx.domain));
+      ctx.mx = mx;
+      if (!mx.valid) {
+        ctx.verdict = { valid: false, verdict: 'invalid', reason: mx.reason, method: 'mx_check', confidence: 0 };
+        return { status: 'fail', reason: mx.reason };
+      }
+      ctx.verdict = { valid: true, verdict: 'valid', reason: 'mx_valid', method: 'mx_only', confidence: ctx.config.confidence.mxOnly };
+      return { status: 'pass', reason: mx.reason, mxHost: mx.mxHost };
+    }
+  },
+
+  smtp: {
+    name: 'smtp',
+    async run(ctx) {
+      if (!ctx.mx?.valid) return { status: 'skipped', reason: 'no_mx' };
+      if (!ctx.config.smtp) return { status: 'skipped', reason: 'smtp_disabled' };
+      if (SMTP_BLOCKLIST.has(ctx.domain)) {
+        ctx.verdict = { ...ctx.verdict, reason: 'mx_valid_smtp_skipped' };
+        return { status: 'skipped', reason: 'smtp_blocked_domain' };
+      }
+      if (ctx.skipSmtp) return { status: 'skipped', reason: 'rate_limited' };
+      if (ctx.intel) {
+        // Unreachable on port 25, greylisting, or this domain's probe budget is spent
+        const gate = await reserveSmtpCheck(ctx.db, ctx.domain);
+        if (!gate.allowed) return { status: 'skipped', reason: gate.reason };
+      }
+
+      const smtp = await ctx.verifier.checkSMTP(ctx.email, ctx.mx.mxHost);
+      ctx.smtp = smtp;
+      if (ctx.intel) await recordSmtpResult(ctx.db, ctx.domain, smtp);
+
+      if (smtp.valid) {
+        ctx.verdict = { valid: true, verdict: 'valid', reason: 'smtp_verified', method: 'smtp', confidence: ctx.config.confidence.smtpVerified };
+        return { status: 'pass', reason: smtp.reason };
+      }
+      if (smtp.definitelyInvalid) {
+        ctx.verdict = { valid: false, verdict: 'invalid', reason: smtp.reason, method: 'smtp', confidence: 0 };
+        return { status: 'fail', reason: smtp.reason };
+      }
+      // The server exists and takes mail - the mailbox just couldn't be confirmed
+      ctx.verdict = { valid: true, verdict: 'valid', reason: 'mx_valid_smtp_inconclusive', method: 'mx_fallback', confidence: ctx.config.confidence.smtpInconclusive };
+      return { status: 'inconclusive', reason: smtp.reason };
+    }
+  },
+
+  catch_all: {
+    name: 'catch_all',
+    async run(ctx) {
+      if (!ctx.smtp?.valid) return { status: 'skipped', reason: 'not_smtp_verified' };
+      if (!ctx.config.catchAll) return { status: 'skipped', reason: 'catch_all_disabled' };
+
+      const catchAll = await isCatchAllDomain(ctx.domain, ctx.mx.mxHost, ctx.verifier.checkSMTP, { db: ctx.db });
+      if (catchAll) {
+        ctx.verdict = { valid: true, verdict: 'accept_all', reason: 'accept_all', method: 'smtp', confidence: ctx.config.confidence.acceptAll };
+        return { status: 'warn', reason: 'accept_all' };
+      }
+      return catchAll === false ? { status: 'pass', reason: 'not_catch_all' } : { status: 'inconclusive', reason: 'probe_inconclusive' };
+    }
+  }
+};
+
+const DEFAULT_STEPS = ['syntax', 'disposable', 'role', 'mx', 'smtp', 'catch_all'];
+
+// ============================================================================
+// VERIFIER
+// ============================================================================
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.db] - Shares domain intel (MX, catch-all, SMTP behaviour) across processes
+ * @param {object} [options.config] - Overrides DEFAULT_CONFIG (confidence merged key by key)
+ * @param {Array} [options.steps] - Step names from STEPS and/or custom { name, run(ctx) }
+ * @param {object} [options.resolver] - { resolveMx, resolve4 } returning promises (default: dns.promises)
+ * @param {function} [options.createSocket] - () => net.Socket-like (default: new net.Socket())
+ */
+function createEmailVerifier(options = {}) {
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...options.config,
+    confidence: { ...DEFAULT_CONFIG.confidence, ...options.config?.confidence }
+  };
+  const resolver = options.resolver || dns.promises;
+  const createSocket = options.createSocket || (() => new net.Socket());
+  const steps = (options.steps || DEFAULT_STEPS).map(step => {
+    const resolved = typeof step === 'string' ? STEPS[step] : step;
+    if (!resolved || typeof resolved.run !== 'function') throw new Error(`Unknown verification step: ${step}`);
+    return resolved;
+  });
+
+  async function checkMXRecords(domain) {
+    try {
+      const records = await withTimeout(resolver.resolveMx(domain), config.dnsTimeoutMs);
+
+      if (!records || records.length === 0) {
+        return await aRecordFallback(domain);
+      }
+
+      records.sort((a, b) => a.priority - b.priority);
+      return {
+        valid: true,
+        reason: 'mx_found',
+        records: records.map(r => ({ exchange: r.exchange, priority: r.priority })),
+        mxHost: records[0].exchange
+      };
+
+    } catch (error) {
+      const code = error.code || '';
+      // No MX at all - some domains take mail on their A record
+      if (code === 'ENODATA') return aRecordFallback(domain);
+      if (code === 'ENOTFOUND') return { valid: false, reason: 'domain_not_found', records: null, mxHost: null };
+      if (code === 'ETIMEOUT') return { valid: false, reason: 'dns_timeout', records: null, mxHost: null };
+      return { valid: false, reason: `dns_error_${code}`, records: null, mxHost: null };
+    }
+  }
+
+  async function aRecordFallback(domain) {
+    try {
+      const aRecords = await withTimeout(resolver.resolve4(domain), config.dnsTimeoutMs);
+      if (aRecords && aRecords.length > 0) {
+        return { valid: true, reason: 'a_record_fallback', records: [{ exchange: domain, priority: 10 }], mxHost: domain };
+      }
+    } catch (e) {
+      // No A record either
+    }
+    return { valid: false, reason: 'no_mx_records', records: null, mxHost: null };
+  }
+
+  function checkSMTP(email, mxHost) {
+    return new Promise((resolve) => {
+      const socket = createSocket();
+      let response = '';
+      let stage = 'connect';
+      let settled = false;
+
+      const timeout = setTimeout(() => {
+        socket.destroy();
+        settle({ valid: false, definitelyInvalid: false, reason: 'smtp_timeout', response });
+      }, config.smtpTimeoutMs);
+
+      function settle(result) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        resolve(result);
+      }
+
+      function finish(valid, definitelyInvalid, reason) {
+        try {
+          socket.write('QUIT\r\n');
+        } catch (e) {
+          // Already closed
+        }
+        socket.destroy();
+        settle({ valid, definitelyInvalid, reason, response });
+      }
+
+      socket.on('error', (err) => {
+        settle({ valid: false, definitelyInvalid: false, reason: `smtp_error_${err.code || 'unknown'}`, response });
+      });
+
+      socket.on('close', () => {
+        settle({ valid: false, definitelyInvalid: false, reason: 'smtp_closed', response });
+      });
+
+      socket.on('data', (data) => {
+        response += data.toString();
+        // Wait for a complete reply - multi-line replies continue with "250-"
+        if (!response.endsWith('\r\n')) return;
+        const lines = response.split('\r\n');
+        const lastLine = lines[lines.length - 2];
+        if (lastLine.charAt(3) === '-') return;
+        const code = parseInt(lastLine.substring(0, 3));
+
+        switch (stage) {
+          case 'connect':
+            if (code !== 220) return finish(false, false, 'connect_rejected');
+            stage = 'helo';
+            socket.write(`HELO ${config.heloHost}\r\n`);
+            break;
+
+          case 'helo':
+            if (code !== 250) return finish(false, false, 'helo_rejected');
+            stage = 'mail';
+            socket.write(`MAIL FROM:<${config.mailFrom}>\r\n`);
+            break;
+
+          case 'mail':
+            if (code !== 250) return finish(false, false, 'mail_rejected');
+            stage = 'rcpt';
+            socket.write(`RCPT TO:<${email}>\r\n`);
+            break;
+
+          case 'rcpt':
+            if (code === 250 || code === 251) return finish(true, false, 'accepted');
+            if (code >= 550 && code <= 554) return finish(false, true, `rejected_${code}`);
+            if (code >= 450 && code <= 452) return finish(false, false, `temp_failure_${code}`);
+            return finish(false, false, `unknown_${code}`);
+        }
+      });
+
+      socket.connect(config.smtpPort, mxHost);
+    });
+  }
+
+  /**
+   * Run every step for one address
+   * @param {string} email
+   * @param {object} [context] - { mx } MX result already looked up for the domain,
+   *   { skipSmtp: true } to stop at MX (e.g. per-domain rate limit)
+   * @returns {object} { email, domain, valid, verdict, reason, method, confidence, roleAccount,
+   *   mxHost, mxRecords, smtpResponse, steps: [{ step, status, reason, durationMs }] }
+   */
+  async function verify(email, context = {}) {
+    const normalized = String(email || '').toLowerCase().trim();
+    const at = normalized.lastIndexOf('@');
+    const ctx = {
+      email: normalized,
+      local: at > 0 ? normalized.slice(0, at) : normalized,
+      domain: at > 0 ? normalized.slice(at + 1) : '',
+      mx: context.mx || null,
+      skipSmtp: !!context.skipSmtp,
+      config,
+      db: options.db,
+      intel: !!options.db && config.domainIntel,
+      verifier: { checkMXRecords, checkSMTP },
+      verdict: null,
+      roleAccount: false
+    };
+
+    const results = [];
+    for (const step of steps) {
+      const started = Date.now();
+      let result;
+      try {
+        result = await step.run(ctx);
+      } catch (error) {
+        result = { status: 'inconclusive', reason: `step_error: ${error.message}` };
+      }
+      results.push({ step: step.name, ...result, durationMs: Date.now() - started });
+      if (result.status === 'fail') break;
+    }
+
+    const verdict = ctx.verdict || { valid: null, verdict: 'unknown', reason: 'not_checked', method: null, confidence: null };
+    return {
+      email: normalized,
+      domain: ctx.domain,
+      ...verdict,
+      roleAccount: ctx.roleAccount,
+      mxHost: ctx.mx?.mxHost || null,
+      mxRecords: ctx.mx?.records || null,
+      smtpResponse: ctx.smtp?.response || null,
+      steps: results
+    };
+  }
+
+  return { verify, checkMXRecords, checkSMTP, config };
+}
+
+module.exports = {
+  createEmailVerifier,
+  STEPS,
+  DEFAULT_STEPS,
+  DEFAULT_CONFIG,
+  DISPOSABLE_DOMAINS,
+  SMTP_BLOCKLIST,
+  ROLE_ACCOUNTS
+};
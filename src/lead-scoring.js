@@ -0,0 +1,428 @@
+/**
+ * Lead Scoring (ICP Fit) for Brynsa Backend
+ * File: src/lead-scoring.js
+ *
+ * Each user can describe their Ideal Customer Profile; every lead they save
+ * is scored against it (0-100) with human-readable reasons:
+ *
+ *   icp_profiles: { userId, userEmail, titles[], seniorities[], industries[],
+ *                   geographies[], profileTypes[], excludeKeywords[], useLlm,
+ *                   createdAt, updatedAt }
+ *
+ *   leads.icpScore        - 0-100
+ *   leads.icpReasons      - ['Title matches "VP Sales"', ...]
+ *   leads.icpScoreSource  - 'rules' or 'rules+llm'
+ *   leads.icpScoredAt
+ *
+ * Scoring is rule-based and synchronous, so the score is stored with the lead.
+ * With useLlm on, the model then reviews the lead in the background and its
+ * score is blended in (counts against the user's AI quota).
+ *
+ * Routes:
+ *   GET    /api/user/icp
+ *   PUT    /api/user/icp            - Save the ICP and rescore all leads
+ *   DELETE /api/user/icp
+ *   POST   /api/user/icp/rescore
+ */
+
+const { completeLlm, isLlmRouteConfigured } = require('./llm');
+const { authorizeAiRequest, recordAiUsage, releaseAiRequest } = require('./ai-usage');
+const { parseSeniority, SENIORITY_LEVELS } = require('./profile-parser');
+
+const ICP_COLLECTION = 'icp_profiles';
+
+// Points per criterion; only criteria the ICP fills in count toward the total
+const WEIGHTS = {
+  titles: 35,
+  seniorities: 25,
+  industries: 15,
+  geographies: 15,
+  profileTypes: 10
+};
+
+// Seniority levels come from the profile parser (weakest first) - adjacent levels get half credit
+
+const LLM_WEIGHT = 0.4;        // Share of the blended score that comes from the model
+const RESCORE_BATCH_SIZE = 200;
+
+const LIST_LIMITS = { titles: 30, seniorities: SENIORITY_LEVELS.length, industries: 30, geographies: 30, profileTypes: 2, excludeKeywords: 30 };
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+function leadTitleText(lead) {
+  return [lead.currentTitle, lead.title, lead.headline].filter(Boolean).join(' ').toLowerCase();
+}
+
+function words(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9+#]+/).filter(w => w.length > 2 || /^(vp|hr|it|ai|ml)$/.test(w));
+}
+
+// 1 = phrase found, 0.5 = most of its words found, 0 = no match
+function phraseMatch(text, phrase) {
+  const needle = String(phrase).toLowerCase().trim();
+  if (!needle) return 0;
+  if (text.includes(needle)) return 1;
+  const needleWords = words(needle);
+  if (needleWords.length < 2) return 0;
+  const textWords = new Set(words(text));
+  const found = needleWords.filter(w => textWords.has(w)).length;
+  return found / needleWords.length >= 0.5 ? 0.5 : 0;
+}
+
+function bestMatch(text, phrases) {
+  return phrases.reduce((best, phrase) => {
+    const credit = phraseMatch(text, phrase);
+    return credit > best.credit ? { credit, phrase } : best;
+  }, { credit: 0, phrase: null });
+}
+
+/**
+ * Score a lead against an ICP (pure - no I/O)
+ * @param {object} lead - Lead document (or the fields about to be saved)
+ * @param {object} icp - ICP profile
+ * @returns {object|null} { score, reasons, breakdown } or null if the ICP has no criteria
+ */
+function scoreLead(lead, icp) {
+  const titleText = leadTitleText(lead);
+  const reasons = [];
+  const breakdown = {};
+  let earned = 0;
+  let possible = 0;
+
+  function award(criterion, credit, reason) {
+    const points = Math.round(WEIGHTS[criterion] * credit * 10) / 10;
+    breakdown[criterion] = { points, max: WEIGHTS[criterion] };
+    earned += points;
+    possible += WEIGHTS[criterion];
+    reasons.push(reason);
+  }
+
+  if (icp.titles?.length) {
+    const { credit, phrase } = bestMatch(titleText, icp.titles);
+    award('titles', credit, credit === 1
+      ? `Title matches "${phrase}"`
+      : credit > 0 ? `Title partly matches "${phrase}"` : 'Title is not a target title');
+  }
+
+  if (icp.seniorities?.length) {
+    const seniority = SENIORITY_LEVELS.includes(lead.seniority)
+      ? lead.seniority
+      : parseSeniority(lead.currentTitle || lead.title || lead.headline);
+    const distance = seniority
+      ? Math.min(...icp.seniorities.map(s => Math.abs(SENIORITY_LEVELS.indexOf(s) - SENIORITY_LEVELS.indexOf(seniority))))
+      : null;
+    const credit = distance === 0 ? 1 : distance === 1 ? 0.5 : 0;
+    award('seniorities', credit, !seniority
+      ? 'Seniority unknown'
+      : credit === 1 ? `Seniority ${seniority} is a target` : credit > 0 ? `Seniority ${seniority} is close to target` : `Seniority ${seniority} is not a target`);
+  }
+
+  if (icp.industries?.length) {
+    const industryText = [titleText, lead.companyName || lead.company, lead.about].filter(Boolean).join(' ').toLowerCase();
+    const { credit, phrase } = bestMatch(industryText, icp.industries);
+    award('industries', credit, credit > 0 ? `Industry signal: "${phrase}"` : 'No target industry found');
+  }
+
+  if (icp.geographies?.length) {
+    const { credit, phrase } = bestMatch(String(lead.location || '').toLowerCase(), icp.geographies);
+    award('geographies', credit === 1 ? 1 : 0, !lead.location
+      ? 'Location unknown'
+      : credit === 1 ? `Located in ${phrase}` : `Location ${lead.location} is outside target regions`);
+  }
+
+  if (icp.profileTypes?.length) {
+    const type = lead.profileType || 'client';
+    award('profileTypes', icp.profileTypes.includes(type) ? 1 : 0, icp.profileTypes.includes(type)
+      ? `Profile type ${type} is a target` : `Profile type ${type} is not a target`);
+  }
+
+  if (possible === 0) return null;
+
+  let score = Math.round((earned / possible) * 100);
+
+  const excluded = (icp.excludeKeywords || []).find(k => phraseMatch(titleText, k) === 1);
+  if (excluded) {
+    score = 0;
+    reasons.unshift(`Excluded keyword "${excluded}"`);
+  }
+
+  return { score, reasons, breakdown };
+}
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+/**
+ * ICP for a lead owner - by userId, or by email for extension saves that only carry one
+ */
+async function getIcp(db, { userId, userEmail }) {
+  const conditions = [];
+  if (userId) conditions.push({ userId: String(userId) });
+  if (userEmail) conditions.push({ userEmail });
+  if (conditions.length === 0) return null;
+  return db.collection(ICP_COLLECTION).findOne({ $or: conditions });
+}
+
+function validateIcp(body = {}) {
+  const errors = [];
+  const icp = {};
+
+  for (const [field, limit] of Object.entries(LIST_LIMITS)) {
+    const value = body[field] === undefined ? [] : body[field];
+    if (!Array.isArray(value)) {
+      errors.push(`${field} must be an array`);
+      icp[field] = [];
+      continue;
+    }
+    if (value.length > limit) errors.push(`${field}: at most ${limit} entries`);
+    icp[field] = [...new Set(value.map(v => String(v || '').trim().substring(0, 100)).filter(Boolean))];
+  }
+
+  icp.seniorities = icp.seniorities.map(s => s.toLowerCase());
+  const unknownLevels = icp.seniorities.filter(s => !SENIORITY_LEVELS.includes(s));
+  if (unknownLevels.length) errors.push(`seniorities must be from: ${SENIORITY_LEVELS.join(', ')}`);
+
+  icp.profileTypes = icp.profileTypes.map(t => t.toLowerCase());
+  if (icp.profileTypes.some(t => !['client', 'candidate'].includes(t))) errors.push('profileTypes must be client and/or candidate');
+
+  if (!Object.keys(WEIGHTS).some(field => icp[field].length > 0)) {
+    errors.push(`Set at least one of: ${Object.keys(WEIGHTS).join(', ')}`);
+  }
+
+  icp.useLlm = body.useLlm === true;
+
+  return { valid: errors.length === 0, errors, icp };
+}
+
+// ============================================================================
+// APPLYING SCORES
+// ============================================================================
+
+/**
+ * Score fields to store with a lead that's being saved
+ * @param {object} db - Mongo database
+ * @param {object} owner - { userId, userEmail }
+ * @param {object} lead - The lead as it will be after the save
+ * @returns {object} { icpScore, icpReasons, icpScoreSource, icpScoredAt } or {} without an ICP
+ */
+async function leadScoreFields(db, owner, lead) {
+  try {
+    const icp = await getIcp(db, owner);
+    const result = icp ? scoreLead(lead, icp) : null;
+    if (!result) return {};
+    return { icpScore: result.score, icpReasons: result.reasons, icpScoreSource: 'rules', icpScoredAt: new Date() };
+  } catch (error) {
+    console.warn('⚠️ Lead scoring failed:', error.message);
+    return {};
+  }
+}
+
+/**
+ * After a save: have the model review the lead when the owner's ICP asks for it.
+ * Fire-and-forget - never throws.
+ */
+function refineLeadScore(db, owner, leadId) {
+  (async () => {
+    const icp = await getIcp(db, owner);
+    if (!icp?.useLlm || !isLlmRouteConfigured('score-lead')) return;
+
+    const [user, lead] = await Promise.all([
+      db.collection('portal_users').findOne({ email: icp.userEmail }),
+      db.collection('leads').findOne({ _id: leadId })
+    ]);
+    if (!user || !lead || typeof lead.icpScore !== 'number') return;
+
+    const access = await authorizeAiRequest(db, user, null);
+    if (!access.allowed) return;
+
+    let result;
+    try {
+      result = await completeLlm('score-lead', llmScoringMessages(lead, icp), { db });
+    } catch (error) {
+      await releaseAiRequest(db, user).catch(() => {});
+      throw error;
+    }
+    await recordAiUsage(db, user, 'score-lead', result);
+
+    const review = parseLlmReview(result.content);
+    if (!review) return;
+
+    const rulesScore = lead.icpScoreSource === 'rules+llm' ? lead.icpRulesScore : lead.icpScore;
+    await db.collection('leads').updateOne({ _id: leadId }, {
+      $set: {
+        icpScore: Math.round(rulesScore * (1 - LLM_WEIGHT) + review.score * LLM_WEIGHT),
+        icpRulesScore: rulesScore,
+        icpReasons: [...(lead.icpReasons || []).filter(r => !r.startsWith('AI: ')), `AI: ${review.reason}`],
+        icpScoreSource: 'rules+llm',
+        icpScoredAt: new Date()
+      }
+    });
+  })().catch(error => console.warn('⚠️ LLM lead scoring failed:', error.message));
+}
+
+function llmScoringMessages(lead, icp) {
+  const profile = [
+    icp.titles.length && `Target titles: ${icp.titles.join(', ')}`,
+    icp.seniorities.length && `Target seniority: ${icp.seniorities.join(', ')}`,
+    icp.industries.length && `Target industries: ${icp.industries.join(', ')}`,
+    icp.geographies.length && `Target regions: ${icp.geographies.join(', ')}`
+  ].filter(Boolean).join('\n');
+
+  const person = [
+    `Title: ${lead.currentTitle || lead.title || ''}`,
+    `Headline: ${lead.headline || ''}`,
+    `Company: ${lead.companyName || lead.company || ''}`,
+    `Location: ${lead.location || ''}`,
+    lead.about && `About: ${String(lead.about).substring(0, 500)}`
+  ].filter(Boolean).join('\n');
+
+  return [
+    {
+      role: 'system',
+      content: 'You rate how well a LinkedIn profile fits an ideal customer profile. ' +
+        'Reply with JSON only: {"score": <0-100>, "reason": "<one short sentence>"}.'
+    },
+    { role: 'user', content: `Ideal customer profile:\n${profile}\n\nProfile:\n${person}` }
+  ];
+}
+
+function parseLlmReview(content) {
+  const json = String(content || '').match(/\{[\s\S]*\}/);
+  if (!json) return null;
+  try {
+    const parsed = JSON.parse(json[0]);
+    const score = Number(parsed.score);
+    if (!Number.isFinite(score)) return null;
+    return { score: Math.max(0, Math.min(100, Math.round(score))), reason: String(parsed.reason || '').substring(0, 200) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Rescore every lead a user owns (after the ICP changes)
+ * @returns {number} Leads updated
+ */
+async function rescoreUserLeads(db, user) {
+  const leads = db.collection('leads');
+  const userId = user._id.toString();
+  const icp = await getIcp(db, { userId, userEmail: user.email });
+
+  const ownership = [{ userId }, { visitorId: userId }];
+  if (user.email) ownership.push({ userEmail: user.email }, { visitorEmail: user.email });
+
+  const cursor = leads.find({ $or: ownership, deleted: { $ne: true } });
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await leads.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const lead of cursor) {
+    const result = icp ? scoreLead(lead, icp) : null;
+    const update = result
+      ? { $set: { icpScore: result.score, icpReasons: result.reasons, icpScoreSource: 'rules', icpScoredAt: new Date() }, $unset: { icpRulesScore: '' } }
+      : { $unset: { icpScore: '', icpReasons: '', icpScoreSource: '', icpScoredAt: '', icpRulesScore: '' } };
+    batch.push({ updateOne: { filter: { _id: lead._id }, update } });
+    if (batch.length >= RESCORE_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+function setupLeadScoringRoutes(app, db) {
+  const profiles = db.collection(ICP_COLLECTION);
+  const { authMiddleware } = require('./auth');
+  const auth = authMiddleware(db.collection('portal_users'));
+
+  // GET /api/user/icp
+  app.get('/api/user/icp', auth, async (req, res) => {
+    try {
+      const icp = await profiles.findOne({ userId: req.user._id.toString() });
+      res.json({ success: true, icp, seniorityLevels: SENIORITY_LEVELS });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to get ICP' });
+    }
+  });
+
+  // PUT /api/user/icp - Replace the ICP, then rescore in the background
+  app.put('/api/user/icp', auth, async (req, res) => {
+    try {
+      const { valid, errors, icp } = validateIcp(req.body);
+      if (!valid) {
+        return res.status(400).json({ success: false, error: errors.join('; '), errors });
+      }
+
+      const userId = req.user._id.toString();
+      const now = new Date();
+      await profiles.updateOne(
+        { userId },
+        { $set: { ...icp, userId, userEmail: req.user.email, updatedAt: now }, $setOnInsert: { createdAt: now } },
+        { upsert: true }
+      );
+
+      rescoreUserLeads(db, req.user)
+        .then(count => console.log(`🎯 Rescored ${count} leads for ${req.user.email}`))
+        .catch(error => console.error('❌ Rescore error:', error.message));
+
+      res.json({ success: true, icp: await profiles.findOne({ userId }), rescoring: true });
+    } catch (error) {
+      console.error('❌ Save ICP error:', error);
+      res.status(500).json({ success: false, error: 'Failed to save ICP' });
+    }
+  });
+
+  // DELETE /api/user/icp - Also clears the scores
+  app.delete('/api/user/icp', auth, async (req, res) => {
+    try {
+      const result = await profiles.deleteOne({ userId: req.user._id.toString() });
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ success: false, error: 'No ICP defined' });
+      }
+      const cleared = await rescoreUserLeads(db, req.user);
+      res.json({ success: true, cleared });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to delete ICP' });
+    }
+  });
+
+  // POST /api/user/icp/rescore
+  app.post('/api/user/icp/rescore', auth, async (req, res) => {
+    try {
+      if (!await profiles.findOne({ userId: req.user._id.toString() })) {
+        return res.status(404).json({ success: false, error: 'No ICP defined' });
+      }
+      const rescored = await rescoreUserLeads(db, req.user);
+      res.json({ success: true, rescored });
+    } catch (error) {
+      console.error('❌ Rescore error:', error);
+      res.status(500).json({ success: false, error: 'Failed to rescore leads' });
+    }
+  });
+
+  profiles.createIndex({ userId: 1 }, { unique: true }).catch(() => {});
+  profiles.createIndex({ userEmail: 1 }).catch(() => {});
+  db.collection('leads').createIndex({ userId: 1, icpScore: -1 }).catch(() => {});
+
+  console.log('✅ Lead scoring routes registered: /api/user/icp');
+}
+
+module.exports = {
+  setupLeadScoringRoutes,
+  scoreLead,
+  leadScoreFields,
+  refineLeadScore,
+  rescoreUserLeads
+};
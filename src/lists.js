@@ -3,17 +3,33 @@
  * File: src/lists.js
  * 
  * Add to your server by importing and calling setupListsRoutes(app, db)
+ *
+ * POST /api/lists/:listName/export-crm pushes a whole list through a CRM
+ * adapter (src/crm/) and logs one export_logs entry per lead. Small lists are
+ * exported inline; larger ones (or async: true) are queued as one CRM export
+ * job per lead (src/crm-jobs.js) and polled as a batch.
  */
 
 const { ObjectId } = require('mongodb');
+const {
+  getCrmAdapter, supportsMode, prepareExportLead, exportBodyFromLead, buildExportLog, buildFailedExportLog, EXPORT_MODES
+} = require('./crm');
+const { getFieldMapping } = require('./crm/field-mapping');
+const { enqueueExportJob } = require('./crm-jobs');
+const { crmStageFilter } = require('./portal-leads');
+
+// Lists above MAX_INLINE_EXPORT_LEADS are queued instead of exported within the request
+const MAX_INLINE_EXPORT_LEADS = 25;
+const MAX_EXPORT_LEADS = 1000;
 
 function setupListsRoutes(app, db) {
   const listsCollection = db.collection('portal_lists'); // NEW collection for lists
   const leadsCollection = db.collection('leads');
   const usersCollection = db.collection('portal_users');
+  const exportLogs = db.collection('export_logs');
 
   // Import auth middleware from auth.js
-  const { authMiddleware } = require('./auth');
+  const { authMiddleware, checkFeatureAccess } = require('./auth');
   const auth = authMiddleware(usersCollection);
 
   console.log('📋 Setting up Lists routes...');
@@ -168,20 +184,21 @@ function setupListsRoutes(app, db) {
         ownershipConditions.push({ visitorEmail: userEmail });
       }
 
-      // Get total count (excluding soft-deleted leads)
-      const total = await leadsCollection.countDocuments({
+      const query = {
         $or: ownershipConditions,
         lists: listName,
         deleted: { $ne: true }  // Exclude soft-deleted leads
-      });
+      };
+      if (req.query.crmStage) {
+        query.$and = [crmStageFilter(req.query.crmStage)];
+      }
+
+      // Get total count (excluding soft-deleted leads)
+      const total = await leadsCollection.countDocuments(query);
 
       // Get paginated leads (excluding soft-deleted leads)
       const leads = await leadsCollection
-        .find({
-          $or: ownershipConditions,
-          lists: listName,
-          deleted: { $ne: true }  // Exclude soft-deleted leads
-        })
+        .find(query)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -201,6 +218,190 @@ function setupListsRoutes(app, db) {
     }
   });
 
+  // ==================== EXPORT LIST TO CRM ====================
+  // POST /api/lists/:listName/export-crm
+  // Body: { profileType: 'client' | 'candidate', crmType?: 'odoo', mode?: 'create' | 'upsert', async?: true }
+  // Up to MAX_INLINE_EXPORT_LEADS leads: exports them one by one and reports a per-lead
+  // outcome (created / updated / duplicate / failed) plus a summary for the portal progress report.
+  // Larger lists (or async: true): 202 with a batchId - poll GET /api/crm/jobs?batchId= for progress.
+  app.post('/api/lists/:listName/export-crm', auth, async (req, res) => {
+    try {
+      const userId = req.user._id.toString();
+      const userEmail = req.user.email;
+      const listName = decodeURIComponent(req.params.listName);
+      const { profileType, crmType = 'odoo', mode = 'create' } = req.body;
+
+      if (!checkFeatureAccess(req.user, 'bulkExport')) {
+        return res.status(403).json({ success: false, error: 'Bulk export requires a Pro plan', upgradeRequired: true });
+      }
+
+      if (!profileType || !['client', 'candidate'].includes(String(profileType).toLowerCase())) {
+        return res.status(400).json({ success: false, error: 'Valid profileType required (client or candidate)' });
+      }
+
+      if (!EXPORT_MODES.includes(mode)) {
+        return res.status(400).json({ success: false, error: `Invalid mode (expected ${EXPORT_MODES.join(' or ')})` });
+      }
+
+      const adapter = getCrmAdapter(crmType);
+      if (!adapter) {
+        return res.status(404).json({ success: false, error: `Unsupported CRM: ${crmType}` });
+      }
+      if (!adapter.isConfigured()) {
+        return res.status(500).json({ success: false, error: 'CRM configuration missing on server' });
+      }
+      if (!supportsMode(adapter, mode)) {
+        return res.status(400).json({ success: false, error: `${adapter.label} does not support mode '${mode}'` });
+      }
+
+      const list = await listsCollection.findOne({ userId, name: listName });
+      if (!list) {
+        return res.status(404).json({ success: false, error: 'List not found' });
+      }
+
+      // Build ownership conditions (include email-based ownership for backward compatibility)
+      const ownershipConditions = [
+        { userId: userId },
+        { visitorId: userId }
+      ];
+      if (userEmail) {
+        ownershipConditions.push({ userEmail: userEmail });
+        ownershipConditions.push({ visitorEmail: userEmail });
+      }
+
+      const leadQuery = {
+        $or: ownershipConditions,
+        lists: listName,
+        deleted: { $ne: true }  // Exclude soft-deleted leads
+      };
+
+      const leadCount = await leadsCollection.countDocuments(leadQuery);
+      if (leadCount > MAX_EXPORT_LEADS) {
+        return res.status(400).json({
+          success: false, error: `List too large to export (${leadCount} leads, max ${MAX_EXPORT_LEADS})`
+        });
+      }
+
+      const leads = await leadsCollection.find(leadQuery).sort({ createdAt: 1 }).toArray();
+      const organizationId = req.user.companyId ? String(req.user.companyId) : null;
+
+      // Leads that failed validation have no normalized payload and can't be retried
+      function logInvalidLead(savedLead, error) {
+        return exportLogs.insertOne({
+          leadName: savedLead.name, linkedinUrl: savedLead.linkedinUrl, crmType: adapter.type,
+          profileType: String(profileType).toLowerCase(), exportedBy: userEmail,
+          exportedAt: new Date(), status: 'failed', errorMessage: error, leadId: savedLead._id, listName
+        }).catch(() => {});
+      }
+
+      if (leads.length > MAX_INLINE_EXPORT_LEADS || req.body.async === true) {
+        const batchId = new ObjectId().toString();
+        const jobs = [];
+        const summary = { total: leads.length, queued: 0, failed: 0 };
+
+        // The worker runs jobs one at a time, in the order queued - duplicate checks stay consistent
+        for (const savedLead of leads) {
+          const prepared = prepareExportLead({ ...exportBodyFromLead(savedLead, profileType), mode });
+          if (!prepared.valid) {
+            const error = prepared.body.error || 'Invalid lead data';
+            await logInvalidLead(savedLead, error);
+            summary.failed++;
+            jobs.push({ leadId: savedLead._id, name: savedLead.name, outcome: 'failed', error });
+            continue;
+          }
+
+          const job = await enqueueExportJob(db, {
+            crmType: adapter.type, lead: prepared.lead, mode, organizationId, userEmail, batchId,
+            logFields: { leadId: savedLead._id, listName }, countUsage: true
+          });
+          summary.queued++;
+          jobs.push({ leadId: savedLead._id, name: savedLead.name, outcome: 'queued', jobId: job._id });
+        }
+
+        console.log(`📤 Bulk ${adapter.label} export queued: ${summary.queued} leads from "${listName}" by ${userEmail} (batch ${batchId})`);
+
+        return res.status(202).json({
+          success: true,
+          queued: true,
+          listName,
+          crmType: adapter.type,
+          profileType: String(profileType).toLowerCase(),
+          batchId,
+          statusUrl: `/api/crm/jobs?batchId=${batchId}`,
+          summary,
+          results: jobs
+        });
+      }
+
+      console.log(`📤 Bulk ${adapter.label} export: ${leads.length} leads from "${listName}" by ${userEmail}`);
+
+      const fieldMapping = await getFieldMapping(db, adapter, organizationId);
+
+      const results = [];
+      const summary = { total: leads.length, created: 0, updated: 0, duplicate: 0, failed: 0 };
+
+      // Sequential on purpose - keeps the CRM's duplicate checks consistent
+      // (two leads at the same new company must not both create it)
+      for (const savedLead of leads) {
+        const prepared = prepareExportLead({ ...exportBodyFromLead(savedLead, profileType), mode });
+        let outcome;
+
+        try {
+          if (!prepared.valid) {
+            throw new Error(prepared.body.error || 'Invalid lead data');
+          }
+
+          const result = await adapter.exportLead(prepared.lead, { mode, fieldMapping });
+          outcome = {
+            leadId: savedLead._id, name: savedLead.name,
+            outcome: result.status === 'success' ? 'created' : result.status,
+            crmId: result.crmId, message: result.message,
+            ...(result.status === 'updated' ? { changes: result.response?.changes || [] } : {})
+          };
+
+          await exportLogs.insertOne({
+            ...buildExportLog(adapter.type, prepared.lead, result, userEmail),
+            leadId: savedLead._id, listName
+          });
+        } catch (error) {
+          outcome = { leadId: savedLead._id, name: savedLead.name, outcome: 'failed', error: error.message };
+
+          if (prepared.valid) {
+            await exportLogs.insertOne({
+              ...buildFailedExportLog(adapter.type, prepared.lead, error, userEmail, mode), leadId: savedLead._id, listName
+            }).catch(() => {});
+          } else {
+            await logInvalidLead(savedLead, error.message);
+          }
+        }
+
+        summary[outcome.outcome]++;
+        results.push(outcome);
+      }
+
+      if (summary.created > 0) {
+        await usersCollection.updateOne(
+          { _id: req.user._id },
+          { $inc: { 'usage.crmExports': summary.created } }
+        );
+      }
+
+      console.log(`✅ Bulk export "${listName}": ${summary.created} created, ${summary.updated} updated, ${summary.duplicate} duplicate, ${summary.failed} failed`);
+
+      res.json({
+        success: true,
+        listName,
+        crmType: adapter.type,
+        profileType: String(profileType).toLowerCase(),
+        summary,
+        results
+      });
+    } catch (error) {
+      console.error('❌ Bulk CRM export error:', error);
+      res.status(500).json({ success: false, error: 'Failed to export list' });
+    }
+  });
+
   // Create indexes
   listsCollection.createIndex({ userId: 1, name: 1 }, { unique: true }).catch(() => {});
   leadsCollection.createIndex({ visitorId: 1, lists: 1 }).catch(() => {});
@@ -0,0 +1,78 @@
+// ============================================================================
+// cache.js - LLM Response Cache
+// ============================================================================
+//
+// Content-addressed: the key is a hash of everything that shapes the reply
+// (provider, model, messages, temperature, max tokens), so the same headline
+// sent to the same model with the same params is answered from Mongo.
+//
+//   llm_cache: { key, route, content, finishReason, model, provider, usage,
+//                hits, createdAt, lastHitAt, expiresAt }
+//
+// expiresAt carries a TTL index - Mongo drops entries once it passes. The
+// lifetime is the route's cacheTtlSeconds (0 = not cached).
+// ============================================================================
+
+const crypto = require('crypto');
+
+const CACHE_COLLECTION = 'llm_cache';
+
+let indexesEnsured = false;
+
+function cacheKey(request, providerType) {
+  const { model, messages, temperature, maxTokens } = request;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ provider: providerType, model, messages, temperature, maxTokens }))
+    .digest('hex');
+}
+
+function ensureIndexes(collection) {
+  if (indexesEnsured) return;
+  indexesEnsured = true;
+  collection.createIndex({ key: 1 }, { unique: true }).catch(() => {});
+  collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }).catch(() => {});
+}
+
+/**
+ * Cached reply for a key, or null (expired entries count as misses - the TTL
+ * monitor only runs once a minute)
+ */
+async function getCachedResponse(db, key) {
+  const collection = db.collection(CACHE_COLLECTION);
+  ensureIndexes(collection);
+
+  const now = new Date();
+  const entry = await collection.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { hits: 1 }, $set: { lastHitAt: now } }
+  );
+  return entry || null;
+}
+
+async function putCachedResponse(db, key, route, result, ttlSeconds) {
+  const collection = db.collection(CACHE_COLLECTION);
+  ensureIndexes(collection);
+
+  const now = new Date();
+  await collection.updateOne(
+    { key },
+    {
+      $set: {
+        key,
+        route,
+        content: result.content,
+        finishReason: result.finishReason,
+        model: result.model,
+        provider: result.provider,
+        usage: result.usage,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlSeconds * 1000)
+      },
+      $setOnInsert: { hits: 0 }
+    },
+    { upsert: true }
+  );
+}
+
+module.exports = { cacheKey, getCachedResponse, putCachedResponse };
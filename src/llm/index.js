@@ -0,0 +1,205 @@
+// ============================================================================
+// llm/index.js - LLM Gateway
+// ============================================================================
+//
+// Routes never talk to a model API directly. They ask the gateway for a
+// completion by route name and the route's config decides which provider,
+// model, temperature and token limit to use:
+//
+//   const { content, usage } = await completeLlm('extract-skill', messages);
+//
+// Every provider has the same shape:
+//
+//   {
+//     type: 'openai',
+//     label: 'OpenAI',
+//     isConfigured(),
+//     complete({ route, model, messages, temperature, maxTokens })
+//       // -> { content, finishReason, model, usage: { promptTokens, completionTokens, totalTokens } }
+//     stream({ ...same, signal, onToken })   // optional: same result, aborted: true if signal fired
+//   }
+//
+// complete() and stream() throw on provider errors, with error.provider set.
+//
+// Passing options.db turns on the response cache (cache.js) for routes with
+// cacheTtlSeconds > 0; cached replies come back with cached: true.
+//
+// Route config = ROUTE_DEFAULTS, overridden by LLM_PROVIDER / LLM_MODEL for
+// every route, overridden by LLM_ROUTES per route, e.g.
+//   LLM_ROUTES={"generate":{"model":"gpt-4o-mini","maxTokensLimit":800},"extract-skill":{"provider":"local","model":"llama3.1"}}
+// ============================================================================
+
+const { createOpenAIProvider, createLocalProvider } = require('./openai');
+const { createStubProvider } = require('./stub');
+const { estimateUsage } = require('./tokens');
+const { cacheKey, getCachedResponse, putCachedResponse } = require('./cache');
+
+const providers = new Map();
+
+// maxTokens: used when the caller doesn't ask for a size; maxTokensLimit: hard ceiling
+// cacheTtlSeconds: how long identical requests are answered from llm_cache (0 = never)
+const ROUTE_DEFAULTS = {
+  'generate': { provider: 'openai', model: 'gpt-3.5-turbo', temperature: 0.7, maxTokens: 300, maxTokensLimit: 1000, cacheTtlSeconds: 60 * 60 },
+  'extract-skill': { provider: 'openai', model: 'gpt-3.5-turbo', temperature: 0.3, maxTokens: 200, maxTokensLimit: 200, cacheTtlSeconds: 30 * 24 * 60 * 60 },
+  'compose': { provider: 'openai', model: 'gpt-3.5-turbo', temperature: 0.7, maxTokens: 300, maxTokensLimit: 600, cacheTtlSeconds: 0 },
+  'score-lead': { provider: 'openai', model: 'gpt-3.5-turbo', temperature: 0, maxTokens: 120, maxTokensLimit: 150, cacheTtlSeconds: 7 * 24 * 60 * 60 },
+  'parse-profile': { provider: 'openai', model: 'gpt-3.5-turbo', temperature: 0, maxTokens: 100, maxTokensLimit: 120, cacheTtlSeconds: 30 * 24 * 60 * 60 }
+};
+
+const ROUTE_FIELDS = ['provider', 'model', 'temperature', 'maxTokens', 'maxTokensLimit', 'cacheTtlSeconds'];
+
+function registerLlmProvider(provider) {
+  providers.set(provider.type, provider);
+}
+
+function getLlmProvider(type) {
+  return providers.get(String(type || '').toLowerCase()) || null;
+}
+
+function listLlmProviders() {
+  return [...providers.values()].map(p => ({ type: p.type, label: p.label, configured: p.isConfigured() }));
+}
+
+registerLlmProvider(createOpenAIProvider());
+registerLlmProvider(createLocalProvider());
+registerLlmProvider(createStubProvider());
+
+function readRouteOverrides() {
+  if (!process.env.LLM_ROUTES) return {};
+  try {
+    const parsed = JSON.parse(process.env.LLM_ROUTES);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    console.warn('⚠️ LLM_ROUTES is not valid JSON - using defaults');
+    return {};
+  }
+}
+
+const routeOverrides = readRouteOverrides();
+
+/**
+ * Effective config for a route
+ * @param {string} route - Route name ('generate', 'extract-skill', ...)
+ * @returns {object} { provider, model, temperature, maxTokens, maxTokensLimit }
+ */
+function getLlmRouteConfig(route) {
+  const base = ROUTE_DEFAULTS[route];
+  if (!base) throw new Error(`Unknown LLM route: ${route}`);
+
+  const global = {};
+  if (process.env.LLM_PROVIDER) global.provider = process.env.LLM_PROVIDER;
+  if (process.env.LLM_MODEL) global.model = process.env.LLM_MODEL;
+
+  const override = {};
+  for (const field of ROUTE_FIELDS) {
+    if (routeOverrides[route]?.[field] !== undefined) override[field] = routeOverrides[route][field];
+  }
+
+  return { ...base, ...global, ...override };
+}
+
+function isLlmRouteConfigured(route) {
+  const provider = getLlmProvider(getLlmRouteConfig(route).provider);
+  return !!provider && provider.isConfigured();
+}
+
+/**
+ * Run a chat completion for a route
+ * @param {string} route - Route name
+ * @param {Array} messages - [{ role, content }]
+ * @param {object} options - { maxTokens (capped at the route's maxTokensLimit), db (enables the cache) }
+ * @returns {object} { content, finishReason, model, provider, usage, cached }
+ */
+async function completeLlm(route, messages, options = {}) {
+  const { provider, request, cache } = resolveRoute(route, messages, options);
+
+  const hit = await readCache(cache);
+  if (hit) return hit;
+
+  const result = { ...(await provider.complete(request)), provider: provider.type, cached: false };
+  await writeCache(cache, route, result);
+  return result;
+}
+
+/**
+ * Stream a chat completion for a route
+ * @param {string} route - Route name
+ * @param {Array} messages - [{ role, content }]
+ * @param {object} options - { maxTokens, db, signal, onToken(text) }
+ * @returns {object} Same as completeLlm, plus aborted: true when the signal cancelled it
+ */
+async function streamLlm(route, messages, options = {}) {
+  const { provider, request, cache } = resolveRoute(route, messages, options);
+  const onToken = options.onToken || (() => {});
+
+  // Cached replies and providers without streaming arrive as one chunk
+  const hit = await readCache(cache);
+  if (hit) {
+    if (hit.content) onToken(hit.content);
+    return hit;
+  }
+
+  let result;
+  if (!provider.stream) {
+    result = await provider.complete(request);
+    if (result.content) onToken(result.content);
+  } else {
+    result = await provider.stream({ ...request, signal: options.signal, onToken });
+  }
+
+  result = { ...result, provider: provider.type, cached: false };
+  if (!result.aborted) await writeCache(cache, route, result);
+  return result;
+}
+
+// Cache problems never fail the call - worst case we ask the model again
+async function readCache(cache) {
+  if (!cache) return null;
+  try {
+    const entry = await getCachedResponse(cache.db, cache.key);
+    if (!entry) return null;
+    const { content, finishReason, model, provider, usage } = entry;
+    return { content, finishReason, model, provider, usage, cached: true };
+  } catch (error) {
+    console.warn('⚠️ LLM cache read failed:', error.message);
+    return null;
+  }
+}
+
+async function writeCache(cache, route, result) {
+  if (!cache || !result.content) return;
+  try {
+    await putCachedResponse(cache.db, cache.key, route, result, cache.ttlSeconds);
+  } catch (error) {
+    console.warn('⚠️ LLM cache write failed:', error.message);
+  }
+}
+
+function resolveRoute(route, messages, options) {
+  const config = getLlmRouteConfig(route);
+  const provider = getLlmProvider(config.provider);
+  if (!provider) throw new Error(`Unknown LLM provider: ${config.provider}`);
+  if (!provider.isConfigured()) throw new Error(`LLM provider not configured: ${provider.type}`);
+
+  const requested = parseInt(options.maxTokens) || config.maxTokens;
+  const maxTokens = Math.max(1, Math.min(requested, config.maxTokensLimit));
+
+  const request = { route, model: config.model, messages, temperature: config.temperature, maxTokens };
+  const cache = options.db && config.cacheTtlSeconds > 0
+    ? { db: options.db, key: cacheKey(request, provider.type), ttlSeconds: config.cacheTtlSeconds }
+    : null;
+
+  return { provider, request, cache };
+}
+
+module.exports = {
+  registerLlmProvider,
+  getLlmProvider,
+  listLlmProviders,
+  getLlmRouteConfig,
+  isLlmRouteConfigured,
+  completeLlm,
+  streamLlm,
+  estimateUsage,
+  ROUTE_DEFAULTS
+};
@@ -0,0 +1,180 @@
+// ============================================================================
+// openai.js - OpenAI Chat Completions Provider
+// ============================================================================
+//
+// Speaks the /v1/chat/completions wire format, so the same factory serves
+// api.openai.com and any OpenAI-compatible server (vLLM, Ollama, LM Studio,
+// llama.cpp ...) - only the base URL and key differ.
+//
+// Environment:
+// - OPENAI_API_KEY: OpenAI API key
+// - OPENAI_BASE_URL: API base URL (default: https://api.openai.com/v1)
+// - LLM_LOCAL_BASE_URL: OpenAI-compatible endpoint, e.g. http://localhost:11434/v1
+// - LLM_LOCAL_API_KEY: Key for the local endpoint (optional)
+// ============================================================================
+
+const { estimateUsage } = require('./tokens');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 60 * 1000;
+
+function getOpenAIConfig() {
+  return {
+    type: 'openai',
+    label: 'OpenAI',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    requiresApiKey: true
+  };
+}
+
+function getLocalConfig() {
+  return {
+    type: 'local',
+    label: 'OpenAI-compatible (local)',
+    baseUrl: process.env.LLM_LOCAL_BASE_URL,
+    apiKey: process.env.LLM_LOCAL_API_KEY || null,
+    requiresApiKey: false
+  };
+}
+
+// Aborts when any of the signals does (AbortSignal.any needs Node 20.3; CI runs Node 18)
+function anySignal(signals) {
+  const controller = new AbortController();
+  for (const signal of signals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+/**
+ * Create a chat-completions provider
+ * @param {object} config - { type, label, baseUrl, apiKey, requiresApiKey } (defaults to OPENAI_* env vars)
+ * @returns {object} LLM provider
+ */
+function createOpenAIProvider(config = getOpenAIConfig()) {
+  const baseUrl = String(config.baseUrl || '').replace(/\/+$/, '');
+
+  function isConfigured() {
+    return !!baseUrl && (!config.requiresApiKey || !!config.apiKey);
+  }
+
+  async function request(body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+
+    const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: signal ? anySignal([signal, timeout]) : timeout
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw providerError(data.error?.message || `${config.label} API error (${response.status})`, response.status);
+    }
+    return response;
+  }
+
+  function providerError(message, status) {
+    const error = new Error(message);
+    error.provider = config.type;
+    error.status = status;
+    return error;
+  }
+
+  async function complete({ model, messages, temperature, maxTokens }) {
+    const response = await request({ model, messages, max_tokens: maxTokens, temperature });
+
+    const data = await response.json().catch(() => ({}));
+    if (data.error) throw providerError(data.error.message || `${config.label} API error`, response.status);
+
+    return {
+      content: data.choices?.[0]?.message?.content ?? null,
+      finishReason: data.choices?.[0]?.finish_reason || null,
+      model: data.model || model,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Stream a completion, calling onToken(text) for each delta.
+   * Resolves with the same shape as complete(); if signal aborts mid-stream it
+   * resolves with what arrived so far and aborted: true.
+   */
+  async function stream({ model, messages, temperature, maxTokens, signal, onToken }) {
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let responseModel = model;
+
+    try {
+      const response = await request({
+        model, messages, max_tokens: maxTokens, temperature,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, signal);
+
+      // Server-sent events: "data: {json}\n\n" ... "data: [DONE]"
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.trim();
+          if (!payload.startsWith('data:')) continue;
+          const data = payload.substring(5).trim();
+          if (data === '[DONE]') continue;
+
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch (e) {
+            continue;
+          }
+          if (event.error) throw providerError(event.error.message || `${config.label} stream error`);
+
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+          if (event.choices?.[0]?.finish_reason) finishReason = event.choices[0].finish_reason;
+          if (event.model) responseModel = event.model;
+          if (event.usage) {
+            usage = {
+              promptTokens: event.usage.prompt_tokens || 0,
+              completionTokens: event.usage.completion_tokens || 0,
+              totalTokens: event.usage.total_tokens || 0
+            };
+          }
+        }
+      }
+    } catch (error) {
+      if (!signal?.aborted) throw error;
+      return { content, finishReason: 'cancelled', model: responseModel, usage: estimateUsage(messages, content), aborted: true };
+    }
+
+    return { content, finishReason, model: responseModel, usage: usage || estimateUsage(messages, content) };
+  }
+
+  return { type: config.type, label: config.label, isConfigured, complete, stream };
+}
+
+function createLocalProvider(config = getLocalConfig()) {
+  return createOpenAIProvider(config);
+}
+
+module.exports = { createOpenAIProvider, createLocalProvider, getOpenAIConfig, getLocalConfig };
@@ -0,0 +1,68 @@
+// ============================================================================
+// pricing.js - Estimated LLM Cost
+// ============================================================================
+//
+// USD per 1M tokens, by model. Matching is by prefix so dated snapshots
+// ('gpt-4o-mini-2024-07-18') price like their family. Local and stub
+// providers cost nothing. Unknown OpenAI models are priced at 0 and logged
+// once - add them here or via LLM_PRICES, e.g.
+//   LLM_PRICES={"gpt-4.1":{"prompt":2,"completion":8}}
+// ============================================================================
+
+const MODEL_PRICES = {
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 }
+};
+
+const FREE_PROVIDERS = ['local', 'stub'];
+
+function readPriceOverrides() {
+  if (!process.env.LLM_PRICES) return {};
+  try {
+    return JSON.parse(process.env.LLM_PRICES) || {};
+  } catch (e) {
+    console.warn('⚠️ LLM_PRICES is not valid JSON - using built-in prices');
+    return {};
+  }
+}
+
+const prices = { ...MODEL_PRICES, ...readPriceOverrides() };
+const warnedModels = new Set();
+
+function priceFor(model) {
+  const name = String(model || '');
+  // Longest prefix wins: 'gpt-4o-mini' before 'gpt-4o'
+  const match = Object.keys(prices)
+    .filter(key => name === key || name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+/**
+ * @param {string} provider - Provider type
+ * @param {string} model - Model name as reported by the provider
+ * @param {object} usage - { promptTokens, completionTokens }
+ * @returns {number} Estimated cost in USD
+ */
+function estimateCost(provider, model, usage = {}) {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+
+  const price = priceFor(model);
+  if (!price) {
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      console.warn(`⚠️ No price for model ${model} - costs recorded as 0`);
+    }
+    return 0;
+  }
+
+  const cost = ((usage.promptTokens || 0) * price.prompt + (usage.completionTokens || 0) * price.completion) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = { estimateCost, MODEL_PRICES };
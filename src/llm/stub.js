@@ -0,0 +1,68 @@
+// ============================================================================
+// stub.js - Deterministic LLM Provider
+// ============================================================================
+//
+// No network: the same request always yields the same reply, so routes can be
+// exercised locally and in tests without an API key. Replies come from
+// config.responses (keyed by route name) when set, otherwise the last user
+// message is echoed back. Token counts are estimated (tokens.js). stream()
+// emits the reply a word at a time.
+//
+// Environment:
+// - LLM_STUB_RESPONSES: JSON object of canned replies per route, e.g.
+//     {"extract-skill":"{\"skills\":[{\"name\":\"React\",\"level\":\"Expert\"}]}"}
+// ============================================================================
+
+const { estimateUsage } = require('./tokens');
+
+function getStubConfig() {
+  let responses = {};
+  if (process.env.LLM_STUB_RESPONSES) {
+    try {
+      responses = JSON.parse(process.env.LLM_STUB_RESPONSES);
+    } catch (e) {
+      console.warn('⚠️ LLM_STUB_RESPONSES is not valid JSON - ignoring');
+    }
+  }
+  return { responses };
+}
+
+/**
+ * Create the stub provider
+ * @param {object} config - { responses: { <route>: content } }
+ * @returns {object} LLM provider
+ */
+function createStubProvider(config = getStubConfig()) {
+  function reply(route, messages, maxTokens) {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const canned = config.responses?.[route];
+    return canned !== undefined
+      ? String(canned)
+      : `[stub] ${lastUser?.content || ''}`.substring(0, maxTokens * 4);
+  }
+
+  async function complete({ route, model, messages, maxTokens }) {
+    const content = reply(route, messages, maxTokens);
+    const { estimated, ...usage } = estimateUsage(messages, content);
+    return { content, finishReason: 'stop', model, usage };
+  }
+
+  async function stream({ route, model, messages, maxTokens, signal, onToken }) {
+    const words = reply(route, messages, maxTokens).match(/\S+\s*|\s+/g) || [];
+    let content = '';
+    for (const word of words) {
+      if (signal?.aborted) {
+        return { content, finishReason: 'cancelled', model, usage: estimateUsage(messages, content), aborted: true };
+      }
+      content += word;
+      onToken(word);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    const { estimated, ...usage } = estimateUsage(messages, content);
+    return { content, finishReason: 'stop', model, usage };
+  }
+
+  return { type: 'stub', label: 'Stub (deterministic)', isConfigured: () => true, complete, stream };
+}
+
+module.exports = { createStubProvider };
@@ -0,0 +1,20 @@
+// ============================================================================
+// tokens.js - Token Estimates
+// ============================================================================
+//
+// For when a provider doesn't report usage (the stub, OpenAI-compatible
+// servers that ignore stream_options, streams cancelled before the final
+// usage chunk). ~4 characters per token is close enough for quotas.
+// ============================================================================
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function estimateUsage(messages, content) {
+  const promptTokens = (messages || []).reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  const completionTokens = estimateTokens(content);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+}
+
+module.exports = { estimateTokens, estimateUsage };
@@ -0,0 +1,210 @@
+/**
+ * Pattern Feedback for Brynsa Backend
+ * File: src/pattern-feedback.js
+ *
+ * A learned company pattern (company_patterns) starts at its static weight
+ * (0.95 for first.last, see src/email-patterns.js). Every verification result
+ * and user-reported bounce for an address on that pattern moves it:
+ *
+ *   confidence = (prior * PRIOR_STRENGTH + successes) / (PRIOR_STRENGTH + successes + failures)
+ *
+ * i.e. the static weight counts as PRIOR_STRENGTH verifications' worth of
+ * evidence (Beta posterior mean). Once there's enough feedback:
+ *
+ *   demoted - below DEMOTE_BELOW: only used when nothing else is known
+ *   retired - below RETIRE_BELOW with MIN_FAILURES_TO_RETIRE bounces: never used,
+ *             and not re-learned until a different pattern is seen for the company
+ *
+ * Stored on company_patterns: priorConfidence, successCount, failureCount,
+ * status ('active' | 'demoted' | 'retired'), statusChangedAt.
+ * Stored on the lead: emailPatternFeedback { email, outcome } - so re-verifying
+ * the same address doesn't count twice, and a flipped result moves its vote.
+ *
+ * The cron, bulk jobs, single verification and bounce reports write feedback
+ * concurrently: a vote is claimed on the lead first (conditional update), the
+ * counts move with $inc, and confidence/status are only written if the counts
+ * they were computed from are still current.
+ */
+
+const { extractPattern, getPattern } = require('./email-patterns');
+const { resolveCompanyKey } = require('./company-names');
+
+const PRIOR_STRENGTH = 4;
+const DEMOTE_BELOW = 0.5;
+const RETIRE_BELOW = 0.35;
+const MIN_OUTCOMES_TO_DEMOTE = 3;
+const MIN_FAILURES_TO_RETIRE = 5;
+
+function patternConfidence(prior, successes, failures) {
+  const confidence = (prior * PRIOR_STRENGTH + successes) / (PRIOR_STRENGTH + successes + failures);
+  return Math.round(confidence * 1000) / 1000;
+}
+
+function patternStatus(confidence, successes, failures) {
+  if (failures >= MIN_FAILURES_TO_RETIRE && confidence < RETIRE_BELOW) return 'retired';
+  if (successes + failures >= MIN_OUTCOMES_TO_DEMOTE && confidence < DEMOTE_BELOW) return 'demoted';
+  return 'active';
+}
+
+/**
+ * Feedback fields for (re-)caching a pattern on a company
+ * @param {object|null} existing - The company's company_patterns document
+ * @param {object} learned - { pattern, domain, confidence } being cached
+ * @returns {object|null} Fields to $set; null when it's the pattern we retired
+ *   (same pattern: counts carry over; a new pattern starts fresh)
+ */
+function patternFeedbackFields(existing, learned) {
+  const prior = learned.confidence || getPattern(learned.pattern)?.confidence || 0.5;
+  const samePattern = existing && existing.pattern === learned.pattern && existing.domain === learned.domain;
+
+  if (!samePattern) {
+    return { confidence: prior, priorConfidence: prior, successCount: 0, failureCount: 0, status: 'active' };
+  }
+  if (existing.status === 'retired') return null;
+
+  const successes = existing.successCount || 0;
+  const failures = existing.failureCount || 0;
+  const confidence = patternConfidence(prior, successes, failures);
+  return { confidence, priorConfidence: prior, successCount: successes, failureCount: failures, status: patternStatus(confidence, successes, failures) };
+}
+
+/**
+ * Cache a learned pattern on a company, keeping its verification feedback.
+ * Conditional on the counts the fields were computed from - feedback recorded
+ * in between is re-read rather than overwritten.
+ * @param {object} filter - The company's company_patterns document, e.g. { companyName }
+ * @param {object} learned - { pattern, domain, confidence }
+ * @param {object} fields - Other fields to $set (companyName, frequency, ...)
+ * @returns {boolean} false when it's the pattern we retired (nothing written)
+ */
+async function cachePatternWithFeedback(db, filter, learned, fields) {
+  const patterns = db.collection('company_patterns');
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const existing = await patterns.findOne(filter);
+    const feedback = patternFeedbackFields(existing, learned);
+    if (!feedback) return false;
+
+    const update = {
+      $set: { ...fields, pattern: learned.pattern, domain: learned.domain, ...feedback, updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() }
+    };
+    if (!existing) {
+      await patterns.updateOne(filter, update, { upsert: true });
+      return true;
+    }
+
+    const { matchedCount } = await patterns.updateOne(unchangedFeedback(existing), update);
+    if (matchedCount > 0) return true;
+  }
+  throw new Error('Pattern feedback kept changing while caching the pattern');
+}
+
+// Matches the document only while its pattern and counts are as read
+function unchangedFeedback(doc) {
+  return {
+    _id: doc._id,
+    pattern: doc.pattern ?? null,
+    domain: doc.domain ?? null,
+    successCount: doc.successCount ?? null,
+    failureCount: doc.failureCount ?? null
+  };
+}
+
+/**
+ * What a verification result says about the address's pattern
+ * @param {object} result - { verified|valid, method }
+ * @returns {string|null} 'valid' | 'invalid', or null for results that don't test the mailbox
+ */
+function verificationOutcome(result) {
+  const valid = result.verified ?? result.valid;
+  // A catch-all server accepts any address (src/catch-all.js)
+  if (result.verdict === 'accept_all') return null;
+  // MX-only passes prove the domain takes mail, not that this mailbox exists
+  if (valid === true && result.method === 'smtp') return 'valid';
+  if (valid === false && ['smtp', 'user_report'].includes(result.method)) return 'invalid';
+  // The domain doesn't exist - but a DNS timeout says nothing
+  if (valid === false && result.method === 'mx_check' && ['no_mx_records', 'domain_not_found'].includes(result.reason)) return 'invalid';
+  return null;
+}
+
+/**
+ * Count a lead's verification outcome against the company pattern its email follows.
+ * Never throws - feedback must not break verification.
+ * @param {object} lead - Stored lead ({ _id, email, name, companyName, emailPattern, emailPatternFeedback })
+ * @param {string|null} outcome - 'valid' | 'invalid' (see verificationOutcome)
+ * @returns {object|null} { pattern, domain, updated } - null when nothing was counted
+ */
+async function recordPatternFeedback(db, lead, outcome) {
+  try {
+    if (!outcome || !lead.email || !lead.companyName) return null;
+
+    const email = String(lead.email).toLowerCase().trim();
+    const domain = email.split('@')[1];
+    const pattern = extractPattern(email, lead.name)?.pattern ||
+      (getPattern(lead.emailPattern) ? lead.emailPattern : null);
+    if (!pattern || !domain) return null;
+
+    // Claim the vote on the lead - a concurrent writer with the same outcome finds it taken.
+    // The previous vote comes from the stored lead, not the caller's (possibly stale) copy.
+    const before = await db.collection('leads').findOneAndUpdate(
+      { _id: lead._id, $nor: [{ 'emailPatternFeedback.email': email, 'emailPatternFeedback.outcome': outcome }] },
+      { $set: { emailPatternFeedback: { email, pattern, outcome, recordedAt: new Date() } } },
+      { returnDocument: 'before', projection: { emailPatternFeedback: 1 } }
+    );
+    if (!before) return null;
+    const previous = before.emailPatternFeedback?.email === email ? before.emailPatternFeedback.outcome : null;
+
+    const delta = { successCount: 0, failureCount: 0 };
+    delta[outcome === 'valid' ? 'successCount' : 'failureCount'] += 1;
+    if (previous) delta[previous === 'valid' ? 'successCount' : 'failureCount'] -= 1;
+
+    const companyKey = await resolveCompanyKey(db, lead.companyName);
+    const patterns = db.collection('company_patterns');
+    const matching = await patterns.find({
+      $or: [{ companyName: lead.companyName }, ...(companyKey ? [{ companyKey }] : [])],
+      pattern,
+      domain
+    }, { projection: { _id: 1 } }).toArray();
+
+    for (const { _id } of matching) {
+      const doc = await patterns.findOneAndUpdate({ _id, pattern, domain }, { $inc: delta }, { returnDocument: 'after' });
+      if (doc) await updatePatternConfidence(patterns, doc, pattern, domain);
+    }
+
+    return { pattern, domain, updated: matching.length };
+  } catch (error) {
+    console.warn('⚠️ Pattern feedback failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Recompute confidence and status from the counts just incremented. Skipped when
+ * another writer has moved the counts since - its own recompute sees newer ones.
+ */
+async function updatePatternConfidence(patterns, doc, pattern, domain) {
+  // A flipped vote on a pattern whose counts were reset can take a count below zero
+  const successes = Math.max(0, doc.successCount || 0);
+  const failures = Math.max(0, doc.failureCount || 0);
+  const prior = doc.priorConfidence || getPattern(pattern)?.confidence || doc.confidence || 0.5;
+  const confidence = patternConfidence(prior, successes, failures);
+  const status = patternStatus(confidence, successes, failures);
+
+  const update = { successCount: successes, failureCount: failures, priorConfidence: prior, confidence, status, updatedAt: new Date() };
+  if (status !== (doc.status || 'active')) update.statusChangedAt = new Date();
+
+  const { matchedCount } = await patterns.updateOne(unchangedFeedback(doc), { $set: update });
+  if (matchedCount > 0 && update.statusChangedAt) {
+    console.log(`📉 Pattern ${doc.companyName} → ${pattern}@${domain}: ${doc.status || 'active'} → ${status} (${successes}✓ ${failures}✗, confidence ${confidence})`);
+  }
+}
+
+module.exports = {
+  recordPatternFeedback,
+  cachePatternWithFeedback,
+  verificationOutcome,
+  patternFeedbackFields,
+  patternConfidence,
+  patternStatus
+};
@@ -16,6 +16,10 @@
  */
 
 const { ObjectId } = require('mongodb');
+const { leadScoreFields, refineLeadScore } = require('./lead-scoring');
+const { profileFields, updatedProfileFields, refineProfileFields, SENIORITY_LEVELS } = require('./profile-parser');
+const { resolveCompanyKey } = require('./company-names');
+const { recordPatternFeedback } = require('./pattern-feedback');
 
 function setupPortalLeadsRoutes(app, db) {
   const leadsCollection = db.collection('leads');
@@ -34,7 +38,7 @@ function setupPortalLeadsRoutes(app, db) {
     try {
       const userId = req.user._id.toString();
       const userEmail = req.user.email;
-      const { page = 1, limit = 50, listName, search } = req.query;
+      const { page = 1, limit = 50, listName, search, crmStage, sort, minScore, maxScore, seniority, department, decisionMaker } = req.query;
 
       console.log(`📋 GET /api/portal/leads - userId: ${userId}, userEmail: ${userEmail}`);
 
@@ -71,13 +75,39 @@ function setupPortalLeadsRoutes(app, db) {
         };
         query.$and.push(searchQuery);
       }
+      if (crmStage) {
+        query.$and.push(crmStageFilter(crmStage));
+      }
+      // ICP fit score range (leads without a score never match)
+      if (minScore !== undefined || maxScore !== undefined) {
+        const range = {};
+        if (minScore !== undefined && !isNaN(parseInt(minScore))) range.$gte = parseInt(minScore);
+        if (maxScore !== undefined && !isNaN(parseInt(maxScore))) range.$lte = parseInt(maxScore);
+        query.$and.push({ icpScore: { $type: 'number', ...range } });
+      }
+      // Parsed profile fields - seniority takes a comma-separated list
+      if (seniority) {
+        const levels = String(seniority).split(',').map(s => s.trim()).filter(s => SENIORITY_LEVELS.includes(s));
+        query.$and.push({ seniority: { $in: levels } });
+      }
+      if (department) {
+        query.$and.push({ department: String(department) });
+      }
+      if (decisionMaker === 'true' || decisionMaker === 'false') {
+        query.$and.push({ isDecisionMaker: decisionMaker === 'true' });
+      }
+
+      // sort: 'recent' (default), 'score' (best fit first) or 'score_asc'
+      const sortSpec = sort === 'score'
+        ? { icpScore: -1, createdAt: -1 }
+        : sort === 'score_asc' ? { icpScore: 1, createdAt: -1 } : { createdAt: -1 };
 
       console.log(`📋 Query: ${JSON.stringify(query).substring(0, 200)}...`);
 
       const total = await leadsCollection.countDocuments(query);
       const leads = await leadsCollection
         .find(query)
-        .sort({ createdAt: -1 })
+        .sort(sortSpec)
         .skip((parseInt(page) - 1) * parseInt(limit))
         .limit(parseInt(limit))
         .toArray();
@@ -218,6 +248,7 @@ function setupPortalLeadsRoutes(app, db) {
           if (sanitizedCompanyName) {
             updateFields.companyName = sanitizedCompanyName;
             updateFields.company = sanitizedCompanyName;
+            updateFields.companyKey = await resolveCompanyKey(db, sanitizedCompanyName);
           }
           
           if (currentTitle && currentTitle.trim()) {
@@ -257,6 +288,7 @@ function setupPortalLeadsRoutes(app, db) {
               updateFields.emailVerifiedAt = null;
               updateFields.emailVerificationMethod = null;
               updateFields.emailVerificationConfidence = null;
+              updateFields.emailVerificationVerdict = null;
             }
           }
 
@@ -271,6 +303,12 @@ function setupPortalLeadsRoutes(app, db) {
             }
           }
 
+          // Re-parse seniority/department if the title changed, then rescore
+          // against the owner's ICP with the refreshed data
+          const parsedProfile = updatedProfileFields(existing, updateFields);
+          Object.assign(updateFields, parsedProfile);
+          Object.assign(updateFields, await leadScoreFields(db, { userId, userEmail }, { ...existing, ...updateFields }));
+
           // Build the update operation
           const updateOp = { $set: updateFields };
 
@@ -296,6 +334,8 @@ function setupPortalLeadsRoutes(app, db) {
             { _id: existing._id },
             updateOp
           );
+          refineProfileFields(db, { userId, userEmail }, existing._id, parsedProfile);
+          if (updateFields.icpScore !== undefined) refineLeadScore(db, { userId, userEmail }, existing._id);
 
           // Ensure lists exist in portal_lists collection
           if (lists && lists.length > 0) {
@@ -365,6 +405,7 @@ function setupPortalLeadsRoutes(app, db) {
         // Company - store in BOTH fields for compatibility
         companyName: sanitizedCompanyName,
         company: sanitizedCompanyName,
+        companyKey: await resolveCompanyKey(db, sanitizedCompanyName),
         
         // Title/headline
         headline: sanitizeString(headline || title, 500) || null,
@@ -401,7 +442,13 @@ function setupPortalLeadsRoutes(app, db) {
         lastScrapedAt: new Date()
       };
 
+      const parsedProfile = profileFields(newLead);
+      Object.assign(newLead, parsedProfile);
+      Object.assign(newLead, await leadScoreFields(db, { userId, userEmail }, newLead));
+
       const result = await leadsCollection.insertOne(newLead);
+      refineProfileFields(db, { userId, userEmail }, result.insertedId, parsedProfile);
+      if (newLead.icpScore !== undefined) refineLeadScore(db, { userId, userEmail }, result.insertedId);
 
       // Create lists if provided
       if (lists && lists.length > 0) {
@@ -735,6 +782,14 @@ function setupPortalLeadsRoutes(app, db) {
           updateFields[field] = sanitizeString(otherFields[field], field === 'about' ? 2000 : 500);
         }
       }
+      // Keep currentTitle in step (as the save route does) - it's what the parser and ICP read first
+      if (updateFields.title !== undefined) {
+        updateFields.currentTitle = updateFields.title;
+      }
+      const editedCompany = updateFields.companyName ?? updateFields.company;
+      if (editedCompany !== undefined) {
+        updateFields.companyKey = await resolveCompanyKey(db, editedCompany);
+      }
 
       const result = await leadsCollection.updateOne(
         {
@@ -748,6 +803,17 @@ function setupPortalLeadsRoutes(app, db) {
         return res.status(404).json({ success: false, error: 'Lead not found' });
       }
 
+      // Title edits change seniority/department; title/company/location edits change the ICP fit
+      const owner = { userId, userEmail: req.user.email };
+      const updated = await leadsCollection.findOne({ _id: new ObjectId(req.params.id) });
+      const parsedProfile = updateFields.title !== undefined || updateFields.headline !== undefined ? profileFields(updated) : {};
+      const scoreFields = await leadScoreFields(db, owner, { ...updated, ...parsedProfile });
+      if (Object.keys(parsedProfile).length > 0 || scoreFields.icpScore !== undefined) {
+        await leadsCollection.updateOne({ _id: updated._id }, { $set: { ...parsedProfile, ...scoreFields } });
+      }
+      refineProfileFields(db, owner, updated._id, parsedProfile);
+      if (scoreFields.icpScore !== undefined) refineLeadScore(db, owner, updated._id);
+
       console.log(`✅ Lead ${req.params.id} updated by ${req.user.email}`);
       res.json({ success: true });
     } catch (error) {
@@ -794,12 +860,59 @@ function setupPortalLeadsRoutes(app, db) {
     }
   });
 
+  // ==================== REPORT BOUNCE ====================
+  // The user's email to this lead bounced - marks it invalid and counts
+  // against the company's learned pattern (src/pattern-feedback.js)
+  app.post('/api/portal/leads/:id/bounce', auth, async (req, res) => {
+    if (!/^[a-fA-F0-9]{24}$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid lead ID format' });
+    }
+
+    try {
+      const userId = req.user._id.toString();
+      const lead = await leadsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+        $or: [{ userId }, { visitorId: userId }]
+      });
+
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+      if (!lead.email || lead.email === 'noemail@domain.com') {
+        return res.status(400).json({ success: false, error: 'Lead has no email' });
+      }
+
+      await leadsCollection.updateOne(
+        { _id: lead._id },
+        {
+          $set: {
+            emailVerified: false,
+            emailVerifiedAt: new Date(),
+            emailVerificationMethod: 'user_report',
+            emailVerificationReason: 'user_reported_bounce',
+            emailVerificationConfidence: null,
+            emailVerificationVerdict: 'invalid',
+            updatedAt: new Date()
+          }
+        }
+      );
+      const feedback = await recordPatternFeedback(db, lead, 'invalid');
+
+      console.log(`📭 Bounce reported for ${lead.email} by ${req.user.email}`);
+      res.json({ success: true, pattern: feedback?.pattern || null });
+    } catch (error) {
+      console.error('❌ Report bounce error:', error);
+      res.status(500).json({ success: false, error: 'Failed to report bounce' });
+    }
+  });
+
   // Create indexes for better performance
   leadsCollection.createIndex({ userId: 1, createdAt: -1 }).catch(() => {});
   leadsCollection.createIndex({ visitorId: 1, createdAt: -1 }).catch(() => {});
   leadsCollection.createIndex({ userId: 1, linkedinUrl: 1 }).catch(() => {});
   leadsCollection.createIndex({ visitorId: 1, linkedinUrl: 1 }).catch(() => {});
   leadsCollection.createIndex({ userId: 1, lists: 1 }).catch(() => {});
+  leadsCollection.createIndex({ userId: 1, department: 1, seniority: 1 }).catch(() => {});
 
   console.log('✅ Portal Leads routes registered (FIXED with validation + duplicate updates)');
   console.log('   Validation: Name (no digits) and CompanyName required');
@@ -819,4 +932,19 @@ function isValidEmail(e) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i.test(e || '');
 }
 
-module.exports = { setupPortalLeadsRoutes };
\ No newline at end of file
+/**
+ * Filter on the CRM stage synced back by src/crm-sync.js
+ * crmStage=Won,Qualified matches either stage; 'none' matches leads never synced
+ * (no stages at all, e.g. crmStage=',', filters nothing)
+ */
+function crmStageFilter(crmStage) {
+  const stages = String(crmStage).split(',').map(s => s.trim()).filter(Boolean);
+  if (stages.length === 0) return {};
+  const conditions = [];
+  const named = stages.filter(s => s.toLowerCase() !== 'none');
+  if (named.length > 0) conditions.push({ crmStage: { $in: named } });
+  if (named.length < stages.length) conditions.push({ crmSyncedAt: { $exists: false } });
+  return { $or: conditions };
+}
+
+module.exports = { setupPortalLeadsRoutes, crmStageFilter };
\ No newline at end of file
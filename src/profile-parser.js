@@ -0,0 +1,247 @@
+/**
+ * Profile Parser for Brynsa Backend
+ * File: src/profile-parser.js
+ *
+ * Turns a lead's currentTitle / headline into fields the portal can segment on:
+ *
+ *   seniority        - 'ic' | 'manager' | 'director' | 'vp' | 'c_level' (null if unknown)
+ *   jobFunction      - e.g. 'Software Engineering', 'Recruiting', 'Sales'
+ *   department       - One of DEPARTMENTS
+ *   isDecisionMaker  - Director and above (founders/owners included)
+ *
+ * Parsing is rule-based, so it's instant and free at save time. Titles the
+ * rules can't place are sent to the LLM afterwards (refineProfileFields) only
+ * for owners who opted in (portal_users.aiProfileParsing, PUT /api/user/profile) -
+ * in the background, counted against their AI quota. Otherwise they stay
+ * rules-only until scripts/backfill-profile-fields.js runs with USE_LLM=true.
+ *
+ * (jobFunction, not "function": leadData.function is the job title in CRM exports)
+ */
+
+const { completeLlm, isLlmRouteConfigured } = require('./llm');
+const { authorizeAiRequest, recordAiUsage, releaseAiRequest } = require('./ai-usage');
+
+// Lowest first
+const SENIORITY_LEVELS = ['ic', 'manager', 'director', 'vp', 'c_level'];
+
+const DEPARTMENTS = [
+  'Executive', 'Engineering', 'Data', 'Product', 'Design', 'Sales', 'Marketing',
+  'Customer Success', 'HR', 'Finance', 'Legal', 'Operations', 'IT', 'Consulting', 'Education', 'Healthcare'
+];
+
+// First match wins - so "Vice President" is checked before "President",
+// "Executive Director" before "Executive Assistant"'s IC default
+const SENIORITY_RULES = [
+  ['vp', /\b(vp|svp|evp|avp|vice[\s-]+president)\b/],
+  ['c_level', /\b(chief|ceo|cto|cfo|coo|cmo|cio|ciso|cro|cpo|chro|president|founder|co-?founder|owner|managing director|managing partner|founding partner)\b/],
+  ['director', /\b(director|head of|head,)\b/],
+  ['manager', /\b(manager|mgr|team lead|tech lead|supervisor|superintendent)\b/],
+  ['ic', /\b(engineer|developer|programmer|analyst|scientist|specialist|consultant|designer|recruiter|sourcer|associate|assistant|coordinator|representative|executive|accountant|administrator|architect|intern|trainee|student|writer|officer|advisor|researcher|nurse|teacher|agent|technician|freelancer?)\b/]
+];
+
+// [jobFunction, department, pattern] - C-suite titles first so "CTO" lands in
+// Engineering rather than the generic Executive bucket at the end
+const FUNCTION_RULES = [
+  ['Technology Leadership', 'Engineering', /\b(cto|chief technology officer)\b/],
+  ['Finance Leadership', 'Finance', /\b(cfo|chief financial officer)\b/],
+  ['Marketing Leadership', 'Marketing', /\b(cmo|chief marketing officer)\b/],
+  ['Operations Leadership', 'Operations', /\b(coo|chief operating officer)\b/],
+  ['IT Leadership', 'IT', /\b(cio|ciso|chief information( security)? officer)\b/],
+  ['People Leadership', 'HR', /\b(chro|chief people officer|chief human resources officer)\b/],
+  ['Revenue Leadership', 'Sales', /\b(cro|chief revenue officer)\b/],
+  ['Product Leadership', 'Product', /\b(cpo|chief product officer)\b/],
+  ['Recruiting', 'HR', /\b(recruit\w*|talent acquisition|sourcer|headhunter)\b/],
+  ['People & HR', 'HR', /\b(hr|human resources|people (ops|operations|partner)|hrbp)\b/],
+  ['Data Science', 'Data', /\b(data scien\w+|machine learning|ml engineer|ai engineer|data engineer\w*|analytics|bi developer|business intelligence)\b/],
+  ['Product Management', 'Product', /\b(product (manager|owner|lead|director)|head of product|vp,? product)\b/],
+  ['Design', 'Design', /\b(designer|ux|ui|user experience|creative director|design)\b/],
+  ['IT & Security', 'IT', /\b(sysadmin|system administrator|it (manager|support|director|specialist)|infrastructure|cyber ?security|security (engineer|analyst)|network engineer|helpdesk)\b/],
+  ['Software Engineering', 'Engineering', /\b(engineer\w*|developer|programmer|devops|sre|software|architect|full[\s-]?stack|front[\s-]?end|back[\s-]?end|qa|tester)\b/],
+  ['Customer Success', 'Customer Success', /\b(customer success|customer support|customer service|client success|support (specialist|engineer|manager))\b/],
+  ['Business Development', 'Sales', /\b(business development|bdr|biz ?dev|partnerships)\b/],
+  ['Sales', 'Sales', /\b(sales|account executive|account manager|sdr|key account|inside sales)\b/],
+  ['Marketing', 'Marketing', /\b(marketing|growth|seo|sem|content|brand|demand gen\w*|communications|social media|pr manager)\b/],
+  ['Finance & Accounting', 'Finance', /\b(financ\w+|accountant|accounting|controller|treasur\w+|audit\w*|fp&a|bookkeeper)\b/],
+  ['Legal & Compliance', 'Legal', /\b(legal|counsel|lawyer|attorney|solicitor|paralegal|compliance)\b/],
+  ['Operations', 'Operations', /\b(operations|supply chain|logistics|procurement|purchasing|project manager|program manager|office manager)\b/],
+  ['Consulting', 'Consulting', /\b(consultant|consulting|advisory)\b/],
+  ['Education', 'Education', /\b(teacher|professor|lecturer|tutor|educator)\b/],
+  ['Healthcare', 'Healthcare', /\b(nurse|physician|doctor|pharmacist|clinical|therapist)\b/],
+  ['General Management', 'Executive', /\b(ceo|chief executive|founder|co-?founder|owner|president|managing director|general manager|managing partner)\b/]
+];
+
+const DECISION_MAKER_LEVELS = ['director', 'vp', 'c_level'];
+
+/**
+ * The role part of a headline: "Senior Engineer at Acme | Ex-Google" -> "senior engineer"
+ * ("Assistant to the CEO" -> "assistant", not a CEO)
+ */
+function roleText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/\s+(?:at|@|to|for)\s+|\s*[|•·]\s*/)[0]
+    .trim();
+}
+
+function firstMatch(rules, text) {
+  return rules.find(rule => rule[rule.length - 1].test(text)) || null;
+}
+
+function parseSeniority(text) {
+  const rule = firstMatch(SENIORITY_RULES, roleText(text));
+  return rule ? rule[0] : null;
+}
+
+/**
+ * Rule-based parse of a title/headline
+ * @param {object} lead - { currentTitle, title, headline }
+ * @returns {object} { seniority, jobFunction, department, isDecisionMaker, complete }
+ *   complete: false when the rules couldn't place seniority or department
+ */
+function parseProfile(lead) {
+  const roles = [roleText(lead.currentTitle || lead.title), roleText(lead.headline)].filter(Boolean);
+
+  // Seniority only from the role itself; the function may come from anywhere
+  // in the headline ("Helping brands grow | Marketing" -> Marketing)
+  const seniorityRule = roles.map(text => firstMatch(SENIORITY_RULES, text)).find(Boolean);
+  const functionRule = [...roles, String(lead.headline || '').toLowerCase()]
+    .map(text => firstMatch(FUNCTION_RULES, text)).find(Boolean);
+  const seniority = seniorityRule ? seniorityRule[0] : null;
+
+  return {
+    seniority,
+    jobFunction: functionRule ? functionRule[0] : null,
+    department: functionRule ? functionRule[1] : null,
+    isDecisionMaker: seniority ? DECISION_MAKER_LEVELS.includes(seniority) : null,
+    complete: !!seniority && !!functionRule
+  };
+}
+
+/**
+ * Fields to store with a lead that's being saved ({} when there's no title to parse)
+ */
+function profileFields(lead) {
+  if (!lead.currentTitle && !lead.title && !lead.headline) return {};
+  const { complete, ...parsed } = parseProfile(lead);
+  return { ...parsed, profileParseSource: 'rules', profileParsedAt: new Date() };
+}
+
+/**
+ * Same, for an update - {} when the title and headline haven't changed since the last parse
+ * @param {object} existing - Lead as stored
+ * @param {object} changes - Fields being $set
+ */
+function updatedProfileFields(existing, changes) {
+  const updated = { ...existing, ...changes };
+  const changed = ['currentTitle', 'title', 'headline'].some(field => (updated[field] || null) !== (existing[field] || null));
+  if (existing.profileParsedAt && !changed) return {};
+  return profileFields(updated);
+}
+
+function needsLlmParse(fields) {
+  return fields.profileParseSource === 'rules' && (!fields.seniority || !fields.department);
+}
+
+// ============================================================================
+// LLM FALLBACK
+// ============================================================================
+
+function llmParseMessages(lead) {
+  return [
+    {
+      role: 'system',
+      content: 'You classify job titles. Reply with JSON only: ' +
+        `{"seniority": one of ${SENIORITY_LEVELS.join('|')}, "function": "<job function, 1-3 words>", ` +
+        `"department": one of ${DEPARTMENTS.join('|')}, "isDecisionMaker": true|false}. ` +
+        'Use null for anything the text does not support.'
+    },
+    { role: 'user', content: `Title: ${lead.currentTitle || lead.title || ''}\nHeadline: ${lead.headline || ''}` }
+  ];
+}
+
+function parseLlmProfile(content) {
+  const json = String(content || '').match(/\{[\s\S]*\}/);
+  if (!json) return null;
+  try {
+    const parsed = JSON.parse(json[0]);
+    const seniority = SENIORITY_LEVELS.includes(parsed.seniority) ? parsed.seniority : null;
+    const department = DEPARTMENTS.find(d => d.toLowerCase() === String(parsed.department || '').toLowerCase()) || null;
+    return {
+      seniority,
+      jobFunction: parsed.function ? String(parsed.function).substring(0, 50) : null,
+      department,
+      isDecisionMaker: typeof parsed.isDecisionMaker === 'boolean'
+        ? parsed.isDecisionMaker
+        : seniority ? DECISION_MAKER_LEVELS.includes(seniority) : null
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Ask the model about a title (shared by the save-time fallback and the backfill script)
+ * @returns {object} { fields, result } - fields: what the rules left unknown, filled in; null if unusable
+ */
+async function parseProfileWithLlm(db, lead, current) {
+  const result = await completeLlm('parse-profile', llmParseMessages(lead), { db });
+  const llm = parseLlmProfile(result.content);
+  if (!llm) return { fields: null, result };
+
+  // Keep what the rules already knew - only fill the gaps
+  const fields = {
+    seniority: current.seniority || llm.seniority,
+    jobFunction: current.jobFunction || llm.jobFunction,
+    department: current.department || llm.department,
+    profileParseSource: 'llm',
+    profileParsedAt: new Date()
+  };
+  fields.isDecisionMaker = fields.seniority ? DECISION_MAKER_LEVELS.includes(fields.seniority) : llm.isDecisionMaker;
+  return { fields, result };
+}
+
+/**
+ * After a save: have the model fill in what the rules couldn't, if the owner opted in.
+ * Fire-and-forget - never throws.
+ * @param {object} owner - { userEmail } of the lead's owner (charged for the call)
+ * @param {object} fields - What profileFields() stored
+ */
+function refineProfileFields(db, owner, leadId, fields) {
+  if (!needsLlmParse(fields) || !owner.userEmail || !isLlmRouteConfigured('parse-profile')) return;
+
+  (async () => {
+    const [user, lead] = await Promise.all([
+      db.collection('portal_users').findOne({ email: owner.userEmail }),
+      db.collection('leads').findOne({ _id: leadId })
+    ]);
+    if (!user?.aiProfileParsing || !lead) return;
+
+    const access = await authorizeAiRequest(db, user, null);
+    if (!access.allowed) return;
+
+    let parsed;
+    try {
+      parsed = await parseProfileWithLlm(db, lead, fields);
+    } catch (error) {
+      await releaseAiRequest(db, user).catch(() => {});
+      throw error;
+    }
+    await recordAiUsage(db, user, 'parse-profile', parsed.result);
+
+    if (parsed.fields) {
+      await db.collection('leads').updateOne({ _id: leadId }, { $set: parsed.fields });
+    }
+  })().catch(error => console.warn('⚠️ LLM profile parse failed:', error.message));
+}
+
+module.exports = {
+  parseProfile,
+  parseSeniority,
+  profileFields,
+  updatedProfileFields,
+  needsLlmParse,
+  parseProfileWithLlm,
+  refineProfileFields,
+  SENIORITY_LEVELS,
+  DEPARTMENTS
+};
@@ -0,0 +1,167 @@
+/**
+ * Prompt Templates for Brynsa Backend
+ * File: src/prompts.js
+ *
+ * The outreach prompts live here rather than in the extension, so wording can
+ * change without an extension release and the AI proxy only ever runs prompts
+ * we wrote. Each template is filled from a saved lead:
+ *
+ *   {{name}} {{firstName}} {{title}} {{companyName}} {{location}} {{about}}
+ *   {{senderName}} {{tone}}
+ *
+ * Missing values render as empty strings; the lines that only carry an empty
+ * value are dropped so the model doesn't see "Location: ".
+ */
+
+// usageField: portal_users.usage counter incremented per generation
+// feature:    plan feature (FREE_PLAN_FEATURES / PRO_PLAN_FEATURES in auth.js)
+// maxLength:  hard character limit enforced on the output (LinkedIn's own limits)
+const TEMPLATES = {
+  connection_note: {
+    label: 'Connection note',
+    usageField: 'notesGenerated',
+    feature: 'noteGeneration',
+    maxTokens: 120,
+    maxLength: 300,
+    system: 'You write LinkedIn connection request notes. Reply with the note text only - no greeting line on its own, no sign-off, no quotes, no hashtags. Stay under 300 characters.',
+    user: [
+      'Write a {{tone}} connection note from {{senderName}} to {{firstName}}.',
+      'Their role: {{title}}',
+      'Company: {{companyName}}',
+      'Location: {{location}}',
+      'About them: {{about}}',
+      'Mention something specific to their role or company and say briefly why connecting makes sense.'
+    ]
+  },
+  linkedin_dm: {
+    label: 'LinkedIn message',
+    usageField: 'dmsGenerated',
+    feature: 'dmGeneration',
+    maxTokens: 300,
+    maxLength: 1900,
+    system: 'You write first LinkedIn direct messages to new connections. Reply with the message text only. Keep it under 120 words, end with one low-pressure question, and never invent facts about the recipient.',
+    user: [
+      'Write a {{tone}} LinkedIn message from {{senderName}} to {{firstName}}.',
+      'Their role: {{title}}',
+      'Company: {{companyName}}',
+      'Location: {{location}}',
+      'About them: {{about}}'
+    ]
+  },
+  follow_up: {
+    label: 'Follow-up message',
+    usageField: 'dmsGenerated',
+    feature: 'dmGeneration',
+    maxTokens: 200,
+    maxLength: 1900,
+    system: 'You write short LinkedIn follow-ups to a message that got no reply. Reply with the message text only. Keep it under 60 words, do not guilt the recipient, and add one new reason to reply.',
+    user: [
+      'Write a {{tone}} follow-up from {{senderName}} to {{firstName}}.',
+      'Their role: {{title}}',
+      'Company: {{companyName}}'
+    ]
+  },
+  cold_email: {
+    label: 'Cold email',
+    usageField: 'emailsGenerated',
+    feature: 'emailGeneration',
+    maxTokens: 400,
+    maxLength: 3000,
+    system: 'You write cold outreach emails. Reply in exactly this format:\nSubject: <subject line, under 8 words>\n\n<email body, under 150 words, signed with the sender name>\nNever invent facts about the recipient.',
+    user: [
+      'Write a {{tone}} cold email from {{senderName}} to {{name}}.',
+      'Their role: {{title}}',
+      'Company: {{companyName}}',
+      'Location: {{location}}',
+      'About them: {{about}}'
+    ]
+  }
+};
+
+const TONES = ['professional', 'friendly', 'casual', 'enthusiastic', 'concise'];
+const DEFAULT_TONE = 'professional';
+
+function getTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, name) ? TEMPLATES[name] : null;
+}
+
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, t]) => ({ name, label: t.label, maxLength: t.maxLength }));
+}
+
+/**
+ * Variables for a lead (lead fields are already sanitized when saved)
+ */
+function leadVariables(lead, sender = {}, tone = DEFAULT_TONE) {
+  const name = String(lead.name || '').trim();
+  return {
+    name,
+    firstName: name.split(/\s+/)[0] || '',
+    title: lead.currentTitle || lead.title || lead.headline || '',
+    companyName: lead.companyName || lead.company || '',
+    location: lead.location || '',
+    about: String(lead.about || '').substring(0, 600),
+    senderName: sender.name || '',
+    tone
+  };
+}
+
+/**
+ * Render a template into chat messages
+ * @param {string} name - Template name
+ * @param {object} variables - From leadVariables()
+ * @returns {Array} [{ role, content }]
+ */
+function renderTemplate(name, variables) {
+  const template = getTemplate(name);
+  if (!template) throw new Error(`Unknown template: ${name}`);
+
+  const lines = template.user
+    .map(line => {
+      const keys = [...line.matchAll(/\{\{(\w+)\}\}/g)].map(m => m[1]);
+      // Drop label lines whose only variable is empty
+      if (keys.length === 1 && /:\s*\{\{\w+\}\}$/.test(line) && !variables[keys[0]]) return null;
+      return line.replace(/\{\{(\w+)\}\}/g, (_, key) => String(variables[key] ?? '').replace(/[\r\n]+/g, ' '));
+    })
+    .filter(Boolean);
+
+  return [
+    { role: 'system', content: template.system },
+    { role: 'user', content: lines.join('\n') }
+  ];
+}
+
+/**
+ * Clean the model's reply: strip wrapping quotes, split an email's subject
+ * line off, and cut at the template's length limit on a word boundary
+ * @returns {object} { content, subject }
+ */
+function formatOutput(name, raw) {
+  const template = getTemplate(name);
+  let content = String(raw || '').trim().replace(/^["']+|["']+$/g, '').trim();
+  let subject = null;
+
+  const subjectMatch = content.match(/^Subject:\s*(.+)\n+/i);
+  if (subjectMatch) {
+    subject = subjectMatch[1].trim();
+    content = content.substring(subjectMatch[0].length).trim();
+  }
+
+  if (content.length > template.maxLength) {
+    const cut = content.substring(0, template.maxLength);
+    const lastSpace = cut.lastIndexOf(' ');
+    content = (lastSpace > template.maxLength * 0.6 ? cut.substring(0, lastSpace) : cut).trim();
+  }
+
+  return { content, subject };
+}
+
+module.exports = {
+  getTemplate,
+  listTemplates,
+  leadVariables,
+  renderTemplate,
+  formatOutput,
+  TONES,
+  DEFAULT_TONE
+};
@@ -0,0 +1,57 @@
+/**
+ * Per-user Rate Limiting for Brynsa Backend
+ * File: src/rate-limit.js
+ *
+ * Fixed one-minute windows kept in memory, keyed by user and action, so each
+ * route family gets its own budget:
+ *
+ *   const rateCheck = checkRateLimit(req.user.email, 'email-verify');
+ *   if (!rateCheck.allowed) return res.status(429).json({ ..., retryAfter: rateCheck.retryAfter });
+ *
+ * Used by index.js (LLM routes) and emailSystem.js (single-address verification).
+ */
+
+const rateLimits = new Map();
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 30;
+
+/**
+ * Count one request against the user's budget for an action
+ * @returns {object} { allowed, remaining, retryAfter? } - retryAfter in seconds
+ */
+function checkRateLimit(userEmail, action = 'default') {
+  const key = `${userEmail}:${action}`;
+  const now = Date.now();
+
+  if (!rateLimits.has(key)) {
+    rateLimits.set(key, { count: 1, resetAt: now + RATE_LIMIT_WINDOW });
+    return { allowed: true, remaining: RATE_LIMIT_MAX_REQUESTS - 1 };
+  }
+
+  const limit = rateLimits.get(key);
+
+  if (now > limit.resetAt) {
+    rateLimits.set(key, { count: 1, resetAt: now + RATE_LIMIT_WINDOW });
+    return { allowed: true, remaining: RATE_LIMIT_MAX_REQUESTS - 1 };
+  }
+
+  if (limit.count >= RATE_LIMIT_MAX_REQUESTS) {
+    return { allowed: false, remaining: 0, retryAfter: Math.ceil((limit.resetAt - now) / 1000) };
+  }
+
+  limit.count++;
+  return { allowed: true, remaining: RATE_LIMIT_MAX_REQUESTS - limit.count };
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, value] of rateLimits.entries()) {
+    if (now > value.resetAt) rateLimits.delete(key);
+  }
+}, 5 * 60 * 1000).unref();
+
+module.exports = {
+  checkRateLimit,
+  RATE_LIMIT_WINDOW,
+  RATE_LIMIT_MAX_REQUESTS
+};
@@ -0,0 +1,281 @@
+/**
+ * Skill Taxonomy for Brynsa Backend
+ * File: src/skills.js
+ *
+ * Canonical skills live in the skill_taxonomy collection, each with the
+ * aliases that should merge into it ("ReactJS", "React.js" -> "React").
+ * Extracted skills are normalized against it before they are returned or
+ * exported, so the CRM doesn't end up with one skill per spelling.
+ *
+ * Deleted (or merged-away) entries are kept with disabled: true, so the
+ * startup seed doesn't bring a removed seed skill back.
+ *
+ * Routes (admin - secret is REBUILD_SECRET):
+ *   GET    /api/skills/taxonomy
+ *   PUT    /api/skills/taxonomy            { name, aliases?, category? }
+ *   DELETE /api/skills/taxonomy/:name
+ */
+
+// Seniority levels the extractor may infer, weakest first.
+// progress is what the Odoo hr.skill.level gets when it has to be created.
+const SKILL_LEVELS = [
+  { name: 'Beginner', progress: 25 },
+  { name: 'Intermediate', progress: 50 },
+  { name: 'Advanced', progress: 75 },
+  { name: 'Expert', progress: 100 }
+];
+
+const MAX_SKILLS = 5;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Seeded on startup ($setOnInsert - admin edits and deletes are never overwritten)
+const SEED_TAXONOMY = [
+  { name: 'React', category: 'IT', aliases: ['reactjs', 'react.js', 'react js'] },
+  { name: 'Angular', category: 'IT', aliases: ['angularjs', 'angular.js', 'angular 2+'] },
+  { name: 'Vue.js', category: 'IT', aliases: ['vue', 'vuejs', 'vue js'] },
+  { name: 'Node.js', category: 'IT', aliases: ['node', 'nodejs', 'node js'] },
+  { name: 'JavaScript', category: 'IT', aliases: ['js', 'ecmascript', 'es6'] },
+  { name: 'TypeScript', category: 'IT', aliases: ['ts'] },
+  { name: 'Python', category: 'IT', aliases: ['python3', 'py'] },
+  { name: 'Java', category: 'IT', aliases: ['java ee', 'j2ee'] },
+  { name: 'C#', category: 'IT', aliases: ['csharp', 'c sharp'] },
+  { name: '.NET', category: 'IT', aliases: ['dotnet', 'dot net', 'asp.net', '.net core'] },
+  { name: 'Go', category: 'IT', aliases: ['golang'] },
+  { name: 'Kubernetes', category: 'IT', aliases: ['k8s'] },
+  { name: 'Amazon Web Services', category: 'IT', aliases: ['aws'] },
+  { name: 'Microsoft Azure', category: 'IT', aliases: ['azure'] },
+  { name: 'Google Cloud', category: 'IT', aliases: ['gcp', 'google cloud platform'] },
+  { name: 'PostgreSQL', category: 'IT', aliases: ['postgres', 'psql'] },
+  { name: 'MongoDB', category: 'IT', aliases: ['mongo'] },
+  { name: 'Machine Learning', category: 'IT', aliases: ['ml'] },
+  { name: 'Artificial Intelligence', category: 'IT', aliases: ['ai'] },
+  { name: 'DevOps', category: 'IT', aliases: ['dev ops'] },
+  { name: 'Salesforce', category: 'IT', aliases: ['sfdc'] },
+  { name: 'SAP', category: 'IT', aliases: ['sap erp'] },
+  { name: 'UX Design', category: 'Design', aliases: ['ux', 'user experience', 'ui/ux', 'ux/ui'] },
+  { name: 'Project Management', category: 'Functional', aliases: ['pm', 'project manager'] },
+  { name: 'Business Development', category: 'Functional', aliases: ['bizdev', 'biz dev', 'bd'] },
+  { name: 'Human Resources', category: 'Functional', aliases: ['hr'] },
+  { name: 'Recruitment', category: 'Functional', aliases: ['recruiting', 'talent acquisition'] }
+];
+
+let taxonomyCache = null;  // { loadedAt, byKey: Map(key -> entry) }
+
+/**
+ * Lookup key for a skill name: lowercase, single spaces, no surrounding punctuation
+ */
+function skillKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[^a-z0-9.#+]+|[^a-z0-9#+]+$/g, '')
+    .trim();
+}
+
+function normalizeLevel(level) {
+  if (!level) return null;
+  const match = SKILL_LEVELS.find(l => l.name.toLowerCase() === String(level).trim().toLowerCase());
+  return match ? match.name : null;
+}
+
+async function loadTaxonomy(db) {
+  if (taxonomyCache && Date.now() - taxonomyCache.loadedAt < CACHE_TTL_MS) return taxonomyCache.byKey;
+
+  const entries = await db.collection('skill_taxonomy').find({ disabled: { $ne: true } }).toArray();
+  const byKey = new Map();
+  for (const entry of entries) {
+    byKey.set(entry.key, entry);
+    (entry.aliases || []).forEach(alias => byKey.set(alias, entry));
+  }
+
+  taxonomyCache = { loadedAt: Date.now(), byKey };
+  return byKey;
+}
+
+function invalidateTaxonomyCache() {
+  taxonomyCache = null;
+}
+
+/**
+ * Map raw skills onto the taxonomy and merge synonyms
+ * @param {object} db - Mongo database
+ * @param {Array} skills - [{ name, level }] in rank order (strings are accepted too)
+ * @returns {Array} [{ name, level, category, rank }] - at most MAX_SKILLS, rank 1 = most important
+ */
+async function normalizeSkills(db, skills) {
+  const byKey = await loadTaxonomy(db);
+  const merged = new Map();
+
+  for (const raw of skills || []) {
+    const name = typeof raw === 'string' ? raw : raw?.name;
+    const key = skillKey(name);
+    if (!key || key === 'none') continue;
+
+    const entry = byKey.get(key);
+    const canonical = entry ? entry.name : String(name).trim().substring(0, 50);
+    const canonicalKey = entry ? entry.key : key;
+    const level = normalizeLevel(raw?.level);
+
+    const existing = merged.get(canonicalKey);
+    if (existing) {
+      // Synonyms listed twice keep the earlier rank and the higher level
+      if (level && (!existing.level || levelIndex(level) > levelIndex(existing.level))) existing.level = level;
+      continue;
+    }
+    merged.set(canonicalKey, { name: canonical, level, category: entry?.category || null });
+  }
+
+  return [...merged.values()].slice(0, MAX_SKILLS).map((skill, i) => ({ ...skill, rank: i + 1 }));
+}
+
+function levelIndex(level) {
+  return SKILL_LEVELS.findIndex(l => l.name === level);
+}
+
+/**
+ * Parse the extractor's reply: JSON { skills: [{ name, level }] }, or a bare
+ * skill name from older prompts
+ */
+function parseSkillResponse(content) {
+  const text = String(content || '').trim();
+  if (!text) return [];
+
+  const json = text.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+  if (json) {
+    try {
+      const parsed = JSON.parse(json[0]);
+      const list = Array.isArray(parsed) ? parsed : parsed.skills;
+      if (Array.isArray(list)) {
+        return list
+          .map(s => (typeof s === 'string' ? { name: s, level: null } : { name: s?.name, level: s?.level || null }))
+          .filter(s => s.name && String(s.name).length < 50);
+      }
+    } catch (e) {
+      // Fall through to the plain-text form
+    }
+  }
+
+  const single = text.replace(/['"]/g, '').trim();
+  return single.toLowerCase() !== 'none' && single.length < 50 ? [{ name: single, level: null }] : [];
+}
+
+const SKILL_EXTRACTION_PROMPT =
+  'Extract up to 5 professional skills from the LinkedIn headline, most important first. ' +
+  'For IT roles, return technical skills. For non-IT, return functional areas. ' +
+  `For each skill infer the seniority from the title: one of ${SKILL_LEVELS.map(l => l.name).join(', ')}. ` +
+  'Reply with JSON only: {"skills":[{"name":"<1-3 words>","level":"<seniority>"}]}. ' +
+  'If no skill is clear, reply {"skills":[]}.';
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+function setupSkillRoutes(app, db) {
+  const taxonomy = db.collection('skill_taxonomy');
+
+  function isAdminRequest(req) {
+    return !!process.env.REBUILD_SECRET && req.query.secret === process.env.REBUILD_SECRET;
+  }
+
+  // GET /api/skills/taxonomy
+  app.get('/api/skills/taxonomy', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+      const skills = await taxonomy.find({ disabled: { $ne: true } }).sort({ name: 1 }).toArray();
+      res.json({ success: true, count: skills.length, skills });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // PUT /api/skills/taxonomy - Create or update a canonical skill.
+  // Aliases claimed from another entry are moved, so this is also how duplicates get merged.
+  app.put('/api/skills/taxonomy', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+
+      const { name, aliases = [], category = null } = req.body;
+      const key = skillKey(name);
+      if (!key || String(name).length > 50) {
+        return res.status(400).json({ success: false, error: 'Skill name is required (max 50 characters)' });
+      }
+      if (!Array.isArray(aliases)) {
+        return res.status(400).json({ success: false, error: 'aliases must be an array' });
+      }
+
+      const aliasKeys = [...new Set(aliases.map(skillKey).filter(a => a && a !== key))];
+
+      // Anything that used to be its own entry under one of these names folds into this one
+      await taxonomy.updateMany(
+        { key: { $in: aliasKeys } },
+        { $set: { disabled: true, aliases: [], updatedAt: new Date() } }
+      );
+      await taxonomy.updateMany({ key: { $ne: key } }, { $pull: { aliases: { $in: [key, ...aliasKeys] } } });
+
+      await taxonomy.updateOne(
+        { key },
+        {
+          $set: { key, name: String(name).trim(), category, disabled: false, updatedAt: new Date(), source: 'admin' },
+          $addToSet: { aliases: { $each: aliasKeys } },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+      );
+      invalidateTaxonomyCache();
+
+      res.json({ success: true, skill: await taxonomy.findOne({ key }) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // DELETE /api/skills/taxonomy/:name
+  app.delete('/api/skills/taxonomy/:name', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid secret' });
+      }
+      const result = await taxonomy.updateOne(
+        { key: skillKey(decodeURIComponent(req.params.name)), disabled: { $ne: true } },
+        { $set: { disabled: true, updatedAt: new Date() } }
+      );
+      invalidateTaxonomyCache();
+
+      if (result.matchedCount === 0) {
+        return res.status(404).json({ success: false, error: 'Skill not found' });
+      }
+      res.json({ success: true, message: 'Skill deleted' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  taxonomy.createIndex({ key: 1 }, { unique: true }).catch(() => {});
+  taxonomy.createIndex({ aliases: 1 }).catch(() => {});
+
+  // Seed the common synonyms
+  Promise.all(SEED_TAXONOMY.map(skill => taxonomy.updateOne(
+    { key: skillKey(skill.name) },
+    {
+      $setOnInsert: {
+        key: skillKey(skill.name), name: skill.name, category: skill.category,
+        aliases: skill.aliases.map(skillKey), source: 'seed', createdAt: new Date()
+      }
+    },
+    { upsert: true }
+  ))).catch(err => console.warn('⚠️ Skill taxonomy seed failed:', err.message));
+
+  console.log('✅ Skill taxonomy routes registered: /api/skills/taxonomy');
+}
+
+module.exports = {
+  setupSkillRoutes,
+  normalizeSkills,
+  parseSkillResponse,
+  SKILL_EXTRACTION_PROMPT,
+  SKILL_LEVELS
+};
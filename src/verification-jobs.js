@@ -0,0 +1,351 @@
+// ============================================================================
+// verification-jobs.js - On-demand Email Verification (single + bulk queue)
+// ============================================================================
+//
+// Bulk verification requests are queued in email_verification_jobs and
+// processed by an in-process worker, CHUNK_SIZE addresses at a time - progress
+// is saved after every chunk, so a crashed worker's job resumes where it
+// stopped once its lock goes stale. The lock (lockedAt) is refreshed after
+// every address, and every write checks it is still ours - a worker whose job
+// was reclaimed stops instead of writing over the new owner's progress.
+//
+// Every result is written back to the leads with that address and to
+// email_verification_logs - the same fields the cron (verifyEmails.js) writes,
+// via updateLeadVerification / logVerification below.
+//
+// JOB STATUS: queued -> running -> completed | failed
+// ============================================================================
+
+const { ObjectId } = require('mongodb');
+const { createEmailVerifier } = require('./email-verifier');
+const { recordPatternFeedback, verificationOutcome } = require('./pattern-feedback');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  POLL_INTERVAL_MS: 2000,
+  CHUNK_SIZE: 20,
+  MAX_BULK_EMAILS: 5000,
+  MAX_ACTIVE_JOBS_PER_USER: 3,
+  STALE_LOCK_MS: 5 * 60 * 1000
+};
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+/**
+ * Store a verification result on a lead (and count it against the lead's company pattern).
+ * A user-reported bounce is final - a later SMTP 250 doesn't overwrite it
+ * @param {object} result - From src/email-verifier.js verify()
+ * @returns {boolean} Whether the lead was updated
+ */
+async function updateLeadVerification(db, lead, result) {
+  const { matchedCount } = await db.collection('leads').updateOne(
+    { _id: lead._id, emailVerificationMethod: { $ne: 'user_report' } },
+    {
+      $set: {
+        emailVerified: result.valid,
+        emailVerifiedAt: new Date(),
+        emailVerificationMethod: result.method,
+        emailVerificationReason: result.reason,
+        emailVerificationVerdict: result.verdict,
+        emailVerificationConfidence: result.confidence || null,
+        'verification.mxRecords': result.mxRecords || null,
+        'verification.smtpResponse': result.smtpResponse?.substring(0, 500) || null
+      }
+    }
+  );
+  if (matchedCount === 0) return false;
+
+  // Moves the confidence of the company pattern this address follows
+  await recordPatternFeedback(db, lead, verificationOutcome(result));
+  return true;
+}
+
+/**
+ * @param {object} entry - { runId, lead?, email?, result, source?, userEmail? }
+ */
+async function logVerification(db, { runId, lead, email, result, source, userEmail }) {
+  await db.collection('email_verification_logs').insertOne({
+    runId,
+    leadId: lead?._id || null,
+    email: lead?.email || email,
+    companyName: lead?.companyName || null,
+    status: result.verdict === 'valid' ? 'verified' : result.verdict,
+    reason: result.reason,
+    method: result.method,
+    confidence: result.confidence || null,
+    steps: result.steps || null,
+    source: source || 'cron',
+    userEmail: userEmail || null,
+    verifiedAt: new Date()
+  });
+}
+
+/**
+ * Write a result back to every lead with that address, and log it
+ * (an 'unknown' verdict is only logged - it shouldn't clear an earlier result,
+ * and neither does anything else once the user has reported a bounce)
+ * @returns {number} Leads updated
+ */
+async function saveVerificationResult(db, result, { runId, source, userEmail }) {
+  const leads = result.verdict === 'unknown' ? [] : await db.collection('leads').find(
+    {
+      email: { $in: [...new Set([result.email, result.input].filter(Boolean))] },
+      emailVerificationMethod: { $ne: 'user_report' }
+    },
+    { projection: { email: 1, name: 1, companyName: 1, emailPattern: 1, emailPatternFeedback: 1 } }
+  ).toArray();
+
+  let updated = 0;
+  for (const lead of leads) {
+    if (await updateLeadVerification(db, lead, result)) updated++;
+    await logVerification(db, { runId, lead, result, source, userEmail });
+  }
+  if (leads.length === 0) {
+    await logVerification(db, { runId, email: result.email, result, source, userEmail });
+  }
+  return updated;
+}
+
+/**
+ * What the API returns for one address
+ */
+function serializeResult(result) {
+  return {
+    email: result.email,
+    valid: result.valid,
+    verdict: result.verdict,
+    reason: result.reason,
+    method: result.method,
+    confidence: result.confidence,
+    roleAccount: result.roleAccount,
+    steps: result.steps
+  };
+}
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+/**
+ * Addresses from a list and/or CSV text (the "email" column, or the first cell with an @)
+ * @returns {string[]} Deduplicated, trimmed (not validated - bad addresses get an 'invalid' verdict)
+ */
+function parseBulkEmails({ emails, csv }) {
+  const found = [];
+  if (Array.isArray(emails)) found.push(...emails.map(e => String(e || '')));
+
+  if (typeof csv === 'string' && csv.trim()) {
+    const rows = csv.split(/\r?\n/).map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')));
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const column = header.findIndex(cell => cell === 'email' || cell === 'email address' || cell === 'e-mail');
+    for (const row of column >= 0 ? rows.slice(1) : rows) {
+      found.push(column >= 0 ? row[column] || '' : row.find(cell => cell.includes('@')) || '');
+    }
+  }
+
+  const seen = new Set();
+  return found.map(e => e.trim()).filter(e => {
+    const key = e.toLowerCase();
+    if (!e || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Queue a bulk verification
+ * @param {object} job - { emails, userId, userEmail }
+ * @returns {object} The inserted job document
+ */
+async function enqueueVerificationJob(db, { emails, userId, userEmail }) {
+  const now = new Date();
+  const job = {
+    userId,
+    userEmail: userEmail || null,
+    emails,
+    total: emails.length,
+    processed: 0,
+    counts: { valid: 0, invalid: 0, accept_all: 0, unknown: 0 },
+    results: [],
+    status: 'queued',
+    lastError: null,
+    lockedAt: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null
+  };
+
+  const result = await db.collection('email_verification_jobs').insertOne(job);
+  return { ...job, _id: result.insertedId };
+}
+
+async function countActiveVerificationJobs(db, userId) {
+  return db.collection('email_verification_jobs').countDocuments({ userId, status: { $in: ['queued', 'running'] } });
+}
+
+async function getVerificationJob(db, jobId) {
+  if (!/^[a-fA-F0-9]{24}$/.test(String(jobId || ''))) return null;
+  return db.collection('email_verification_jobs').findOne({ _id: new ObjectId(jobId) });
+}
+
+/**
+ * Claim and run one job (to completion, saving progress per chunk)
+ * @returns {object|null} The finished job, or null if nothing was queued
+ *   (or another worker reclaimed the job mid-run)
+ */
+async function processNextVerificationJob(db) {
+  const jobs = db.collection('email_verification_jobs');
+  const now = new Date();
+
+  const job = await jobs.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - CONFIG.STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now, updatedAt: now, startedAt: now } },
+    { sort: { createdAt: 1 }, returnDocument: 'after' }
+  );
+
+  if (!job) return null;
+
+  return runVerificationJob(db, job);
+}
+
+function lostLockError(job) {
+  return Object.assign(new Error(`Verification job ${job._id} was reclaimed by another worker`), { lostLock: true });
+}
+
+async function runVerificationJob(db, job) {
+  const jobs = db.collection('email_verification_jobs');
+  const verifier = createEmailVerifier({ db });
+  const runId = `bulk:${job._id}`;
+  const counts = { ...job.counts };
+  let processed = job.processed;
+  let lockedAt = job.lockedAt;
+
+  // Every write is conditional on still holding the lock; refreshes it unless releasing
+  async function writeJob(update, { release = false } = {}) {
+    const now = new Date();
+    const $set = { ...update.$set, lockedAt: release ? null : now, updatedAt: now };
+    const { matchedCount } = await jobs.updateOne({ _id: job._id, lockedAt }, { ...update, $set });
+    if (matchedCount === 0) throw lostLockError(job);
+    lockedAt = $set.lockedAt;
+  }
+
+  try {
+    while (processed < job.total) {
+      const chunk = job.emails.slice(processed, processed + CONFIG.CHUNK_SIZE);
+      const chunkResults = [];
+
+      for (const input of chunk) {
+        // MX answers and SMTP probe budgets are shared per domain (src/domain-intel.js)
+        const result = await verifier.verify(input);
+        const leadsUpdated = await saveVerificationResult(db, { ...result, input }, { runId, source: 'bulk', userEmail: job.userEmail });
+        counts[result.verdict] = (counts[result.verdict] || 0) + 1;
+        chunkResults.push({ ...serializeResult(result), steps: undefined, leadsUpdated });
+        // A slow SMTP server must not let the lock go stale mid-chunk
+        await writeJob({});
+      }
+
+      processed += chunk.length;
+      await writeJob({
+        $set: { processed, counts },
+        $push: { results: { $each: chunkResults } }
+      });
+    }
+
+    const update = { status: 'completed', lockedAt: null, updatedAt: new Date(), completedAt: new Date() };
+    await writeJob({ $set: update }, { release: true });
+    console.log(`✅ Verification job ${job._id} completed: ${job.total} emails (${counts.valid} valid, ${counts.invalid} invalid, ${counts.accept_all} accept-all)`);
+    return { ...job, processed, counts, ...update };
+
+  } catch (error) {
+    if (error.lostLock) {
+      console.warn(`⚠️ ${error.message} - stopping at ${processed}/${job.total}`);
+      return null;
+    }
+    const update = { status: 'failed', lastError: error.message, lockedAt: null, updatedAt: new Date(), completedAt: new Date() };
+    await jobs.updateOne({ _id: job._id, lockedAt }, { $set: update });
+    console.error(`❌ Verification job ${job._id} failed at ${processed}/${job.total}: ${error.message}`);
+    return { ...job, processed, counts, ...update };
+  }
+}
+
+/**
+ * Public view of a job (the progress endpoint) - results once it's finished
+ */
+function serializeVerificationJob(job) {
+  const finished = job.status === 'completed' || job.status === 'failed';
+  return {
+    jobId: job._id,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    progress: job.total ? Math.round((job.processed / job.total) * 100) : 100,
+    counts: job.counts,
+    lastError: job.lastError || null,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null,
+    results: finished ? job.results : undefined
+  };
+}
+
+// ============================================================================
+// WORKER
+// ============================================================================
+
+/**
+ * Start polling for queued verification jobs
+ * @returns {object} { stop() }
+ */
+function startVerificationWorker(db) {
+  const jobs = db.collection('email_verification_jobs');
+  jobs.createIndex({ status: 1, createdAt: 1 }).catch(() => {});
+  jobs.createIndex({ userId: 1, createdAt: -1 }).catch(() => {});
+  db.collection('leads').createIndex({ email: 1 }).catch(() => {});
+
+  let busy = false;
+
+  const timer = setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      while (await processNextVerificationJob(db)) { /* keep going */ }
+    } catch (error) {
+      console.error('❌ Verification worker error:', error.message);
+    } finally {
+      busy = false;
+    }
+  }, CONFIG.POLL_INTERVAL_MS);
+
+  console.log('✅ Email verification worker started');
+
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  updateLeadVerification,
+  logVerification,
+  saveVerificationResult,
+  serializeResult,
+  parseBulkEmails,
+  enqueueVerificationJob,
+  countActiveVerificationJobs,
+  getVerificationJob,
+  processNextVerificationJob,
+  serializeVerificationJob,
+  startVerificationWorker,
+  CONFIG
+};
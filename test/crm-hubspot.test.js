@@ -0,0 +1,147 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHubSpotAdapter } = require('../src/crm/hubspot');
+const { supportsMode } = require('../src/crm');
+const { startMockHubSpot } = require('./helpers/mock-http');
+
+let hubspot, adapter;
+
+beforeEach(async () => {
+  hubspot = await startMockHubSpot();
+  adapter = createHubSpotAdapter({ baseUrl: hubspot.url, accessToken: 'token', linkedinProperty: 'website' });
+});
+
+afterEach(() => hubspot.close());
+
+const clientLead = {
+  name: 'Jane Doe', companyName: 'Acme', email: 'jane@acme.com', phone: '+32 123',
+  function: 'CTO', linkedinUrl: 'https://linkedin.com/in/jane', isCandidate: false
+};
+
+test('client: creates company, contact and deal', async () => {
+  const result = await adapter.exportLead(clientLead);
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.logFields.clientType, 'New Prospect');
+  assert.equal(hubspot.objects.companies.size, 1);
+  assert.equal(hubspot.objects.contacts.size, 1);
+  assert.equal(hubspot.objects.deals.size, 1);
+
+  const contact = hubspot.objects.contacts.get(result.logFields.contactId);
+  assert.deepEqual(
+    { first: contact.properties.firstname, last: contact.properties.lastname, email: contact.properties.email },
+    { first: 'Jane', last: 'Doe', email: 'jane@acme.com' }
+  );
+  assert.equal(hubspot.requests[0].headers.authorization, 'Bearer token');
+});
+
+test('client: reuses an existing company', async () => {
+  const companyId = hubspot.add('companies', { name: 'Acme' });
+
+  const result = await adapter.exportLead(clientLead);
+
+  assert.equal(result.logFields.clientType, 'Existing Client');
+  assert.equal(result.logFields.companyId, companyId);
+  assert.equal(hubspot.objects.companies.size, 1);
+});
+
+test('client: existing contact with a deal is a duplicate and the new company is rolled back', async () => {
+  const contactId = hubspot.add('contacts', { email: 'jane@acme.com' });
+  const dealId = hubspot.add('deals', { dealname: 'Existing' });
+  hubspot.associate('deals', dealId, contactId);
+
+  const result = await adapter.exportLead(clientLead);
+
+  assert.equal(result.status, 'duplicate');
+  assert.equal(result.crmId, dealId);
+  assert.equal(result.response.matchedBy, 'Email');
+  assert.equal(hubspot.objects.companies.size, 0);
+  assert.equal(hubspot.objects.deals.size, 1);
+});
+
+test('client: existing contact without a deal is associated with the company', async () => {
+  const contactId = hubspot.add('contacts', { website: clientLead.linkedinUrl });
+
+  const result = await adapter.exportLead({ ...clientLead, email: '' });
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.logFields.contactId, contactId);
+  assert.ok(hubspot.associations.some(a =>
+    a.fromType === 'contacts' && a.fromId === contactId && a.toType === 'companies' && a.toId === result.logFields.companyId));
+  assert.equal(hubspot.objects.contacts.size, 1);
+});
+
+test('client: a failed deal creation rolls back the company and contact', async () => {
+  hubspot.fail(req => req.method === 'POST' && req.url === '/crm/v3/objects/deals',
+    { status: 400, body: { message: 'Property values were not valid' } });
+
+  await assert.rejects(adapter.exportLead(clientLead), error => {
+    assert.equal(error.message, 'Property values were not valid');
+    assert.ok(error.createdRecords.company);
+    assert.ok(error.createdRecords.contact);
+    return true;
+  });
+
+  assert.equal(hubspot.objects.companies.size, 0);
+  assert.equal(hubspot.objects.contacts.size, 0);
+});
+
+test('client: deferRollback leaves created records for the next attempt to resume', async () => {
+  const clearFailure = hubspot.fail(req => req.method === 'POST' && req.url === '/crm/v3/objects/deals', { status: 500, body: {} });
+
+  const error = await adapter.exportLead(clientLead, { deferRollback: true }).catch(e => e);
+  assert.equal(error.message, 'HubSpot API error (500)');
+  assert.equal(hubspot.objects.companies.size, 1);
+  assert.equal(hubspot.objects.contacts.size, 1);
+
+  clearFailure();
+  const result = await adapter.exportLead(clientLead, { createdRecords: error.createdRecords });
+  assert.equal(result.status, 'success');
+  assert.equal(hubspot.objects.companies.size, 1);
+  assert.equal(hubspot.objects.contacts.size, 1);
+  assert.equal(hubspot.objects.deals.size, 1);
+});
+
+test('candidate: creates a contact, then reports it as a duplicate', async () => {
+  const lead = { name: 'John Smith', email: 'john@example.com', isCandidate: true, extractedSkill: 'Java' };
+
+  const created = await adapter.exportLead(lead);
+  assert.equal(created.status, 'success');
+  assert.equal(hubspot.objects.contacts.get(created.crmId).properties.lifecyclestage, 'other');
+
+  const again = await adapter.exportLead(lead);
+  assert.equal(again.status, 'duplicate');
+  assert.equal(again.crmId, created.crmId);
+  assert.equal(hubspot.objects.contacts.size, 1);
+});
+
+test('checkExport: true while the record exists', async () => {
+  const dealId = hubspot.add('deals', { dealname: 'Deal' });
+
+  assert.equal(await adapter.checkExport({ profileType: 'client', crmId: dealId }), true);
+  assert.equal(await adapter.checkExport({ profileType: 'client', crmId: '999' }), false);
+});
+
+test('upsert mode is not supported', () => {
+  assert.equal(supportsMode(adapter, 'create'), true);
+  assert.equal(supportsMode(adapter, 'upsert'), false);
+  assert.equal(adapter.defaultFieldMapping, undefined);
+});
+
+test('client: every created record is reported as it is created', async () => {
+  const snapshots = [];
+
+  await adapter.exportLead(clientLead, { onRecordCreated: records => { snapshots.push({ ...records }); } });
+
+  assert.deepEqual(snapshots.map(s => [!!s.company, !!s.contact, !!s.deal]), [
+    [true, false, false], [true, true, false], [true, true, true]
+  ]);
+});
+
+test('a hung HubSpot request times out', async () => {
+  const slowAdapter = createHubSpotAdapter({ baseUrl: hubspot.url, accessToken: 'token', linkedinProperty: 'website', timeoutMs: 100 });
+  hubspot.fail(req => req.method === 'POST', new Promise(resolve => setTimeout(() => resolve({ body: {} }), 500)));
+
+  await assert.rejects(slowAdapter.exportLead(clientLead), { name: 'TimeoutError' });
+});
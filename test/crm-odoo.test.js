@@ -0,0 +1,192 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createOdooAdapter, DEFAULT_FIELD_MAPPING } = require('../src/crm/odoo');
+const { startMockOdoo } = require('./helpers/mock-http');
+
+let odoo, adapter;
+
+beforeEach(async () => {
+  odoo = await startMockOdoo();
+  adapter = createOdooAdapter(odoo.config);
+});
+
+afterEach(() => odoo.close());
+
+const clientLead = {
+  name: 'Jane Doe', companyName: 'Acme', email: 'jane@acme.com', phone: '+32 123',
+  function: 'CTO', linkedinUrl: 'https://linkedin.com/in/jane', sourcedBy: '', isCandidate: false
+};
+
+const candidateLead = {
+  name: 'John Smith', companyName: 'Initech', email: 'john@example.com', linkedinUrl: 'https://linkedin.com/in/john',
+  sourcedBy: '', isCandidate: true, skills: [{ name: 'Java', level: null }], extractedSkill: 'Java'
+};
+
+test('client: creates company, contact and opportunity', async () => {
+  const result = await adapter.exportLead(clientLead);
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.logFields.clientType, 'New Prospect');
+
+  const [company, contact] = odoo.records('res.partner');
+  assert.equal(company.name, 'Acme');
+  assert.equal(company.is_company, true);
+  assert.equal(contact.parent_id, company.id);
+  assert.equal(contact.email, 'jane@acme.com');
+
+  const [opportunity] = odoo.records('crm.lead');
+  assert.equal(opportunity.id, result.crmId);
+  assert.equal(opportunity.partner_id, contact.id);
+  assert.equal(opportunity.website, clientLead.linkedinUrl);
+  assert.equal(opportunity.x_studio_client_type, 'New Prospect');
+});
+
+test('client: existing opportunity for the contact is a duplicate', async () => {
+  const companyId = odoo.add('res.partner', { name: 'Acme', is_company: true });
+  const contactId = odoo.add('res.partner', { name: 'Jane Doe', parent_id: companyId });
+  const opportunityId = odoo.add('crm.lead', { name: 'Existing', partner_id: [contactId, 'Jane Doe'], stage_id: [1, 'New'] });
+
+  const result = await adapter.exportLead(clientLead);
+
+  assert.equal(result.status, 'duplicate');
+  assert.equal(result.crmId, opportunityId);
+  assert.equal(result.response.stage, 'New');
+  assert.equal(odoo.records('res.partner').length, 2);
+  assert.equal(odoo.records('crm.lead').length, 1);
+});
+
+test('client: duplicate found by LinkedIn URL rolls back the company and contact it created', async () => {
+  odoo.add('crm.lead', { name: 'Existing', website: clientLead.linkedinUrl });
+
+  const result = await adapter.exportLead(clientLead);
+
+  assert.equal(result.status, 'duplicate');
+  assert.equal(odoo.records('res.partner').length, 0);
+});
+
+test('client: a failed opportunity create rolls back and reports the created records', async () => {
+  odoo.fail(call => call.model === 'crm.lead' && call.method === 'create');
+
+  await assert.rejects(adapter.exportLead(clientLead), error => {
+    assert.equal(error.message, 'Validation failed');
+    assert.ok(error.createdRecords.company);
+    assert.ok(error.createdRecords.contact);
+    return true;
+  });
+
+  assert.equal(odoo.records('res.partner').length, 0);
+  assert.equal(odoo.records('crm.lead').length, 0);
+});
+
+test('client: deferRollback keeps created records and the next attempt resumes from them', async () => {
+  const clearFailure = odoo.fail(call => call.model === 'crm.lead' && call.method === 'create');
+
+  const error = await adapter.exportLead(clientLead, { deferRollback: true }).catch(e => e);
+  assert.equal(odoo.records('res.partner').length, 2);
+
+  clearFailure();
+  const result = await adapter.exportLead(clientLead, { createdRecords: error.createdRecords });
+
+  assert.equal(result.status, 'success');
+  assert.equal(odoo.records('res.partner').length, 2);
+  assert.equal(odoo.records('crm.lead').length, 1);
+});
+
+test('client: a failed upsert after the duplicate rollback leaves nothing to resume', async () => {
+  odoo.add('crm.lead', { name: 'Existing', website: clientLead.linkedinUrl });
+  odoo.fail(call => call.model === 'crm.lead' && call.method === 'write');
+
+  await assert.rejects(adapter.exportLead(clientLead, { mode: 'upsert', deferRollback: true }), error => {
+    assert.equal(error.createdRecords.company, null);
+    assert.equal(error.createdRecords.contact, null);
+    return true;
+  });
+
+  assert.equal(odoo.records('res.partner').length, 0);
+});
+
+test('candidate: creates contact, candidate and skill link', async () => {
+  const result = await adapter.exportLead(candidateLead);
+
+  assert.equal(result.status, 'success');
+  const [candidate] = odoo.records('hr.candidate');
+  assert.equal(candidate.id, result.crmId);
+  assert.equal(candidate.email_from, 'john@example.com');
+  assert.equal(candidate.linkedin_profile, candidateLead.linkedinUrl);
+  assert.equal(odoo.records('hr.skill')[0].name, 'Java');
+  assert.equal(odoo.records('hr.candidate.skill')[0].candidate_id, candidate.id);
+  assert.deepEqual(result.logFields.skills, [{ name: 'Java', level: 'Expert' }]);
+});
+
+test('candidate: phone is only written when mapped', async () => {
+  await adapter.exportLead({ ...candidateLead, phone: '+32 456' });
+  assert.equal(odoo.records('hr.candidate')[0].partner_phone, undefined);
+
+  const mapping = structuredClone(DEFAULT_FIELD_MAPPING);
+  mapping.fields.candidate.phone = 'partner_phone';
+  await adapter.exportLead({ ...candidateLead, name: 'Mary Major', linkedinUrl: null, phone: '+32 456' }, { fieldMapping: mapping });
+  assert.equal(odoo.records('hr.candidate')[1].partner_phone, '+32 456');
+});
+
+test('candidate: existing candidate is a duplicate', async () => {
+  const candidateId = odoo.add('hr.candidate', { partner_name: 'Someone Else', linkedin_profile: candidateLead.linkedinUrl });
+
+  const result = await adapter.exportLead(candidateLead);
+
+  assert.equal(result.status, 'duplicate');
+  assert.equal(result.crmId, candidateId);
+  assert.equal(result.message, 'Candidate exists (LinkedIn URL)');
+  assert.equal(odoo.records('res.partner').length, 0);
+});
+
+test('candidate: upsert writes new values onto the existing candidate', async () => {
+  const partnerId = odoo.add('res.partner', { name: 'John Smith', email: 'noemail@domain.com' });
+  const candidateId = odoo.add('hr.candidate', {
+    partner_name: 'John Smith', email_from: 'noemail@domain.com', partner_id: [partnerId, 'John Smith'],
+    linkedin_profile: candidateLead.linkedinUrl
+  });
+
+  const result = await adapter.exportLead(candidateLead, { mode: 'upsert' });
+
+  assert.equal(result.status, 'updated');
+  assert.equal(result.crmId, candidateId);
+  assert.ok(result.response.changes.some(c => c.model === 'hr.candidate' && c.field === 'email_from' && c.from === null));
+  assert.equal(odoo.records('hr.candidate')[0].email_from, 'john@example.com');
+  assert.equal(odoo.records('res.partner')[0].email, 'john@example.com');
+});
+
+test('invalid credentials fail before anything is created', async () => {
+  const badAdapter = createOdooAdapter({ ...odoo.config, password: 'wrong' });
+
+  await assert.rejects(badAdapter.exportLead(clientLead), /Invalid Odoo credentials/);
+  assert.deepEqual(odoo.calls(), []);
+});
+
+test('checkExport: true while the record exists', async () => {
+  const opportunityId = odoo.add('crm.lead', { name: 'Deal' });
+
+  assert.equal(await adapter.checkExport({ profileType: 'client', crmId: opportunityId }), true);
+  assert.equal(await adapter.checkExport({ profileType: 'client', crmId: 999 }), false);
+});
+
+test('client: every created record is reported as it is created', async () => {
+  const snapshots = [];
+
+  await adapter.exportLead(clientLead, { onRecordCreated: records => { snapshots.push({ ...records }); } });
+
+  assert.deepEqual(snapshots.map(s => [!!s.company, !!s.contact, !!s.opportunity]), [
+    [true, false, false], [true, true, false], [true, true, true]
+  ]);
+});
+
+test('a hung Odoo request times out as a transient error', async () => {
+  const slowAdapter = createOdooAdapter({ ...odoo.config, timeoutMs: 100 });
+  odoo.fail(call => call.model === 'crm.lead' && call.method === 'create', new Promise(resolve => setTimeout(() => resolve({ body: {} }), 500)));
+
+  await assert.rejects(slowAdapter.exportLead(clientLead, { deferRollback: true }), error => {
+    assert.equal(error.name, 'TimeoutError');
+    assert.ok(error.createdRecords.contact);
+    return true;
+  });
+});
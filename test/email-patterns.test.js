@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitName, extractPattern, applyPattern, listPatterns } = require('../src/email-patterns');
+
+const MIDDLE_PATTERNS = new Set(['first.middle.last', 'first.m.last', 'fmlast']);
+
+test('every pattern round-trips through apply and extract', () => {
+  for (const { name, confidence } of listPatterns()) {
+    const email = applyPattern(name, 'Anna Maria Schmidt', 'Acme.com');
+    assert.ok(email, name);
+    assert.deepEqual(extractPattern(email, 'Anna Maria Schmidt'), { pattern: name, domain: 'acme.com', confidence }, email);
+  }
+});
+
+test('patterns round-trip for particles, hyphens and noise tokens', () => {
+  const names = [
+    'Maria de la Cruz',
+    'Ludwig van der Berg',
+    'Jean-Pierre Dupont',
+    'Mary Smith-Jones',
+    'Dr. Jane Doe, MBA'
+  ];
+  for (const fullName of names) {
+    for (const { name } of listPatterns()) {
+      const email = applyPattern(name, fullName, 'acme.com');
+      if (MIDDLE_PATTERNS.has(name)) {
+        assert.equal(email, null, `${name} needs a middle name (${fullName})`);
+        continue;
+      }
+      assert.equal(extractPattern(email, fullName)?.pattern, name, `${fullName}: ${email}`);
+    }
+  }
+});
+
+test('name parsing keeps particles and hyphens, drops noise', () => {
+  assert.deepEqual(splitName('Maria de la Cruz').lastVariants, ['delacruz', 'de-la-cruz', 'cruz']);
+  assert.deepEqual(splitName('Ludwig van der Berg').lastVariants, ['vanderberg', 'van-der-berg', 'berg']);
+  assert.deepEqual(splitName('Jean-Pierre Dupont').firstVariants, ['jeanpierre', 'jean-pierre', 'jean']);
+  assert.deepEqual(splitName('Mary Smith-Jones').lastVariants, ['smithjones', 'smith-jones', 'smith', 'jones']);
+
+  const noisy = splitName('Dr. Jane Doe, MBA');
+  assert.equal(noisy.first, 'jane');
+  assert.equal(noisy.last, 'doe');
+  assert.equal(noisy.middle, '');
+  assert.equal(splitName('Prof. Robert (Bob) Smith Jr.').last, 'smith');
+});
+
+test('generation uses the compact spelling', () => {
+  assert.equal(applyPattern('f_last', 'Maria de la Cruz', 'acme.com'), 'm_delacruz@acme.com');
+  assert.equal(applyPattern('first.last', 'Ludwig van der Berg', 'acme.com'), 'ludwig.vanderberg@acme.com');
+  assert.equal(applyPattern('first.last', 'Jean-Pierre Smith-Jones', 'acme.com'), 'jeanpierre.smithjones@acme.com');
+  assert.equal(applyPattern('first.last', 'Dr. Jane Doe, MBA', 'acme.com'), 'jane.doe@acme.com');
+});
+
+test('learning accepts every spelling of particles and hyphenated names', () => {
+  const cases = [
+    ['jean-pierre.van-der-berg@acme.com', 'Jean-Pierre van der Berg', 'first.last'],
+    ['jean.vanderberg@acme.com', 'Jean-Pierre van der Berg', 'first.last'],
+    ['l.berg@acme.com', 'Ludwig van der Berg', 'f.last'],
+    ['cruz.maria@acme.com', 'Maria de la Cruz', 'last.first'],
+    ['mary.jones@acme.com', 'Mary Smith-Jones', 'first.last'],
+    ['smith-jones_mary@acme.com', 'Mary Smith-Jones', 'last_first'],
+    ['jdoe@acme.com', 'Dr. Jane Doe, MBA', 'flast']
+  ];
+  for (const [email, fullName, expected] of cases) {
+    assert.equal(extractPattern(email, fullName)?.pattern, expected, email);
+  }
+});
+
+test('ambiguous names resolve to the earlier pattern', () => {
+  // "al" is both first and f+l
+  assert.equal(applyPattern('fl', 'Al Li', 'acme.com'), 'al@acme.com');
+  assert.equal(extractPattern('al@acme.com', 'Al Li').pattern, 'first');
+
+  // Same first and last name: first.last is listed before last.first
+  assert.equal(extractPattern('li.li@acme.com', 'Li Li').pattern, 'first.last');
+});
+
+test('unknown patterns, single names and bad addresses give null', () => {
+  assert.equal(applyPattern('nope', 'Jane Doe', 'acme.com'), null);
+  assert.equal(applyPattern('first.last', 'Madonna', 'acme.com'), null);
+  assert.equal(applyPattern('first.last', 'Jane Doe', ''), null);
+  assert.equal(extractPattern('jane.doe@acme.com', 'Madonna'), null);
+  assert.equal(extractPattern('not-an-email', 'Jane Doe'), null);
+  assert.equal(extractPattern('someone.else@acme.com', 'Jane Doe'), null);
+});
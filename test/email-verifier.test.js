@@ -0,0 +1,130 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEmailVerifier } = require('../src/email-verifier');
+const { startMockSmtp } = require('./helpers/mock-smtp');
+
+// Every domain's MX is the mock server on localhost
+const resolver = {
+  resolveMx: async () => [{ exchange: '127.0.0.1', priority: 10 }],
+  resolve4: async () => ['127.0.0.1']
+};
+
+let smtp;
+
+afterEach(() => smtp?.close());
+
+async function verifierFor(options) {
+  smtp = await startMockSmtp(options);
+  return createEmailVerifier({ resolver, config: { smtpPort: smtp.port, smtpTimeoutMs: 500 } });
+}
+
+test('checkSMTP: 250 to RCPT TO accepts the mailbox', async () => {
+  const verifier = await verifierFor();
+
+  const result = await verifier.checkSMTP('jane@acme.test', '127.0.0.1');
+
+  assert.equal(result.valid, true);
+  assert.equal(result.reason, 'accepted');
+  assert.deepEqual(smtp.commands.slice(0, 3), ['HELO verify.local', 'MAIL FROM:<verify@verify.local>', 'RCPT TO:<jane@acme.test>']);
+});
+
+test('checkSMTP: 550 is a definite rejection', async () => {
+  const verifier = await verifierFor({ rcpt: () => '550 5.1.1 No such user' });
+
+  const result = await verifier.checkSMTP('nobody@acme.test', '127.0.0.1');
+
+  assert.equal(result.valid, false);
+  assert.equal(result.definitelyInvalid, true);
+  assert.equal(result.reason, 'rejected_550');
+  assert.match(result.response, /No such user/);
+});
+
+test('checkSMTP: 450 is a temporary failure, not a rejection', async () => {
+  const verifier = await verifierFor({ rcpt: () => '450 4.2.0 Greylisted, try again later' });
+
+  const result = await verifier.checkSMTP('jane@acme.test', '127.0.0.1');
+
+  assert.equal(result.valid, false);
+  assert.equal(result.definitelyInvalid, false);
+  assert.equal(result.reason, 'temp_failure_450');
+});
+
+test('checkSMTP: waits for the last line of multi-line replies', async () => {
+  const verifier = await verifierFor({
+    greeting: '220-mock.local ESMTP\r\n220-No UCE\r\n220 Ready',
+    rcpt: () => '250-Recipient OK\r\n250 Queued'
+  });
+
+  const result = await verifier.checkSMTP('jane@acme.test', '127.0.0.1');
+
+  assert.equal(result.valid, true);
+  // One HELO only: the continuation lines didn't advance the conversation
+  assert.equal(smtp.commands.filter(c => c.startsWith('HELO')).length, 1);
+});
+
+test('checkSMTP: a server that never answers times out', async () => {
+  const verifier = await verifierFor({ rcpt: () => null });
+
+  const result = await verifier.checkSMTP('jane@acme.test', '127.0.0.1');
+
+  assert.equal(result.valid, false);
+  assert.equal(result.definitelyInvalid, false);
+  assert.equal(result.reason, 'smtp_timeout');
+});
+
+test('checkSMTP: a refused greeting stops before HELO', async () => {
+  const verifier = await verifierFor({ greeting: '554 No service' });
+
+  const result = await verifier.checkSMTP('jane@acme.test', '127.0.0.1');
+
+  assert.equal(result.reason, 'connect_rejected');
+  assert.equal(smtp.commands.some(c => c.startsWith('HELO')), false);
+});
+
+test('verify: accepted mailbox on a server that rejects the probe is valid', async () => {
+  const verifier = await verifierFor({ rcpt: address => address.startsWith('brynsa-probe-') ? '550 No such user' : '250 OK' });
+
+  const result = await verifier.verify('Jane.Doe@strict.test');
+
+  assert.equal(result.verdict, 'valid');
+  assert.equal(result.method, 'smtp');
+  assert.equal(result.confidence, verifier.config.confidence.smtpVerified);
+  assert.deepEqual(result.steps.map(s => [s.step, s.status]), [
+    ['syntax', 'pass'], ['disposable', 'pass'], ['role', 'pass'], ['mx', 'pass'], ['smtp', 'pass'], ['catch_all', 'pass']
+  ]);
+});
+
+test('verify: a server that also accepts the probe is accept_all', async () => {
+  const verifier = await verifierFor();
+
+  const result = await verifier.verify('jane@catchall.test');
+
+  assert.equal(result.verdict, 'accept_all');
+  assert.equal(result.valid, true);
+  assert.equal(result.confidence, verifier.config.confidence.acceptAll);
+  assert.ok(smtp.commands.some(c => /^RCPT TO:<brynsa-probe-[0-9a-f]+@catchall\.test>$/.test(c)));
+});
+
+test('verify: 550 makes the address invalid and skips the probe', async () => {
+  const verifier = await verifierFor({ rcpt: () => '550 No such user' });
+
+  const result = await verifier.verify('gone@rejects.test');
+
+  assert.equal(result.verdict, 'invalid');
+  assert.equal(result.reason, 'rejected_550');
+  assert.equal(result.steps.at(-1).step, 'smtp');
+  assert.equal(smtp.commands.filter(c => c.startsWith('RCPT')).length, 1);
+});
+
+test('verify: 450 falls back to the MX result', async () => {
+  const verifier = await verifierFor({ rcpt: () => '451 Try later' });
+
+  const result = await verifier.verify('jane@greylist.test');
+
+  assert.equal(result.verdict, 'valid');
+  assert.equal(result.method, 'mx_fallback');
+  assert.equal(result.reason, 'mx_valid_smtp_inconclusive');
+  assert.equal(result.confidence, verifier.config.confidence.smtpInconclusive);
+  assert.equal(result.steps.find(s => s.step === 'catch_all').status, 'skipped');
+});
@@ -0,0 +1,221 @@
+// ============================================================================
+// mock-http.js - Local HTTP servers standing in for HubSpot and Odoo
+// ============================================================================
+//
+// Each mock keeps its records in memory, logs every request, and lets a test
+// force a failure with fail(predicate, response) - which returns a function
+// that clears it again.
+// ============================================================================
+
+const http = require('http');
+
+/**
+ * Start a JSON HTTP server on a random local port
+ * @param {function} handler - (req, body) => { status, body, headers } | undefined (404)
+ * @returns {Promise<object>} { url, requests, close() }
+ */
+async function startJsonServer(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+      const reply = (await handler(req, body)) || { status: 404, body: { message: 'Not found' } };
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+      res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function addFailure(failures, failure) {
+  failures.push(failure);
+  return () => failures.splice(failures.indexOf(failure), 1);
+}
+
+// ============================================================================
+// HUBSPOT (CRM v3 objects + v4 associations)
+// ============================================================================
+
+async function startMockHubSpot() {
+  const objects = { contacts: new Map(), companies: new Map(), deals: new Map() };
+  const associations = [];   // { fromType, fromId, toType, toId }
+  const failures = [];
+  let nextId = 100;
+
+  function matches(record, filters) {
+    return filters.every(f => f.operator === 'EQ' && record.properties[f.propertyName] === f.value);
+  }
+
+  const mock = await startJsonServer((req, body) => {
+    const failure = failures.find(f => f.when(req, body));
+    if (failure) return failure.reply;
+
+    const [path] = req.url.split('?');
+    let m;
+
+    if (req.method === 'POST' && (m = path.match(/^\/crm\/v3\/objects\/(\w+)\/search$/))) {
+      const results = [...objects[m[1]].values()].filter(r => matches(r, body.filterGroups[0].filters));
+      return { body: { total: results.length, results: results.slice(0, body.limit || 10) } };
+    }
+
+    if (req.method === 'POST' && (m = path.match(/^\/crm\/v3\/objects\/(\w+)$/))) {
+      const id = String(nextId++);
+      objects[m[1]].set(id, { id, properties: body.properties });
+      for (const assoc of body.associations || []) {
+        associations.push({ fromType: m[1], fromId: id, toId: String(assoc.to.id), typeId: assoc.types[0].associationTypeId });
+      }
+      return { status: 201, body: { id, properties: body.properties } };
+    }
+
+    if (req.method === 'GET' && (m = path.match(/^\/crm\/v4\/objects\/contacts\/(\w+)\/associations\/deals$/))) {
+      const results = associations
+        .filter(a => a.fromType === 'deals' && a.toId === m[1] && objects.deals.has(a.fromId))
+        .map(a => ({ toObjectId: a.fromId }));
+      return { body: { results } };
+    }
+
+    if (req.method === 'PUT' && (m = path.match(/^\/crm\/v4\/objects\/(\w+)\/(\w+)\/associations\/default\/(\w+)\/(\w+)$/))) {
+      associations.push({ fromType: m[1], fromId: m[2], toType: m[3], toId: m[4] });
+      return { body: { status: 'COMPLETE' } };
+    }
+
+    if ((m = path.match(/^\/crm\/v3\/objects\/(\w+)\/(\w+)$/))) {
+      const store = objects[m[1]];
+      if (!store?.has(m[2])) return { status: 404, body: { message: 'Not found' } };
+      if (req.method === 'DELETE') {
+        store.delete(m[2]);
+        return { status: 204 };
+      }
+      return { body: store.get(m[2]) };
+    }
+
+    return undefined;
+  });
+
+  return {
+    ...mock,
+    objects,
+    associations,
+    add(objectType, properties) {
+      const id = String(nextId++);
+      objects[objectType].set(id, { id, properties });
+      return id;
+    },
+    associate(fromType, fromId, toId) {
+      associations.push({ fromType, fromId, toId });
+    },
+    fail(when, reply) {
+      return addFailure(failures, { when, reply });
+    }
+  };
+}
+
+// ============================================================================
+// ODOO (JSON-RPC: /web/session/authenticate + execute_kw on /jsonrpc)
+// ============================================================================
+
+async function startMockOdoo() {
+  const models = {};         // model -> Map id -> record
+  const failures = [];
+  let nextId = 1;
+
+  const table = model => (models[model] = models[model] || new Map());
+
+  function fieldValue(record, field) {
+    const value = record[field];
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  function matchesDomain(record, domain) {
+    return domain.every(([field, op, value]) => {
+      const actual = fieldValue(record, field);
+      switch (op) {
+        case '=': return field === 'active' ? (record.active !== false) === value : actual === value;
+        case 'in': return value.includes(actual);
+        case 'ilike': return String(actual || '').toLowerCase().includes(String(value).toLowerCase());
+        case '=ilike': return String(actual || '').toLowerCase() === String(value).toLowerCase();
+        default: throw new Error(`Mock Odoo: unsupported operator ${op}`);
+      }
+    });
+  }
+
+  function execute(model, method, args) {
+    const records = table(model);
+    switch (method) {
+      case 'search_read': {
+        const [domain, fields] = args;
+        return [...records.values()]
+          .filter(r => matchesDomain(r, domain))
+          .map(r => (fields.length ? Object.fromEntries(['id', ...fields].map(f => [f, r[f] ?? false])) : { ...r }));
+      }
+      case 'create':
+        return args[0].map(values => {
+          const id = nextId++;
+          records.set(id, { id, ...values });
+          return id;
+        });
+      case 'write':
+        args[0].forEach(id => Object.assign(records.get(id), args[1]));
+        return true;
+      case 'unlink':
+        args[0].forEach(id => records.delete(id));
+        return true;
+      default:
+        throw new Error(`Mock Odoo: unsupported method ${method}`);
+    }
+  }
+
+  const mock = await startJsonServer((req, body) => {
+    if (req.url === '/web/session/authenticate') {
+      const ok = body.params.password === 'secret';
+      return {
+        headers: ok ? { 'Set-Cookie': 'session_id=abc; Path=/' } : {},
+        body: { jsonrpc: '2.0', result: ok ? { uid: 2 } : { uid: false } }
+      };
+    }
+
+    if (req.url === '/jsonrpc') {
+      const [, , , model, method, args] = body.params.args;
+      const call = { model, method, args };
+      const failure = failures.find(f => f.when(call));
+      if (failure) return failure.reply;
+      try {
+        return { body: { jsonrpc: '2.0', id: body.id, result: execute(model, method, args) } };
+      } catch (error) {
+        return { body: { jsonrpc: '2.0', id: body.id, error: { code: 200, message: 'Odoo Server Error', data: { message: error.message } } } };
+      }
+    }
+
+    return undefined;
+  });
+
+  return {
+    ...mock,
+    config: { endpointUrl: mock.url, username: 'admin', password: 'secret', databaseName: 'test' },
+    records: model => [...table(model).values()],
+    add(model, values) {
+      const id = nextId++;
+      table(model).set(id, { id, ...values });
+      return id;
+    },
+    // Fail matching execute_kw calls with an Odoo error (or a custom HTTP reply)
+    fail(when, reply = { body: { jsonrpc: '2.0', error: { code: 200, message: 'Odoo Server Error', data: { message: 'Validation failed' } } } }) {
+      return addFailure(failures, { when, reply });
+    },
+    calls: () => mock.requests.filter(r => r.path === '/jsonrpc').map(r => ({ model: r.body.params.args[3], method: r.body.params.args[4] }))
+  };
+}
+
+module.exports = { startJsonServer, startMockHubSpot, startMockOdoo };
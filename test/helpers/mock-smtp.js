@@ -0,0 +1,64 @@
+// ============================================================================
+// mock-smtp.js - Local SMTP server for the email verifier
+// ============================================================================
+//
+// Speaks just enough SMTP for src/email-verifier.js checkSMTP: greeting,
+// HELO, MAIL FROM, RCPT TO, QUIT. A test decides the RCPT TO reply per
+// address with rcpt(address) - a string is sent as-is (use "\r\n" between
+// lines of a multi-line reply), null sends nothing so the client times out.
+// ============================================================================
+
+const net = require('net');
+
+/**
+ * @param {object} [options]
+ * @param {function} [options.rcpt] - address => reply | null (default: '250 OK')
+ * @param {string} [options.greeting] - Default '220 mock.local ESMTP'
+ * @param {string} [options.helo] - Default a multi-line 250 reply
+ * @returns {Promise<object>} { port, commands, close() }
+ */
+async function startMockSmtp({ rcpt = () => '250 OK', greeting = '220 mock.local ESMTP', helo } = {}) {
+  const commands = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    const send = reply => { if (reply !== null) socket.write(`${reply}\r\n`); };
+    let buffer = '';
+
+    socket.on('data', data => {
+      buffer += data.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        commands.push(line);
+
+        const verb = line.split(/[\s:]/)[0].toUpperCase();
+        if (verb === 'HELO') send(helo || '250-mock.local\r\n250-SIZE 10240000\r\n250 8BITMIME');
+        else if (verb === 'MAIL') send('250 OK');
+        else if (verb === 'RCPT') send(rcpt(line.match(/<([^>]*)>/)?.[1] || ''));
+        else if (verb === 'QUIT') { send('221 Bye'); socket.end(); }
+        else send('502 Command not implemented');
+      }
+    });
+
+    send(greeting);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    commands,
+    close: () => new Promise(resolve => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = { startMockSmtp };
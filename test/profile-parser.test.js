@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// src/auth.js (loaded through ai-usage) refuses to start without these
+process.env.JWT_SECRET ||= 'test-secret';
+process.env.RESEND_API_KEY ||= 're_test';
+
+const { parseSeniority, parseProfile, SENIORITY_LEVELS } = require('../src/profile-parser');
+const { scoreLead } = require('../src/lead-scoring');
+
+test('seniority from titles', () => {
+  const cases = [
+    ['Software Engineer', 'ic'],
+    ['Lead Generation Specialist', 'ic'],
+    ['Lead Developer', 'ic'],
+    ['Team Lead, Platform', 'manager'],
+    ['Engineering Manager', 'manager'],
+    ['Head of Sales', 'director'],
+    ['Executive Director', 'director'],
+    ['Vice President of Marketing', 'vp'],
+    ['Co-Founder & CEO', 'c_level'],
+    ['President', 'c_level']
+  ];
+  for (const [title, expected] of cases) {
+    assert.equal(parseSeniority(title), expected, title);
+  }
+});
+
+test('profile fields from title and headline', () => {
+  const parsed = parseProfile({ currentTitle: 'Senior Recruiter', headline: 'Hiring engineers in Berlin' });
+
+  assert.equal(parsed.seniority, 'ic');
+  assert.equal(parsed.department, 'HR');
+  assert.equal(parsed.isDecisionMaker, false);
+  assert.equal(parsed.complete, true);
+});
+
+test('ICP seniority scoring uses the parser ladder', () => {
+  assert.deepEqual(SENIORITY_LEVELS, ['ic', 'manager', 'director', 'vp', 'c_level']);
+
+  const icp = { seniorities: ['vp'] };
+  assert.match(scoreLead({ currentTitle: 'VP Sales' }, icp).reasons.join(), /Seniority vp is a target/);
+  assert.match(scoreLead({ currentTitle: 'Sales Director' }, icp).reasons.join(), /Seniority director is close to target/);
+  assert.match(scoreLead({ currentTitle: 'Lead Generation Specialist' }, icp).reasons.join(), /Seniority ic is not a target/);
+});